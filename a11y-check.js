@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Accessibility check for Polly Poll Voting System
+ * Loads index.html in jsdom against a stub API, walks through the voting flow and runs axe-core
+ * on the poll cards, the option radiogroup and the live regions at each step
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: node a11y-check.js [--verbose]
+
+Needs jsdom and axe-core, which are not part of the app. Install them next to
+this script without adding a package.json, then run it from the same directory:
+  npm install --no-save jsdom@24 axe-core@4
+  node a11y-check.js
+
+Exits with status 1 when axe reports a violation or the voting flow is missing
+its accessible markup.`;
+
+/**
+ * Polls served by the stub API
+ * @returns {Array<Object>} PollOut objects
+ */
+function samplePolls() {
+    return [1, 2].map(id => ({
+        id,
+        question: `Sample question ${id}?`,
+        owner_id: 2,
+        created_at: '2024-01-01T00:00:00',
+        options: [{ id: id * 10 + 1, text: 'Yes', poll_id: id }, { id: id * 10 + 2, text: 'No', poll_id: id }],
+    }));
+}
+
+/**
+ * fetch replacement answering like the Polly API
+ * @param {Object} window - jsdom window, for Headers
+ * @returns {Function} fetch implementation
+ */
+function createStubFetch(window) {
+    const polls = samplePolls();
+    const votes = new Map();
+    const respond = (status, body) => Promise.resolve({
+        ok: status < 400,
+        status,
+        statusText: String(status),
+        headers: new window.Headers(),
+        json: async () => body,
+        text: async () => JSON.stringify(body),
+    });
+
+    return (url, init = {}) => {
+        const { pathname } = new URL(url);
+        const match = pathname.match(/^\/polls\/(\d+)(\/vote|\/results)?$/);
+        const poll = match ? polls.find(entry => entry.id === Number(match[1])) : null;
+
+        if (pathname === '/polls') {
+            return respond(200, polls);
+        }
+        if (!poll) {
+            return respond(404, { detail: 'Poll not found' });
+        }
+        if (match[2] === '/vote') {
+            const optionId = JSON.parse(init.body).option_id;
+            votes.set(poll.id, optionId);
+            return respond(200, { id: 1, user_id: 1, option_id: optionId, created_at: new Date().toISOString() });
+        }
+        if (match[2] === '/results') {
+            return respond(200, {
+                poll_id: poll.id,
+                question: poll.question,
+                results: poll.options.map(option => ({
+                    option_id: option.id,
+                    text: option.text,
+                    vote_count: votes.get(poll.id) === option.id ? 1 : 0,
+                })),
+            });
+        }
+        return respond(200, poll);
+    };
+}
+
+/**
+ * Load index.html with its scripts in jsdom, logged in as a test user
+ * @param {Object} modules - { JSDOM }
+ * @param {string} root - Directory holding index.html
+ * @returns {Object} jsdom window
+ */
+function loadApp({ JSDOM }, root) {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const sources = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    const dom = new JSDOM(html.replace(/<script[\s\S]*?<\/script>/g, ''), {
+        url: 'http://localhost/#/polls',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+    });
+    const { window } = dom;
+
+    window.fetch = createStubFetch(window);
+    window.localStorage.setItem('polly_token', 'a11y.check.token');
+    window.localStorage.setItem('polly_user', 'a11y');
+
+    // Classic scripts share their top-level classes; eval'd ones need them published on window
+    sources.forEach(source => {
+        const code = fs.readFileSync(path.join(root, source), 'utf8');
+        const classes = (code.match(/^class (\w+)/gm) || []).map(line => line.slice(6));
+        window.eval(`${code}\n;${classes.map(name => `window.${name} = ${name};`).join('')}`);
+    });
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    return window;
+}
+
+/**
+ * Run axe on the document
+ * color-contrast needs real layout, which jsdom doesn't do; the theme tokens cover it instead.
+ * @param {Object} window - jsdom window with axe loaded
+ * @returns {Promise<Array<Object>>} Violations
+ */
+async function runAxe(window) {
+    const { violations } = await window.axe.run(window.document, {
+        rules: { 'color-contrast': { enabled: false } },
+    });
+    return violations;
+}
+
+/**
+ * Wait for pending renders, timers and stub responses
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function settle(ms = 200) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Walk through the voting flow and check each step
+ * @param {Object} modules - { JSDOM, axe }
+ * @param {string} root - Directory holding index.html
+ * @returns {Promise<Array<Object>>} Step results { step, problems }
+ */
+async function checkVotingFlow(modules, root) {
+    const window = loadApp(modules, root);
+    const { document } = window;
+    window.eval(modules.axe.source);
+    const steps = [];
+
+    const check = async (step, expectations) => {
+        const problems = expectations
+            .filter(([, passed]) => !passed())
+            .map(([description]) => description);
+        (await runAxe(window)).forEach(violation => {
+            const targets = violation.nodes.map(node => node.target.join(' ')).join(', ');
+            problems.push(`${violation.id} (${violation.impact}): ${violation.help} - ${targets}`);
+        });
+        steps.push({ step, problems });
+    };
+
+    await settle();
+    await check('Poll list', [
+        ['poll cards are links', () => document.querySelectorAll('#polls-container .poll-card-link[href]').length === 2],
+        ['polite live region', () => !!document.querySelector('#announcer[aria-live="polite"]')],
+        ['assertive live region', () => !!document.querySelector('#alert-announcer[role="alert"]')],
+    ]);
+
+    document.querySelector('#polls-container .poll-card-link').click();
+    await settle();
+    const group = document.getElementById('poll-options');
+    const radio = group.querySelectorAll('input[type="radio"]')[1];
+    await check('Poll detail', [
+        ['options are radio buttons', () => !!radio],
+        ['options form a labelled radiogroup', () => group.getAttribute('role') === 'radiogroup' &&
+            !!group.getAttribute('aria-labelledby')],
+        ['focus moves to the question', () => document.activeElement === document.getElementById('poll-question')],
+    ]);
+    if (!radio) {
+        window.close();
+        return steps;
+    }
+
+    radio.focus();
+    radio.checked = true;
+    radio.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await settle(50);
+    await check('Option selected', [
+        ['the chosen radio is checked', () => radio.checked],
+        ['the vote button is enabled', () => !!document.querySelector('#vote-status .vote-button:not([disabled])')],
+    ]);
+
+    document.querySelector('#vote-status .vote-button').click();
+    await settle(400);
+    await check('Vote cast', [
+        ['the vote is announced', () => document.getElementById('announcer').textContent.trim() !== ''],
+        ['the results are shown as text', () => document.querySelectorAll('#poll-results .result-item').length === 2],
+    ]);
+
+    // The app shows results without bars or charts; render them with both to check their text alternatives
+    const preview = document.createElement('section');
+    preview.setAttribute('aria-label', 'Results with bars and a chart');
+    document.body.appendChild(preview);
+    const pollId = Number(new window.URL(window.location.href).hash.replace(/\D+/g, ''));
+    window.pollResultsManager.renderResults(preview, await window.pollResultsManager.getDetailedPollResults(pollId), {
+        showCharts: true,
+        chart: 'bar',
+    });
+    const bars = Array.from(preview.querySelectorAll('.progress-bar'));
+    const chart = preview.querySelector('svg');
+    await check('Result bars and chart', [
+        ['a bar is shown per option', () => bars.length === 2],
+        ['result bars have text alternatives', () => bars.length > 0 && bars.every(bar => bar.getAttribute('aria-label'))],
+        ['the chart has a title and description', () => !!chart && !!chart.querySelector('title') &&
+            !!chart.querySelector('desc')],
+    ]);
+
+    window.close();
+    return steps;
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Command-line arguments
+ * @param {string} root - Directory holding index.html
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, root = __dirname) {
+    if (argv.includes('--help')) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    let modules;
+    try {
+        modules = { JSDOM: require('jsdom').JSDOM, axe: require('axe-core') };
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    // The app logs requests and errors; keep the report readable
+    const log = argv.includes('--verbose') ? (...args) => process.stderr.write(`${args.join(' ')}\n`) : () => {};
+    console.log = log;
+    console.error = log;
+    console.warn = log;
+
+    const steps = await checkVotingFlow(modules, root);
+    steps.forEach(({ step, problems }) => {
+        process.stdout.write(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${step}\n`);
+        problems.forEach(problem => process.stdout.write(`     ${problem}\n`));
+    });
+
+    return steps.some(({ problems }) => problems.length > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        // The app keeps polling timers running; don't wait for them
+        process.exit(code);
+    });
+}
+
+module.exports = { checkVotingFlow, main };
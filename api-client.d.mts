@@ -0,0 +1,6 @@
+/**
+ * TypeScript declarations for api-client.mjs
+ */
+
+export * from './api-client.js';
+export { PollyAPIClient as default } from './api-client.js';
@@ -0,0 +1,302 @@
+/**
+ * TypeScript declarations for the Polly API client (api-client.js)
+ * The schema interfaces and PollyAPIEndpoints are generated from openapi.yaml by generate-sdk.js;
+ * the rest follows the hand-written parts of api-client.js.
+ */
+
+// BEGIN GENERATED types: generated from openapi.yaml by generate-sdk.js, do not edit
+export interface UserCreate {
+    username: string;
+    password: string;
+}
+
+export interface UserOut {
+    id?: number;
+    username?: string;
+}
+
+export interface Token {
+    access_token?: string;
+    token_type?: string;
+}
+
+export interface OptionOut {
+    id?: number;
+    text?: string;
+    poll_id?: number;
+}
+
+export interface PollCreate {
+    question: string;
+    options: string[];
+}
+
+export interface PollOut {
+    id?: number;
+    question?: string;
+    /** Format: date-time */
+    created_at?: string;
+    owner_id?: number;
+    options?: OptionOut[];
+}
+
+export interface VoteCreate {
+    option_id: number;
+}
+
+export interface VoteOut {
+    id?: number;
+    user_id?: number;
+    option_id?: number;
+    /** Format: date-time */
+    created_at?: string;
+}
+
+export interface PollResults {
+    poll_id?: number;
+    question?: string;
+    results?: Array<{ option_id?: number; text?: string; vote_count?: number }>;
+}
+
+/** Request body of POST /login */
+export interface LoginForm {
+    username: string;
+    password: string;
+}
+
+/** Endpoint methods generated from openapi.yaml, one per operation */
+export declare class PollyAPIEndpoints {
+    /** Build a query string, leaving out parameters without a value */
+    static buildQuery(params: Record<string, unknown>): string;
+
+    /**
+     * Register a new user
+     * POST /register
+     */
+    register(username: string, password: string, requestOptions?: RequestOptions): Promise<UserOut>;
+
+    /**
+     * Login and get JWT token
+     * POST /login
+     */
+    login(username: string, password: string, requestOptions?: RequestOptions): Promise<Token>;
+
+    /**
+     * Get all polls
+     * GET /polls
+     */
+    getPolls(skip?: number, limit?: number, requestOptions?: RequestOptions): Promise<PollOut[]>;
+
+    /**
+     * Create a new poll
+     * POST /polls
+     */
+    createPoll(question: string, options: string[], requestOptions?: RequestOptions): Promise<PollOut>;
+
+    /**
+     * Get a specific poll
+     * GET /polls/{poll_id}
+     */
+    getPoll(pollId: number, requestOptions?: RequestOptions): Promise<PollOut>;
+
+    /**
+     * Delete a poll
+     * DELETE /polls/{poll_id}
+     */
+    deletePoll(pollId: number, requestOptions?: RequestOptions): Promise<void>;
+
+    /**
+     * Vote on a poll
+     * POST /polls/{poll_id}/vote
+     */
+    castVote(pollId: number, optionId: number, requestOptions?: RequestOptions): Promise<VoteOut>;
+
+    /**
+     * Get poll results
+     * GET /polls/{poll_id}/results
+     */
+    getPollResults(pollId: number, requestOptions?: RequestOptions): Promise<PollResults>;
+}
+// END GENERATED types
+
+/** Options accepted by every endpoint method and makeRequest, on top of fetch's own */
+export interface RequestOptions {
+    /** Timeout in ms for each attempt; 0 disables it */
+    timeout?: number;
+    /** Retry attempts, GET only */
+    retries?: number;
+    /** Cancels the request and any pending retry */
+    signal?: AbortSignal;
+    /** Send no Authorization header */
+    skipAuth?: boolean;
+    /** Resolve with { data, status, etag } instead of the data; the endpoint methods' types assume it is off */
+    withResponseMeta?: boolean;
+    method?: string;
+    headers?: Record<string, string>;
+    body?: string | URLSearchParams;
+    [fetchOption: string]: unknown;
+}
+
+/** Request config passed through interceptors */
+export interface RequestConfig extends RequestOptions {
+    endpoint: string;
+    url: string;
+    method: string;
+    headers: Record<string, string>;
+    timeout: number;
+    retries: number;
+    /** State shared between the hooks of one request */
+    meta: Record<string, unknown>;
+    /** Replacement transport for this request */
+    fetch?: typeof fetch;
+}
+
+export interface Interceptor {
+    request?(config: RequestConfig): RequestConfig | void | Promise<RequestConfig | void>;
+    response?(data: unknown, context: { config: RequestConfig; response: Response }): unknown;
+    error?(error: Error, context: { config: RequestConfig }): unknown;
+}
+
+export interface ApiRequestInfo {
+    method: string;
+    url: string;
+    endpoint: string;
+}
+
+export interface FieldError {
+    field: string;
+    loc: Array<string | number>;
+    message: string;
+    type: string | null;
+    ctx: Record<string, unknown>;
+}
+
+export declare class ApiError extends Error {
+    constructor(message: string, info?: { status?: number | null; detail?: unknown; request?: ApiRequestInfo | null; cause?: unknown });
+    status: number | null;
+    detail: unknown;
+    request: ApiRequestInfo | null;
+    static fromResponse(status: number, statusText: string, body: unknown, request: ApiRequestInfo): ApiError;
+    static formatDetail(detail: unknown): string;
+}
+
+export declare class NetworkError extends ApiError {}
+export declare class TimeoutError extends NetworkError {}
+export declare class RequestCancelledError extends ApiError {}
+export declare class AuthError extends ApiError {}
+export declare class NotFoundError extends ApiError {}
+export declare class ConflictError extends ApiError {}
+
+export declare class ValidationError extends ApiError {
+    fieldErrors: FieldError[];
+    static parseFieldErrors(detail: unknown): FieldError[];
+}
+
+export interface TokenStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+export declare class MemoryTokenStorage implements TokenStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+export declare class WebTokenStorage implements TokenStorage {
+    /** @param storage - localStorage or sessionStorage */
+    constructor(storage: TokenStorage);
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+/** Node.js only */
+export declare class FileTokenStorage implements TokenStorage {
+    constructor(filePath: string);
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+export interface ClientOptions {
+    timeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    maxRetryDelay?: number;
+    fetch?: typeof fetch;
+    storage?: TokenStorage | 'local' | 'session' | 'memory';
+    /** Receives log, warn and error messages; defaults to console */
+    logger?: Pick<Console, 'log' | 'warn' | 'error'>;
+}
+
+/** A vote remembered for the current user; optionId is null when only the fact of voting is known */
+export interface VoteRecord {
+    optionId: number | null;
+    voteId: number | null;
+    votedAt: string | null;
+}
+
+/** Client events and their details */
+export interface ClientEvents {
+    expired: Record<string, unknown>;
+    unauthorized: Record<string, unknown>;
+    voteCast: { pollId: number; optionId: number; previousOptionId: number | null; vote: VoteOut };
+    pollDeleted: { pollId: number };
+}
+
+export declare class PollyAPIClient extends PollyAPIEndpoints {
+    constructor(baseURL?: string, options?: ClientOptions);
+    baseURL: string;
+    storage: TokenStorage;
+    timeout: number;
+    retries: number;
+    retryDelay: number;
+    maxRetryDelay: number;
+    logger: Pick<Console, 'log' | 'warn' | 'error'>;
+    token: string | null;
+    currentUser: string | null;
+    currentUserId: number | null;
+
+    static resolveStorage(storage?: ClientOptions['storage']): TokenStorage;
+
+    on<K extends keyof ClientEvents>(event: K, handler: (detail: ClientEvents[K]) => void): () => void;
+    off<K extends keyof ClientEvents>(event: K, handler: (detail: ClientEvents[K]) => void): void;
+    emit<K extends keyof ClientEvents>(event: K, detail?: ClientEvents[K]): void;
+
+    setAuth(token: string, username: string, userId?: number | null): void;
+    clearAuth(): void;
+    decodeToken(token: string): Record<string, unknown> | null;
+    getTokenExpiry(): Date | null;
+    isTokenExpired(): boolean;
+    endSession(reason: 'expired' | 'unauthorized', detail?: Record<string, unknown>): void;
+    use(interceptor: Interceptor): () => void;
+
+    getKnownUserIds(): Record<string, number>;
+    rememberUserId(username: string, userId: number): void;
+    setCurrentUserId(userId: number | null): void;
+    getRecordedVotes(): Record<string, VoteRecord>;
+    getRecordedVote(pollId: number): VoteRecord | null;
+    hasVoted(pollId: number): boolean;
+    recordVote(pollId: number, record: VoteRecord): void;
+    forgetVote(pollId: number): void;
+    canChangeVotes(): boolean | null;
+    setVoteChangesAllowed(allowed: boolean): void;
+
+    getAuthHeaders(): Record<string, string>;
+    makeRequest<T = unknown>(endpoint: string, options?: RequestOptions): Promise<T>;
+    revalidatePollResults(pollId: number, etag?: string | null, requestOptions?: RequestOptions):
+        Promise<{ data: PollResults | null; etag: string | null; notModified: boolean }>;
+
+    isAuthenticated(): boolean;
+    getCurrentUser(): string | null;
+    getCurrentUserId(): number | null;
+    isPollOwner(poll: Pick<PollOut, 'owner_id'>): boolean;
+}
+
+declare global {
+    interface Window {
+        apiClient: PollyAPIClient;
+    }
+}
@@ -3,33 +3,814 @@
  * Handles all API communication with the FastAPI backend
  */
 
-class PollyAPIClient {
-    constructor(baseURL = 'http://127.0.0.1:8000') {
+/**
+ * Base class for errors raised by PollyAPIClient
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} info - Error details
+     * @param {number|null} info.status - HTTP status code (null when no response arrived)
+     * @param {*} info.detail - Parsed FastAPI `detail` field
+     * @param {Object|null} info.request - Request info ({ method, url, endpoint })
+     * @param {Error} info.cause - Underlying error, if any
+     */
+    constructor(message, { status = null, detail = null, request = null, cause = undefined } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.detail = detail;
+        this.request = request;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+
+    /**
+     * Build the matching error subclass for an HTTP error response
+     * @param {number} status - HTTP status code
+     * @param {string} statusText - HTTP status text
+     * @param {Object} body - Parsed response body
+     * @param {Object} request - Request info
+     * @returns {ApiError} Typed error
+     */
+    static fromResponse(status, statusText, body, request) {
+        const detail = body && body.detail !== undefined ? body.detail : null;
+        const message = ApiError.formatDetail(detail) || `HTTP ${status}: ${statusText}`;
+        const info = { status, detail, request };
+
+        if (status === 401 || status === 403) {
+            return new AuthError(message, info);
+        }
+        if (status === 404) {
+            return new NotFoundError(message, info);
+        }
+        // FastAPI routes report duplicates ("Already voted", "Username already registered") as 400
+        if (status === 409 || (status === 400 && /already/i.test(message))) {
+            return new ConflictError(message, info);
+        }
+        if (status === 400 || status === 422) {
+            return new ValidationError(message, info);
+        }
+        return new ApiError(message, info);
+    }
+
+    /**
+     * Turn a FastAPI `detail` value into a readable message
+     * @param {*} detail - String detail or 422 validation error list
+     * @returns {string} Message text
+     */
+    static formatDetail(detail) {
+        if (Array.isArray(detail)) {
+            return detail.map(item => item.msg || String(item)).join('; ');
+        }
+        if (detail && typeof detail === 'object') {
+            return JSON.stringify(detail);
+        }
+        return detail ? String(detail) : '';
+    }
+}
+
+/**
+ * The request never produced a response (offline, DNS, CORS, server down)
+ */
+class NetworkError extends ApiError {}
+
+/**
+ * The request took longer than its timeout
+ */
+class TimeoutError extends NetworkError {}
+
+/**
+ * The request was cancelled through its AbortSignal
+ */
+class RequestCancelledError extends ApiError {}
+
+/**
+ * Missing, invalid or expired credentials (401/403)
+ */
+class AuthError extends ApiError {}
+
+/**
+ * The requested poll, option or user does not exist (404)
+ */
+class NotFoundError extends ApiError {}
+
+/**
+ * The request clashes with existing state, e.g. a repeated vote (409, or 400 "already ...")
+ */
+class ConflictError extends ApiError {}
+
+/**
+ * The payload was rejected (400/422)
+ */
+class ValidationError extends ApiError {
+    constructor(message, info = {}) {
+        super(message, info);
+        this.fieldErrors = ValidationError.parseFieldErrors(info.detail);
+    }
+
+    /**
+     * Extract per-field errors from a FastAPI 422 detail list
+     * @param {*} detail - FastAPI detail
+     * @returns {Array<Object>} Entries of { field, loc, message, type, ctx }
+     */
+    static parseFieldErrors(detail) {
+        if (!Array.isArray(detail)) {
+            return [];
+        }
+
+        return detail.map(item => {
+            const loc = Array.isArray(item.loc) ? item.loc : [];
+            // loc starts with the source ('body', 'query', 'path'); the rest is the field path
+            const path = ['body', 'query', 'path', 'header'].includes(loc[0]) ? loc.slice(1) : loc;
+            return {
+                field: path.join('.'),
+                loc,
+                message: item.msg || '',
+                type: item.type || null,
+                ctx: item.ctx || {},
+            };
+        });
+    }
+}
+
+/**
+ * Token storage kept in memory, for scripts, bots and tests
+ */
+class MemoryTokenStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Token storage backed by a Web Storage object (localStorage or sessionStorage)
+ */
+class WebTokenStorage {
+    /**
+     * @param {Storage} storage - window.localStorage or window.sessionStorage
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * Token storage persisted to a JSON file (Node.js only)
+ */
+class FileTokenStorage {
+    /**
+     * @param {string} filePath - Path of the JSON file holding the session
+     */
+    constructor(filePath) {
+        this.fs = require('fs');
+        this.path = require('path');
+        this.filePath = filePath;
+    }
+
+    /**
+     * Read all stored items
+     * @returns {Object} Stored items
+     */
+    read() {
+        try {
+            return JSON.parse(this.fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Write all items, readable by the current user only
+     * @param {Object} items - Items to store
+     */
+    write(items) {
+        this.fs.mkdirSync(this.path.dirname(this.filePath), { recursive: true });
+        this.fs.writeFileSync(this.filePath, JSON.stringify(items, null, 2), { mode: 0o600 });
+    }
+
+    getItem(key) {
+        const items = this.read();
+        return key in items ? items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.write({ ...this.read(), [key]: String(value) });
+    }
+
+    removeItem(key) {
+        const items = this.read();
+        delete items[key];
+        this.write(items);
+    }
+}
+
+// BEGIN GENERATED endpoints: generated from openapi.yaml by generate-sdk.js, do not edit
+/**
+ * Endpoint methods generated from openapi.yaml, one per operation
+ * PollyAPIClient extends this class and overrides the operations that do more than send the request.
+ */
+class PollyAPIEndpoints {
+    /**
+     * Build a query string, leaving out parameters without a value
+     * @param {Object} params - Query parameters
+     * @returns {string} '?name=value&...', or an empty string
+     */
+    static buildQuery(params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) {
+                query.append(name, value);
+            }
+        });
+        const text = query.toString();
+        return text ? `?${text}` : '';
+    }
+
+    /**
+     * Register a new user
+     * POST /register
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} User registered (UserOut)
+     */
+    async register(username, password, requestOptions = {}) {
+        return await this.makeRequest('/register', {
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ username, password }),
+        });
+    }
+
+    /**
+     * Login and get JWT token
+     * POST /login
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} JWT token (Token)
+     */
+    async login(username, password, requestOptions = {}) {
+        return await this.makeRequest('/login', {
+            ...requestOptions,
+            method: 'POST',
+            body: new URLSearchParams({ username, password }),
+        });
+    }
+
+    /**
+     * Get all polls
+     * GET /polls
+     * @param {number} skip - Number of items to skip
+     * @param {number} limit - Max number of items to return
+     * @param {Object} requestOptions - Request options (timeout, retries, signal)
+     * @returns {Promise<Array<Object>>} List of polls (PollOut[])
+     */
+    async getPolls(skip = 0, limit = 10, requestOptions = {}) {
+        return await this.makeRequest(`/polls${PollyAPIEndpoints.buildQuery({ skip, limit })}`, requestOptions);
+    }
+
+    /**
+     * Create a new poll
+     * POST /polls
+     * @param {string} question - Question
+     * @param {Array<string>} options - Options
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} Poll created (PollOut)
+     * @throws {AuthError} When no user is logged in
+     */
+    async createPoll(question, options, requestOptions = {}) {
+        if (!this.token) {
+            throw new AuthError('Authentication required to create a new poll');
+        }
+
+        return await this.makeRequest('/polls', {
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ question, options }),
+        });
+    }
+
+    /**
+     * Get a specific poll
+     * GET /polls/{poll_id}
+     * @param {number} pollId - Poll ID
+     * @param {Object} requestOptions - Request options (timeout, retries, signal)
+     * @returns {Promise<Object>} Poll details (PollOut)
+     */
+    async getPoll(pollId, requestOptions = {}) {
+        return await this.makeRequest(`/polls/${encodeURIComponent(pollId)}`, requestOptions);
+    }
+
+    /**
+     * Delete a poll
+     * DELETE /polls/{poll_id}
+     * @param {number} pollId - Poll ID
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<void>} Poll deleted
+     * @throws {AuthError} When no user is logged in
+     */
+    async deletePoll(pollId, requestOptions = {}) {
+        if (!this.token) {
+            throw new AuthError('Authentication required to delete a poll');
+        }
+
+        await this.makeRequest(`/polls/${encodeURIComponent(pollId)}`, {
+            ...requestOptions,
+            method: 'DELETE',
+        });
+    }
+
+    /**
+     * Vote on a poll
+     * POST /polls/{poll_id}/vote
+     * @param {number} pollId - Poll ID
+     * @param {number} optionId - Option ID
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} Vote recorded (VoteOut)
+     * @throws {AuthError} When no user is logged in
+     */
+    async castVote(pollId, optionId, requestOptions = {}) {
+        if (!this.token) {
+            throw new AuthError('Authentication required to vote on a poll');
+        }
+
+        return await this.makeRequest(`/polls/${encodeURIComponent(pollId)}/vote`, {
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ option_id: optionId }),
+        });
+    }
+
+    /**
+     * Get poll results
+     * GET /polls/{poll_id}/results
+     * @param {number} pollId - Poll ID
+     * @param {Object} requestOptions - Request options (timeout, retries, signal)
+     * @returns {Promise<Object>} Poll results (PollResults)
+     */
+    async getPollResults(pollId, requestOptions = {}) {
+        return await this.makeRequest(`/polls/${encodeURIComponent(pollId)}/results`, requestOptions);
+    }
+}
+// END GENERATED endpoints
+
+/**
+ * Client for the Polly API: sessions, interceptors, timeouts and retries, plus the vote
+ * bookkeeping around the endpoint methods it inherits from PollyAPIEndpoints
+ */
+class PollyAPIClient extends PollyAPIEndpoints {
+    /**
+     * @param {string} baseURL - API base URL
+     * @param {Object} options - Client options
+     * @param {number} options.timeout - Default per-request timeout in ms (0 disables it)
+     * @param {number} options.retries - Retry attempts for failed GET requests
+     * @param {number} options.retryDelay - Initial backoff delay in ms, doubled per attempt
+     * @param {number} options.maxRetryDelay - Upper bound for the backoff delay in ms
+     * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+     * @param {Object|string} options.storage - Token storage adapter with getItem/setItem/removeItem,
+     *                                          or 'local', 'session' or 'memory'
+     * @param {Object} options.logger - Receives log, warn and error messages (defaults to console)
+     */
+    constructor(baseURL = 'http://127.0.0.1:8000', options = {}) {
+        super();
         this.baseURL = baseURL;
-        this.token = localStorage.getItem('polly_token');
-        this.currentUser = localStorage.getItem('polly_user');
+        this.fetchImpl = options.fetch || null;
+        this.storage = PollyAPIClient.resolveStorage(options.storage);
+        this.timeout = options.timeout ?? 10000;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.maxRetryDelay = options.maxRetryDelay ?? 5000;
+        this.logger = options.logger || console;
+        this.token = this.storage.getItem('polly_token');
+        this.currentUser = this.storage.getItem('polly_user');
+        this.currentUserId = this.parseUserId(this.storage.getItem('polly_user_id'));
+        this.listeners = new Map();
+        this.interceptors = [];
+        this.expiryTimer = null;
+
+        // Drop a stored token that expired while the page was closed
+        if (this.token && this.isTokenExpired()) {
+            this.clearAuth();
+        } else {
+            this.scheduleExpiry();
+        }
+    }
+
+    /**
+     * Pick the token storage adapter for the client
+     * @param {Object|string} storage - Adapter, or 'local', 'session' or 'memory'
+     * @returns {Object} Storage adapter
+     */
+    static resolveStorage(storage) {
+        if (storage && typeof storage === 'object') {
+            return storage;
+        }
+        if (storage === 'session' && typeof sessionStorage !== 'undefined') {
+            return new WebTokenStorage(sessionStorage);
+        }
+        if (storage !== 'memory' && storage !== 'session' && typeof localStorage !== 'undefined') {
+            return new WebTokenStorage(localStorage);
+        }
+        return new MemoryTokenStorage();
+    }
+
+    /**
+     * Subscribe to a client event
+     * Session events: 'expired' (token reached its exp claim) and
+     * 'unauthorized' (the API answered 401 to an authenticated request).
+     * Data events: 'voteCast' ({ pollId, optionId, previousOptionId, vote }) and 'pollDeleted' ({ pollId })
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from a client event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Notify subscribers of a client event
+     * @param {string} event - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(event, detail = {}) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) {
+            return;
+        }
+
+        handlers.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                this.logger.error(`Error in '${event}' handler:`, error);
+            }
+        });
     }
 
     /**
      * Set authentication token
      * @param {string} token - JWT token
      * @param {string} username - Username
+     * @param {number|null} userId - User ID, if known
      */
-    setAuth(token, username) {
+    setAuth(token, username, userId = null) {
         this.token = token;
         this.currentUser = username;
-        localStorage.setItem('polly_token', token);
-        localStorage.setItem('polly_user', username);
+        this.storage.setItem('polly_token', token);
+        this.storage.setItem('polly_user', username);
+
+        // The login response carries no user ID, so fall back to the token
+        // claims or to an ID remembered from an earlier register/vote
+        const claims = this.decodeToken(token) || {};
+        const resolvedId = this.parseUserId(userId)
+            ?? this.parseUserId(claims.user_id ?? claims.id ?? claims.sub)
+            ?? this.getKnownUserIds()[username]
+            ?? null;
+        this.setCurrentUserId(resolvedId);
+        this.scheduleExpiry();
     }
 
     /**
      * Clear authentication
      */
     clearAuth() {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = null;
         this.token = null;
         this.currentUser = null;
-        localStorage.removeItem('polly_token');
-        localStorage.removeItem('polly_user');
+        this.currentUserId = null;
+        this.storage.removeItem('polly_token');
+        this.storage.removeItem('polly_user');
+        this.storage.removeItem('polly_user_id');
+    }
+
+    /**
+     * Decode the payload of a JWT without verifying it
+     * @param {string} token - JWT token
+     * @returns {Object|null} Token claims or null if the token is malformed
+     */
+    decodeToken(token) {
+        try {
+            const payload = token.split('.')[1];
+            const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Add an interceptor to every request made through makeRequest
+     * Hooks run in registration order and may be async:
+     * - request(config): return a changed config (or nothing to keep it).
+     *   config holds endpoint, url, method, headers, body, timeout, retries,
+     *   signal, a `meta` object for passing state to later hooks, and
+     *   `fetch`, which can be set to a replacement transport.
+     * - response(data, { config, response }): return replacement data (or nothing).
+     * - error(error, { config }): return a value to resolve the request with it,
+     *   throw to replace the error, or return nothing to pass the error on.
+     * @param {Object} interceptor - Object with request, response and/or error hooks
+     * @returns {Function} Function that removes the interceptor
+     */
+    use(interceptor) {
+        this.interceptors.push(interceptor);
+        return () => {
+            this.interceptors = this.interceptors.filter(entry => entry !== interceptor);
+        };
+    }
+
+    /**
+     * Pass a request config through the request hooks
+     * @param {Object} config - Request config
+     * @returns {Promise<Object>} Final request config
+     */
+    async runRequestInterceptors(config) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor.request) {
+                config = (await interceptor.request(config)) || config;
+            }
+        }
+        return config;
+    }
+
+    /**
+     * Pass response data through the response hooks
+     * @param {*} data - Parsed response data
+     * @param {Object} context - { config, response }
+     * @returns {Promise<*>} Final response data
+     */
+    async runResponseInterceptors(data, context) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor.response) {
+                const result = await interceptor.response(data, context);
+                if (result !== undefined) {
+                    data = result;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Pass a failure through the error hooks
+     * @param {Error} error - Request error
+     * @param {Object} context - { config }
+     * @returns {Promise<*>} Value supplied by a hook that recovered from the error
+     * @throws {Error} The error, possibly replaced by a hook, when no hook recovered
+     */
+    async runErrorInterceptors(error, context) {
+        for (const interceptor of this.interceptors) {
+            if (!interceptor.error) {
+                continue;
+            }
+            try {
+                const result = await interceptor.error(error, context);
+                if (result !== undefined) {
+                    return result;
+                }
+            } catch (replacement) {
+                error = replacement;
+            }
+        }
+
+        if (!(error instanceof RequestCancelledError)) {
+            this.logger.error('API Request failed:', error);
+        }
+        throw error;
+    }
+
+    /**
+     * Get the expiry time of the current token
+     * @returns {Date|null} Expiry date or null if the token has no exp claim
+     */
+    getTokenExpiry() {
+        const claims = this.token ? this.decodeToken(this.token) : null;
+        return claims && typeof claims.exp === 'number' ? new Date(claims.exp * 1000) : null;
+    }
+
+    /**
+     * Check if the current token has expired
+     * @returns {boolean} True if the token's exp claim is in the past
+     */
+    isTokenExpired() {
+        const expiry = this.getTokenExpiry();
+        return expiry !== null && expiry.getTime() <= Date.now();
+    }
+
+    /**
+     * Start a timer that ends the session when the token expires
+     */
+    scheduleExpiry() {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = null;
+
+        const expiry = this.getTokenExpiry();
+        if (!expiry) {
+            return;
+        }
+
+        // setTimeout overflows above ~24.8 days, so re-check in steps
+        const delay = Math.min(expiry.getTime() - Date.now(), 2147483647);
+        this.expiryTimer = setTimeout(() => {
+            if (this.isTokenExpired()) {
+                this.endSession('expired');
+            } else {
+                this.scheduleExpiry();
+            }
+        }, Math.max(delay, 0));
+
+        // Don't keep a Node process alive just to watch the token
+        if (typeof this.expiryTimer.unref === 'function') {
+            this.expiryTimer.unref();
+        }
+    }
+
+    /**
+     * Clear authentication and notify subscribers why the session ended
+     * @param {string} reason - 'expired' or 'unauthorized'
+     * @param {Object} detail - Extra event detail
+     */
+    endSession(reason, detail = {}) {
+        const username = this.currentUser;
+        this.clearAuth();
+        this.emit(reason, { username, ...detail });
+    }
+
+    /**
+     * Parse a user ID value
+     * @param {*} value - Raw user ID
+     * @returns {number|null} Numeric user ID or null
+     */
+    parseUserId(value) {
+        const id = Number(value);
+        return value !== null && value !== undefined && value !== '' && Number.isInteger(id) ? id : null;
+    }
+
+    /**
+     * Get user IDs learned from earlier API responses
+     * @returns {Object} Map of username to user ID
+     */
+    getKnownUserIds() {
+        try {
+            return JSON.parse(this.storage.getItem('polly_user_ids')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Remember the user ID belonging to a username
+     * @param {string} username - Username
+     * @param {number} userId - User ID
+     */
+    rememberUserId(username, userId) {
+        const knownIds = this.getKnownUserIds();
+        knownIds[username] = userId;
+        this.storage.setItem('polly_user_ids', JSON.stringify(knownIds));
+
+        if (username === this.currentUser) {
+            this.setCurrentUserId(userId);
+        }
+    }
+
+    /**
+     * Read the local vote store
+     * @returns {Object} Map of username to { pollId: vote record }
+     */
+    readVoteStore() {
+        try {
+            return JSON.parse(this.storage.getItem('polly_votes')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the votes this client knows the current user has cast
+     * @returns {Object} Map of poll ID to { optionId, voteId, votedAt }; optionId is null when the
+     *                   server reported an earlier vote that this client did not see
+     */
+    getRecordedVotes() {
+        if (!this.currentUser) {
+            return {};
+        }
+        return this.readVoteStore()[this.currentUser] || {};
+    }
+
+    /**
+     * Get the current user's vote on a poll
+     * @param {number} pollId - Poll ID
+     * @returns {Object|null} { optionId, voteId, votedAt }, or null if no vote is known
+     */
+    getRecordedVote(pollId) {
+        return this.getRecordedVotes()[pollId] || null;
+    }
+
+    /**
+     * Check if the current user is known to have voted on a poll
+     * @param {number} pollId - Poll ID
+     * @returns {boolean} True if a vote is recorded
+     */
+    hasVoted(pollId) {
+        return this.getRecordedVote(pollId) !== null;
+    }
+
+    /**
+     * Record the current user's vote on a poll
+     * @param {number} pollId - Poll ID
+     * @param {Object} record - { optionId, voteId, votedAt }
+     */
+    recordVote(pollId, record) {
+        if (!this.currentUser) {
+            return;
+        }
+
+        const store = this.readVoteStore();
+        store[this.currentUser] = { ...store[this.currentUser], [pollId]: record };
+        this.storage.setItem('polly_votes', JSON.stringify(store));
+    }
+
+    /**
+     * Forget every user's recorded vote on a poll (e.g. after it was deleted)
+     * @param {number} pollId - Poll ID
+     */
+    forgetVote(pollId) {
+        const store = this.readVoteStore();
+        Object.values(store).forEach(votes => delete votes[pollId]);
+        this.storage.setItem('polly_votes', JSON.stringify(store));
+    }
+
+    /**
+     * Whether the server lets users change their vote, as learned from earlier attempts
+     * @returns {boolean|null} True or false once known, null before any vote was changed
+     */
+    canChangeVotes() {
+        const learned = this.storage.getItem('polly_vote_changes');
+        return learned === null ? null : learned === 'allowed';
+    }
+
+    /**
+     * Remember whether the server accepts changed votes
+     * @param {boolean} allowed - True if a changed vote was accepted
+     */
+    setVoteChangesAllowed(allowed) {
+        this.storage.setItem('polly_vote_changes', allowed ? 'allowed' : 'rejected');
+    }
+
+    /**
+     * Set the current user's ID
+     * @param {number|null} userId - User ID
+     */
+    setCurrentUserId(userId) {
+        this.currentUserId = userId;
+        if (userId === null) {
+            this.storage.removeItem('polly_user_id');
+        } else {
+            this.storage.setItem('polly_user_id', String(userId));
+        }
     }
 
     /**
@@ -50,145 +831,351 @@ class PollyAPIClient {
 
     /**
      * Make HTTP request with error handling
+     * The request passes through the interceptor chain (see use()). GET
+     * requests are retried with exponential backoff on network errors,
+     * timeouts, 429 and 502-504; other methods are never retried.
      * @param {string} endpoint - API endpoint
-     * @param {Object} options - Fetch options
-     * @returns {Promise} Response data or error
+     * @param {Object} options - Fetch options, plus:
+     * @param {number} options.timeout - Timeout in ms for each attempt (defaults to the client timeout)
+     * @param {number} options.retries - Retry attempts (defaults to the client setting, GET only)
+     * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+     * @param {boolean} options.skipAuth - Send no Authorization header
+     * @param {boolean} options.withResponseMeta - Resolve with { data, status, etag } instead of the data
+     * @returns {Promise} Response data
+     * @throws {ApiError} NetworkError, TimeoutError, RequestCancelledError, AuthError,
+     *                    NotFoundError, ConflictError, ValidationError or ApiError
      */
     async makeRequest(endpoint, options = {}) {
+        if (this.token && this.isTokenExpired()) {
+            this.endSession('expired', { endpoint });
+        }
+
+        const {
+            timeout = this.timeout,
+            retries = this.retries,
+            signal,
+            skipAuth = false,
+            withResponseMeta = false,
+            ...fetchOptions
+        } = options;
+        const hadToken = !skipAuth && !!this.token;
+        let config = {
+            ...fetchOptions,
+            endpoint,
+            url: `${this.baseURL}${endpoint}`,
+            method: (fetchOptions.method || 'GET').toUpperCase(),
+            headers: this.buildHeaders(fetchOptions, skipAuth),
+            timeout,
+            retries,
+            signal,
+            fetch: undefined,
+            meta: {},
+        };
+
         try {
-            const url = `${this.baseURL}${endpoint}`;
-            const response = await fetch(url, {
-                ...options,
-                headers: {
-                    ...this.getAuthHeaders(),
-                    ...options.headers,
-                },
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.detail || `HTTP ${response.status}: ${response.statusText}`);
+            config = await this.runRequestInterceptors(config);
+            const { data, response } = await this.executeRequest(config, hadToken);
+            const result = await this.runResponseInterceptors(data, { config, response });
+            return withResponseMeta ? {
+                data: result,
+                status: response.status,
+                etag: response.headers ? response.headers.get('ETag') : null,
+            } : result;
+        } catch (error) {
+            return await this.runErrorInterceptors(error, { config });
+        }
+    }
+
+    /**
+     * Build the headers for a request
+     * @param {Object} options - Fetch options
+     * @param {boolean} skipAuth - Leave out the Authorization header
+     * @returns {Object} Headers object
+     */
+    buildHeaders(options, skipAuth) {
+        const headers = this.getAuthHeaders();
+
+        if (skipAuth) {
+            delete headers['Authorization'];
+        }
+
+        // Let fetch set the content type of form bodies itself
+        if (options.body !== undefined && typeof options.body !== 'string') {
+            delete headers['Content-Type'];
+        }
+
+        return { ...headers, ...options.headers };
+    }
+
+    /**
+     * Send a request config over the network, retrying GETs when allowed
+     * @param {Object} config - Request config produced by the request interceptors
+     * @param {boolean} hadToken - Whether the request was sent with a token
+     * @returns {Promise<Object>} { data, response }
+     */
+    async executeRequest(config, hadToken) {
+        const { endpoint, url, timeout, retries, signal, fetch: transport, meta, ...init } = config;
+        const request = { method: config.method, url, endpoint };
+        const maxAttempts = config.method === 'GET' ? retries + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await this.fetchWithTimeout(url, init, { timeout, signal, request, transport });
+
+                // 304 answers a conditional request (If-None-Match)
+                if (!response.ok && response.status !== 304) {
+                    throw await this.createResponseError(response, request, hadToken);
+                }
+
+                return { data: await this.parseResponse(response, request), response };
+            } catch (error) {
+                if (attempt >= maxAttempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+                await this.waitForRetry(attempt, signal, request);
             }
+        }
+    }
+
+    /**
+     * Run fetch with a timeout and an optional caller AbortSignal
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch init
+     * @param {Object} control - Request control
+     * @param {number} control.timeout - Timeout in ms (0 disables it)
+     * @param {AbortSignal} control.signal - Caller signal
+     * @param {Object} control.request - Request info for errors
+     * @param {Function} control.transport - fetch replacement set by an interceptor
+     * @returns {Promise<Response>} Fetch response
+     */
+    async fetchWithTimeout(url, init, { timeout, signal, request, transport }) {
+        if (signal && signal.aborted) {
+            throw new RequestCancelledError('Request was cancelled', { request });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const onAbort = () => controller.abort();
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
 
-            return await response.json();
+        try {
+            // Call through a local so browser fetch keeps its expected `this`
+            const send = transport || this.fetchImpl || fetch;
+            return await send(url, { ...init, signal: controller.signal });
         } catch (error) {
-            console.error('API Request failed:', error);
-            throw error;
+            if (timedOut) {
+                throw new TimeoutError(`Request timed out after ${timeout}ms`, { request, cause: error });
+            }
+            if (signal && signal.aborted) {
+                throw new RequestCancelledError('Request was cancelled', { request, cause: error });
+            }
+            throw new NetworkError(`Could not reach the server: ${error.message}`, { request, cause: error });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
         }
     }
 
     /**
-     * Register a new user
-     * @param {string} username - Username
-     * @param {string} password - Password
-     * @returns {Promise<Object>} User data
+     * Check whether a failed GET is worth retrying
+     * @param {Error} error - Error from the last attempt
+     * @returns {boolean} True for network errors, timeouts and transient server statuses
      */
-    async register(username, password) {
-        return await this.makeRequest('/register', {
-            method: 'POST',
-            body: JSON.stringify({ username, password }),
-        });
+    isRetryable(error) {
+        if (error instanceof NetworkError) {
+            return true;
+        }
+        return error instanceof ApiError && [429, 502, 503, 504].includes(error.status);
     }
 
     /**
-     * Login user
-     * @param {string} username - Username
-     * @param {string} password - Password
-     * @returns {Promise<Object>} Token data
+     * Sleep before the next retry, using exponential backoff with jitter
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {AbortSignal} signal - Caller signal; aborting ends the wait
+     * @param {Object} request - Request info for errors
+     * @returns {Promise<void>}
      */
-    async login(username, password) {
-        const formData = new FormData();
-        formData.append('username', username);
-        formData.append('password', password);
+    waitForRetry(attempt, signal, request) {
+        const backoff = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+        const delay = backoff / 2 + Math.random() * (backoff / 2);
 
-        const response = await fetch(`${this.baseURL}/login`, {
-            method: 'POST',
-            body: formData,
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new RequestCancelledError('Request was cancelled', { request }));
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, delay);
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                } else {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            }
         });
+    }
+
+    /**
+     * Build a typed error from a failed response
+     * @param {Response} response - Fetch response
+     * @param {Object} request - Request info
+     * @param {boolean} hadToken - Whether the request was sent with a token
+     * @returns {Promise<ApiError>} Typed error
+     */
+    async createResponseError(response, request, hadToken) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = ApiError.fromResponse(response.status, response.statusText, errorData, request);
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || `HTTP ${response.status}: ${response.statusText}`);
+        if (response.status === 401 && hadToken) {
+            this.endSession('unauthorized', { endpoint: request.endpoint });
         }
 
-        return await response.json();
+        return error;
     }
 
     /**
-     * Get all polls
-     * @param {number} skip - Number of polls to skip
-     * @param {number} limit - Maximum number of polls to return
-     * @returns {Promise<Array>} Array of polls
+     * Parse a successful response body
+     * @param {Response} response - Fetch response
+     * @param {Object} request - Request info
+     * @returns {Promise<*>} Parsed JSON or null for empty bodies
      */
-    async getPolls(skip = 0, limit = 10) {
-        return await this.makeRequest(`/polls?skip=${skip}&limit=${limit}`);
+    async parseResponse(response, request) {
+        // DELETE answers 204 No Content; 304 Not Modified has no body either
+        if (response.status === 204 || response.status === 304) {
+            return null;
+        }
+
+        const text = await response.text();
+        try {
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new ApiError('The server sent an invalid response', { status: response.status, request, cause: error });
+        }
     }
 
     /**
-     * Get a specific poll by ID
-     * @param {number} pollId - Poll ID
-     * @returns {Promise<Object>} Poll data
+     * Register a new user and remember their user ID
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} User data (UserOut)
      */
-    async getPoll(pollId) {
-        return await this.makeRequest(`/polls/${pollId}`);
+    async register(username, password, requestOptions = {}) {
+        const user = await super.register(username, password, requestOptions);
+
+        if (user && user.id !== undefined) {
+            this.rememberUserId(user.username || username, user.id);
+        }
+
+        return user;
     }
 
     /**
-     * Cast a vote on a poll
-     * @param {number} pollId - Poll ID
-     * @param {number} optionId - Option ID to vote for
-     * @returns {Promise<Object>} Vote data
+     * Login user
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} Token data (Token)
      */
-    async castVote(pollId, optionId) {
-        if (!this.token) {
-            throw new Error('Authentication required to vote');
+    async login(username, password, requestOptions = {}) {
+        try {
+            return await super.login(username, password, { ...requestOptions, skipAuth: true });
+        } catch (error) {
+            // A failed login means wrong credentials, not a broken session
+            if (error instanceof ValidationError && error.status === 400) {
+                throw new AuthError(error.message, error);
+            }
+            throw error;
         }
-
-        return await this.makeRequest(`/polls/${pollId}/vote`, {
-            method: 'POST',
-            body: JSON.stringify({ option_id: optionId }),
-        });
     }
 
     /**
-     * Get poll results
+     * Cast a vote on a poll, or change the current user's vote
+     * The vote is recorded locally (see getRecordedVote). A ConflictError means the user had
+     * already voted: from another device or session if no vote was recorded, otherwise the
+     * server does not allow changing votes.
      * @param {number} pollId - Poll ID
-     * @returns {Promise<Object>} Poll results with vote counts
+     * @param {number} optionId - Option ID to vote for
+     * @param {Object} requestOptions - Request options (timeout, signal)
+     * @returns {Promise<Object>} Vote data (VoteOut)
      */
-    async getPollResults(pollId) {
-        return await this.makeRequest(`/polls/${pollId}/results`);
+    async castVote(pollId, optionId, requestOptions = {}) {
+        const previous = this.getRecordedVote(pollId);
+        const changing = previous !== null && previous.optionId !== null && previous.optionId !== optionId;
+        let vote;
+        try {
+            vote = await super.castVote(pollId, optionId, requestOptions);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                if (changing) {
+                    this.setVoteChangesAllowed(false);
+                } else if (!previous) {
+                    this.recordVote(pollId, { optionId: null, voteId: null, votedAt: null });
+                }
+            }
+            throw error;
+        }
+
+        if (vote && vote.user_id !== undefined && this.currentUser) {
+            this.rememberUserId(this.currentUser, vote.user_id);
+        }
+
+        if (changing) {
+            this.setVoteChangesAllowed(true);
+        }
+        this.recordVote(pollId, {
+            optionId: vote && vote.option_id !== undefined ? vote.option_id : optionId,
+            voteId: vote && vote.id !== undefined ? vote.id : null,
+            votedAt: (vote && vote.created_at) || new Date().toISOString(),
+        });
+
+        this.emit('voteCast', { pollId, optionId, previousOptionId: previous ? previous.optionId : null, vote });
+        return vote;
     }
 
     /**
-     * Create a new poll
-     * @param {string} question - Poll question
-     * @param {Array<string>} options - Array of option texts
-     * @returns {Promise<Object>} Created poll data
+     * Get poll results with a conditional request
+     * @param {number} pollId - Poll ID
+     * @param {string|null} etag - ETag of the cached results, sent as If-None-Match
+     * @param {Object} requestOptions - Request options (timeout, retries, signal)
+     * @returns {Promise<Object>} { data, etag, notModified } - data is null when notModified
      */
-    async createPoll(question, options) {
-        if (!this.token) {
-            throw new Error('Authentication required to create polls');
-        }
-
-        return await this.makeRequest('/polls', {
-            method: 'POST',
-            body: JSON.stringify({ question, options }),
+    async revalidatePollResults(pollId, etag = null, requestOptions = {}) {
+        const { data, status, etag: newEtag } = await this.getPollResults(pollId, {
+            ...requestOptions,
+            headers: etag ? { ...requestOptions.headers, 'If-None-Match': etag } : requestOptions.headers,
+            withResponseMeta: true,
         });
+
+        return { data, etag: newEtag || etag, notModified: status === 304 };
     }
 
     /**
-     * Delete a poll
+     * Delete a poll and forget the vote recorded for it
      * @param {number} pollId - Poll ID
+     * @param {Object} requestOptions - Request options (timeout, signal)
      * @returns {Promise<void>}
      */
-    async deletePoll(pollId) {
-        if (!this.token) {
-            throw new Error('Authentication required to delete polls');
-        }
+    async deletePoll(pollId, requestOptions = {}) {
+        await super.deletePoll(pollId, requestOptions);
 
-        await this.makeRequest(`/polls/${pollId}`, {
-            method: 'DELETE',
-        });
+        this.forgetVote(pollId);
+        this.emit('pollDeleted', { pollId });
     }
 
     /**
@@ -196,7 +1183,7 @@ class PollyAPIClient {
      * @returns {boolean} True if authenticated
      */
     isAuthenticated() {
-        return !!this.token;
+        return !!this.token && !this.isTokenExpired();
     }
 
     /**
@@ -206,7 +1193,50 @@ class PollyAPIClient {
     getCurrentUser() {
         return this.currentUser;
     }
+
+    /**
+     * Get current user's ID
+     * @returns {number|null} Current user ID or null if not known yet
+     */
+    getCurrentUserId() {
+        return this.currentUserId;
+    }
+
+    /**
+     * Check if the current user owns a poll
+     * @param {Object} poll - Poll object
+     * @returns {boolean} True if the poll's owner_id matches the current user
+     */
+    isPollOwner(poll) {
+        return this.currentUserId !== null && poll.owner_id === this.currentUserId;
+    }
 }
 
-// Create global API client instance
-window.apiClient = new PollyAPIClient();
+const pollyApiExports = {
+    PollyAPIClient,
+    PollyAPIEndpoints,
+    MemoryTokenStorage,
+    WebTokenStorage,
+    FileTokenStorage,
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    RequestCancelledError,
+    AuthError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+};
+
+// CommonJS export for Node scripts and tests (api-client.mjs re-exports it as ESM)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = pollyApiExports;
+}
+
+if (typeof window !== 'undefined') {
+    // Expose classes for instanceof checks in the UI
+    Object.assign(window, pollyApiExports);
+
+    // Create global API client instance
+    window.apiClient = new PollyAPIClient();
+}
@@ -0,0 +1,24 @@
+/**
+ * ES module entry for the Polly API client
+ * Re-exports api-client.js for Node and bundlers; pages keep using the script tag
+ */
+
+import pollyApi from './api-client.js';
+
+export const {
+    PollyAPIClient,
+    PollyAPIEndpoints,
+    MemoryTokenStorage,
+    WebTokenStorage,
+    FileTokenStorage,
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    RequestCancelledError,
+    AuthError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+} = pollyApi;
+
+export default PollyAPIClient;
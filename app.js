@@ -7,6 +7,40 @@ class PollyApp {
     constructor() {
         this.currentPoll = null;
         this.selectedOption = null;
+        this.changingVote = false;
+        this.pendingVote = null;
+        this.draftOptions = [];
+        this.polls = [];
+        this.listQuery = new PollListQuery();
+        this.pageSize = 10;
+        this.scanLimit = 200; // Most polls fetched to search, filter or sort in the browser
+        this.voteTotalsLimit = 50; // Most polls whose results are fetched to sort by votes
+        this.scanTruncated = false;
+        this.voteTotalsTruncated = false;
+        this.hasNextPage = false;
+        this.pollsPaged = true;
+        this.loadedPollsKey = null;
+        this.voteTotals = new Map();
+        this.searchTimer = null;
+        this.confirmingDeleteId = null;
+        this.pendingDeletions = new Map();
+        this.undoWindow = 5000;
+        this.activeAction = null;
+        this.pendingAction = null;
+        this.pollsRequest = null;
+        this.pollRequest = null;
+        this.stopLiveResults = null;
+        this.offline = new OfflineStore(apiClient);
+        this.validator = new PollyValidator();
+        // Input IDs of each form's fields, for inline errors; option rows are added per draft
+        this.formFields = {
+            register: { username: 'reg-username', password: 'reg-password' },
+            login: { username: 'username', password: 'password' },
+            createPoll: { question: 'new-poll-question' }
+        };
+        this.offlineMode = false;
+        this.syncProblems = [];
+        this.router = new HashRouter({ fallback: '/polls' });
         this.init();
     }
 
@@ -14,15 +48,84 @@ class PollyApp {
      * Initialize the application
      */
     init() {
+        this.setupLanguage();
+        this.setupTheme();
         this.setupEventListeners();
+        this.setupSessionHandlers();
+        this.setupConnectionHandlers();
         this.checkAuthStatus();
-        this.loadPolls();
+        this.setupRoutes();
+    }
+
+    /**
+     * Map URL hashes to views and show the one in the address bar
+     */
+    setupRoutes() {
+        this.router
+            .on('/polls', (params, query) => this.showPollList(query))
+            .on('/polls/:id', ({ id }) => this.showPoll(Number(id)))
+            .on('/polls/:id/results', ({ id }) => this.showPoll(Number(id), { results: true }))
+            .on('/create', () => this.showCreateForm())
+            .on('/login', () => this.showAuthPage('login'))
+            .on('/register', () => this.showAuthPage('register'));
+        this.router.start();
+    }
+
+    /**
+     * Translate the page and re-render it whenever the user switches language
+     */
+    setupLanguage() {
+        i18n.renderLanguageSelect(document.getElementById('language-select'));
+        i18n.translatePage();
+        i18n.onChange(() => this.renderLanguage());
+    }
+
+    /**
+     * Show the saved theme in the theme switcher; theme.js has already applied it
+     */
+    setupTheme() {
+        document.getElementById('theme-select').value = theme.theme;
+    }
+
+    /**
+     * Show everything on screen in the current language
+     */
+    renderLanguage() {
+        i18n.translatePage();
+        document.getElementById('language-select').value = i18n.locale;
+        this.renderWelcome();
+
+        // A list still loading is rendered when it arrives
+        const loading = document.querySelector('#polls-container .loading');
+        if (loading) {
+            loading.textContent = i18n.t('list.loading');
+        } else {
+            this.renderPollList();
+        }
+        this.renderConnectionStatus();
+        this.renderUndoBar();
+        this.renderPasswordStrength();
+        if (this.draftOptions.length > 0) {
+            this.renderDraftOptions();
+        }
+
+        if (this.currentPoll) {
+            this.renderVoteStatus();
+            if (this.selectedOption !== null) {
+                this.selectOption(this.selectedOption);
+            }
+            // Results rendered in another language are rebuilt rather than updated in place
+            this.loadPollResults(this.currentPoll.id);
+        }
     }
 
     /**
      * Setup event listeners
      */
     setupEventListeners() {
+        // Buttons and fields name their handler in data-action
+        this.actions = new ActionDelegator(document.body, this.getActionHandlers());
+
         // Handle form submissions
         document.getElementById('username').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.login();
@@ -38,6 +141,261 @@ class PollyApp {
         });
     }
 
+    /**
+     * Get the handlers for data-action attributes in the page and rendered markup
+     * @returns {Object} Functions by action name, called with (element, event)
+     */
+    getActionHandlers() {
+        const pollId = element => Number(element.dataset.pollId);
+        const index = element => Number(element.dataset.index);
+
+        return {
+            login: () => this.login(),
+            register: () => this.register(),
+            logout: () => this.logout(),
+            setPollFilter: element => this.setPollFilter(element.dataset.filter),
+            searchPolls: element => this.searchPolls(element.value),
+            filterPolls: element => this.updatePollQuery({ [element.dataset.param]: element.value.trim() }),
+            clearPollQuery: () => this.clearPollQuery(),
+            goToPollPage: element => this.goToPollPage(Number(element.dataset.page)),
+            viewPoll: element => this.viewPoll(pollId(element)),
+            confirmDeletePoll: element => this.confirmDeletePoll(pollId(element)),
+            deletePoll: element => this.deletePoll(pollId(element)),
+            cancelDeletePoll: () => this.cancelDeletePoll(),
+            undoDeletePoll: element => this.undoDeletePoll(pollId(element)),
+            selectOption: element => this.selectOption(Number(element.dataset.optionId)),
+            castVote: () => this.castVote(),
+            startChangeVote: () => this.startChangeVote(),
+            cancelChangeVote: () => this.cancelChangeVote(),
+            cancelQueuedVote: element => this.cancelQueuedVote(pollId(element)),
+            loadPollResults: element => this.loadPollResults(pollId(element)),
+            goBack: () => this.goBack(),
+            showCreatePoll: () => this.showCreatePoll(),
+            updateCreatePreview: () => this.updateCreatePreview(),
+            addDraftOption: () => this.addDraftOption(),
+            updateDraftOption: element => this.updateDraftOption(index(element), element.value),
+            moveDraftOption: element => this.moveDraftOption(index(element), Number(element.dataset.direction)),
+            removeDraftOption: element => this.removeDraftOption(index(element)),
+            submitCreatePoll: () => this.submitCreatePoll(),
+            cancelCreatePoll: () => this.cancelCreatePoll(),
+            syncOfflineQueue: () => this.syncOfflineQueue(),
+            dismissSyncProblems: () => this.dismissSyncProblems(),
+            setLanguage: element => i18n.setLocale(element.value),
+            setTheme: element => theme.setTheme(element.value),
+            validateRegisterField: element => this.validateRegisterField(element)
+        };
+    }
+
+    /**
+     * React to the API client ending the session
+     */
+    setupSessionHandlers() {
+        apiClient.on('expired', () => this.handleSessionEnded(i18n.t('session.expired')));
+        apiClient.on('unauthorized', () => this.handleSessionEnded(i18n.t('session.signedOut')));
+    }
+
+    /**
+     * Track connectivity and send queued actions when it returns
+     */
+    setupConnectionHandlers() {
+        window.addEventListener('online', () => {
+            this.setOffline(false);
+            this.syncOfflineQueue();
+        });
+        window.addEventListener('offline', () => this.setOffline(true));
+
+        // Actions queued in an earlier visit
+        this.offline.ready.then(() => {
+            this.renderConnectionStatus();
+            if (navigator.onLine !== false) {
+                this.syncOfflineQueue();
+            }
+        });
+    }
+
+    /**
+     * Send the user back to the login form, keeping the action they were attempting
+     * @param {string} message - Message to show
+     */
+    handleSessionEnded(message) {
+        if (this.activeAction) {
+            this.pendingAction = this.activeAction;
+        }
+
+        this.leaveMyPolls();
+        this.showLoginForm();
+        document.getElementById('username').focus();
+        this.showMessage(
+            this.pendingAction ? i18n.t('session.resume', { message, action: this.pendingAction.name }) : message,
+            'error'
+        );
+    }
+
+    /**
+     * Run an action that needs a session, asking for login first when there is none
+     * @param {string} name - What the action does, for the login messages: 'castVote',
+     *                        'deletePoll', 'openCreateForm' or 'createPoll'
+     * @param {Function} action - Async function performing the action
+     */
+    async runAuthenticated(name, action) {
+        const entry = { name, action };
+
+        if (!apiClient.isAuthenticated()) {
+            this.pendingAction = entry;
+            this.showLoginForm();
+            document.getElementById('username').focus();
+            this.showMessage(i18n.t('auth.loginToAction', { action: name }), 'error');
+            return;
+        }
+
+        this.activeAction = entry;
+        try {
+            await action();
+        } finally {
+            if (this.activeAction === entry) {
+                this.activeAction = null;
+            }
+        }
+    }
+
+    /**
+     * Retry the action that was interrupted by a missing or ended session
+     */
+    async resumePendingAction() {
+        const pending = this.pendingAction;
+        this.pendingAction = null;
+
+        if (pending) {
+            await this.runAuthenticated(pending.name, pending.action);
+        }
+    }
+
+    /**
+     * Check whether an error means the session ended mid-request
+     * @param {Error} error - Error thrown by the API client
+     * @returns {boolean} True for 401 responses, which the session handlers report
+     */
+    isSessionError(error) {
+        return error instanceof AuthError && error.status === 401;
+    }
+
+    /**
+     * Turn an API client error into a message for the user
+     * @param {Error} error - Error thrown by the API client
+     * @param {Object} overrides - Messages for this action, keyed by
+     *                             timeout, network, auth, notFound, conflict or validation
+     * @returns {string} Message text
+     */
+    describeError(error, overrides = {}) {
+        if (error instanceof TimeoutError) {
+            return overrides.timeout || i18n.t('errors.timeout');
+        }
+        if (error instanceof NetworkError) {
+            return overrides.network || i18n.t('errors.network');
+        }
+        if (error instanceof AuthError) {
+            return overrides.auth || i18n.t('errors.auth');
+        }
+        if (error instanceof NotFoundError) {
+            return overrides.notFound || i18n.t('errors.notFound');
+        }
+        if (error instanceof ConflictError) {
+            return overrides.conflict || error.message;
+        }
+        if (error instanceof ValidationError) {
+            if (overrides.validation) {
+                return overrides.validation;
+            }
+            if (error.fieldErrors.length > 0) {
+                return error.fieldErrors
+                    .map(fieldError => (fieldError.field ? `${fieldError.field}: ${fieldError.message}` : fieldError.message))
+                    .join('; ');
+            }
+        }
+        return error.message;
+    }
+
+    /**
+     * Show a form's field errors and move focus to the first invalid field
+     * @param {Object} fields - Input IDs by field name
+     * @param {Array<Object>} errors - Field errors from PollyValidator
+     * @returns {boolean} True when the form is valid
+     */
+    checkForm(fields, errors) {
+        const unmatched = this.renderFieldErrors(fields, errors);
+        if (errors.length === 0) {
+            return true;
+        }
+
+        const invalid = Object.values(fields)
+            .map(id => document.getElementById(id))
+            .find(input => input && input.getAttribute('aria-invalid') === 'true');
+        if (invalid) {
+            invalid.focus();
+        }
+        this.showMessage(unmatched.length > 0 ? this.describeFieldError(unmatched[0]) : i18n.t('validation.fixFields'), 'error');
+        return false;
+    }
+
+    /**
+     * Show field errors under their inputs, in the element `${inputId}-error`
+     * Fields without an error are cleared.
+     * @param {Object} fields - Input IDs by field name, e.g. { username: 'reg-username', 'options.1': 'draft-option-1' }
+     * @param {Array<Object>} errors - Field errors from PollyValidator or a server ValidationError
+     * @returns {Array<Object>} Errors of fields not in the form
+     */
+    renderFieldErrors(fields, errors) {
+        Object.entries(fields).forEach(([field, inputId]) => {
+            const input = document.getElementById(inputId);
+            const message = document.getElementById(`${inputId}-error`);
+            const error = errors.find(fieldError => fieldError.field === field);
+            if (!input || !message) {
+                return;
+            }
+
+            message.textContent = error ? this.describeFieldError(error) : '';
+            if (error) {
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                input.removeAttribute('aria-invalid');
+            }
+        });
+
+        return errors.filter(error => !(error.field in fields));
+    }
+
+    /**
+     * Turn a field error into a message for the user
+     * A message for the field ('validation.options.missing' for options.2) wins over the
+     * one for the error type ('validation.missing'); unknown server errors keep their text.
+     * @param {Object} error - Field error { field, message, type, ctx }
+     * @returns {string} Message text
+     */
+    describeFieldError(error) {
+        const field = error.field.replace(/\.\d+$/, '');
+        const key = [`validation.${field}.${error.type}`, `validation.${error.type}`].find(candidate => i18n.has(candidate));
+        return key ? i18n.t(key, error.ctx || {}) : error.message;
+    }
+
+    /**
+     * Describe a failed form submission, showing a 422 response's field errors under the inputs
+     * @param {Object} fields - Input IDs by field name
+     * @param {Error} error - Error thrown by the API client
+     * @param {Object} overrides - Messages for describeError
+     * @returns {string} Message text
+     */
+    describeFormError(fields, error, overrides = {}) {
+        if (error instanceof ValidationError && error.fieldErrors.length > 0) {
+            const unmatched = this.renderFieldErrors(fields, error.fieldErrors);
+            if (unmatched.length < error.fieldErrors.length) {
+                return unmatched.length > 0
+                    ? unmatched.map(fieldError => this.describeFieldError(fieldError)).join('; ')
+                    : i18n.t('validation.fixFields');
+            }
+        }
+        return this.describeError(error, overrides);
+    }
+
     /**
      * Check authentication status on page load
      */
@@ -56,6 +414,10 @@ class PollyApp {
         document.getElementById('login-form').style.display = 'block';
         document.getElementById('register-form').style.display = 'none';
         document.getElementById('user-info').style.display = 'none';
+        document.getElementById('create-poll-btn').style.display = 'none';
+        document.getElementById('poll-tabs').style.display = 'none';
+        this.refreshVoteState();
+        this.renderConnectionStatus();
     }
 
     /**
@@ -83,7 +445,20 @@ class PollyApp {
         document.getElementById('login-form').style.display = 'none';
         document.getElementById('register-form').style.display = 'none';
         document.getElementById('user-info').style.display = 'block';
-        document.getElementById('current-user').textContent = apiClient.getCurrentUser();
+        this.renderWelcome();
+        document.getElementById('create-poll-btn').style.display = 'inline-block';
+        document.getElementById('poll-tabs').style.display = 'inline-flex';
+        this.refreshVoteState();
+        this.renderConnectionStatus();
+    }
+
+    /**
+     * Greet the logged-in user
+     */
+    renderWelcome() {
+        if (apiClient.isAuthenticated()) {
+            document.getElementById('welcome').textContent = i18n.t('auth.welcome', { username: apiClient.getCurrentUser() });
+        }
     }
 
     /**
@@ -92,22 +467,65 @@ class PollyApp {
     async register() {
         const username = document.getElementById('reg-username').value.trim();
         const password = document.getElementById('reg-password').value;
+        const fields = this.formFields.register;
 
-        if (!username || !password) {
-            this.showMessage('Please fill in all fields', 'error');
+        if (!this.checkForm(fields, this.validator.validate('UserCreate', { username, password }))) {
             return;
         }
 
         try {
-            this.showMessage('Registering...', 'info');
+            this.showMessage(i18n.t('auth.registering'), 'info');
             await apiClient.register(username, password);
-            this.showMessage('Registration successful! Please login.', 'success');
-            this.showLogin();
+            this.showMessage(i18n.t('auth.registered'), 'success');
+            this.router.navigate('/login', { replace: true });
             document.getElementById('reg-username').value = '';
             document.getElementById('reg-password').value = '';
+            this.renderPasswordStrength();
         } catch (error) {
-            this.showMessage(`Registration failed: ${error.message}`, 'error');
+            this.showMessage(i18n.t('auth.registerFailed', {
+                error: this.describeFormError(fields, error, { conflict: i18n.t('auth.usernameTaken') })
+            }), 'error');
+        }
+    }
+
+    /**
+     * Check a registration field while it is typed in
+     * Empty fields aren't flagged until the form is submitted.
+     * @param {HTMLInputElement} input - Username or password input
+     */
+    validateRegisterField(input) {
+        const fields = this.formFields.register;
+        const field = Object.keys(fields).find(name => fields[name] === input.id);
+        const errors = this.validator.validate('UserCreate', {
+            username: document.getElementById(fields.username).value.trim(),
+            password: document.getElementById(fields.password).value
+        });
+
+        this.renderFieldErrors({ [field]: input.id }, errors.filter(error => error.type !== 'missing'));
+        if (field === 'password') {
+            this.renderPasswordStrength();
+        }
+    }
+
+    /**
+     * Show how strong the password typed into the registration form is
+     */
+    renderPasswordStrength() {
+        const password = document.getElementById('reg-password').value;
+        const container = document.getElementById('password-strength');
+        container.hidden = !password;
+        if (!password) {
+            return;
         }
+
+        const strength = this.validator.passwordStrength(password, {
+            username: document.getElementById('reg-username').value.trim()
+        });
+        document.getElementById('password-strength-meter').value = strength.score;
+        document.getElementById('password-strength-text').textContent = [
+            i18n.t('validation.strength', { level: strength.level }),
+            ...strength.suggestions.slice(0, 1).map(suggestion => i18n.t(`validation.suggestion.${suggestion}`))
+        ].join('. ');
     }
 
     /**
@@ -116,23 +534,30 @@ class PollyApp {
     async login() {
         const username = document.getElementById('username').value.trim();
         const password = document.getElementById('password').value;
+        const fields = this.formFields.login;
 
-        if (!username || !password) {
-            this.showMessage('Please fill in all fields', 'error');
+        if (!this.checkForm(fields, this.validator.validate('LoginForm', { username, password }))) {
             return;
         }
 
         try {
-            this.showMessage('Logging in...', 'info');
+            this.showMessage(i18n.t('auth.loggingIn'), 'info');
             const tokenData = await apiClient.login(username, password);
             apiClient.setAuth(tokenData.access_token, username);
             this.showUserInfo();
-            this.showMessage('Login successful!', 'success');
+            if (['/login', '/register'].includes(this.router.current && this.router.current.path)) {
+                this.router.navigate(this.listQuery.toPath(), { replace: true });
+            }
+            this.showMessage(i18n.t('auth.loggedIn'), 'success');
             this.loadPolls();
             document.getElementById('username').value = '';
             document.getElementById('password').value = '';
+            await this.resumePendingAction();
+            await this.syncOfflineQueue();
         } catch (error) {
-            this.showMessage(`Login failed: ${error.message}`, 'error');
+            this.showMessage(i18n.t('auth.loginFailed', {
+                error: this.describeFormError(fields, error, { auth: i18n.t('auth.wrongCredentials') })
+            }), 'error');
         }
     }
 
@@ -140,24 +565,140 @@ class PollyApp {
      * Handle user logout
      */
     logout() {
+        this.pendingAction = null;
+        this.syncProblems = [];
+        // Commit queued deletions while the token is still available
+        this.flushPendingDeletions();
         apiClient.clearAuth();
+        this.leaveMyPolls();
         this.showLoginForm();
-        this.showMessage('Logged out successfully', 'info');
+        if (document.getElementById('poll-create').style.display !== 'none') {
+            this.cancelCreatePoll();
+        }
+        this.showMessage(i18n.t('auth.loggedOut'), 'info');
         this.loadPolls();
     }
 
     /**
-     * Load and display polls
+     * Load and display polls for the current list query
+     * Plain lists are fetched a page at a time; searched, filtered and sorted lists are
+     * built from the first scanLimit polls, which are fetched once and reused while the
+     * query changes.
+     * @param {Object} options - Load options
+     * @param {boolean} options.reuse - Keep the polls already loaded for this kind of query
      */
-    async loadPolls() {
+    async loadPolls({ reuse = false } = {}) {
         const container = document.getElementById('polls-container');
-        container.innerHTML = '<p class="loading">Loading polls...</p>';
+        const query = this.listQuery;
+        const reusing = reuse && this.loadedPollsKey === query.fetchKey;
+
+        // A newer load supersedes any request still in flight
+        if (this.pollsRequest) {
+            this.pollsRequest.abort();
+        }
+        const request = new AbortController();
+        this.pollsRequest = request;
+
+        if (!reusing) {
+            container.innerHTML = `<p class="loading">${i18n.html('list.loading')}</p>`;
+        }
 
         try {
-            const polls = await apiClient.getPolls();
-            this.displayPolls(polls);
+            if (!reusing) {
+                let polls;
+                if (query.isFiltered) {
+                    const scan = await this.fetchPollsToScan(request.signal);
+                    polls = scan.polls;
+                    this.scanTruncated = scan.truncated;
+                    this.hasNextPage = false;
+                } else {
+                    this.scanTruncated = false;
+                    // One extra poll tells whether there is a next page
+                    const page = await apiClient.getPolls((query.page - 1) * this.pageSize, this.pageSize + 1, { signal: request.signal });
+                    this.hasNextPage = page.length > this.pageSize;
+                    polls = page.slice(0, this.pageSize);
+                }
+
+                this.offline.cachePollList(polls);
+                this.setOffline(false);
+                this.voteTotals = new Map();
+                this.loadedPollsKey = query.fetchKey;
+                this.pollsPaged = !query.isFiltered;
+                this.polls = polls.filter(poll => !this.pendingDeletions.has(poll.id));
+            }
+
+            if (query.sort === 'votes') {
+                await this.loadVoteTotals(request.signal);
+            }
+            this.renderPollList();
         } catch (error) {
-            container.innerHTML = `<p style="color: #e53e3e;">Error loading polls: ${error.message}</p>`;
+            if (error instanceof RequestCancelledError) {
+                return;
+            }
+            if (OfflineStore.isOfflineError(error)) {
+                await this.offline.ready;
+                const cached = this.offline.getCachedPollList();
+                if (cached && this.pollsRequest === request) {
+                    this.setOffline(true);
+                    this.loadedPollsKey = null;
+                    this.pollsPaged = false;
+                    this.scanTruncated = false;
+                    this.displayPolls(cached);
+                    return;
+                }
+            }
+            container.innerHTML = `<p class="list-error">${i18n.html('list.loadFailed', { error: this.escapeHtml(this.describeError(error)) })}</p>`;
+            this.renderPagination(null);
+        }
+    }
+
+    /**
+     * Fetch the polls a search, filter or sort looks at, page by page
+     * The API can't search, so the list is built in the browser from at most scanLimit polls.
+     * @param {AbortSignal} signal - Cancels the remaining requests
+     * @returns {Promise<Object>} { polls, truncated } with polls in server order; truncated
+     *                            when the server has more polls than were fetched
+     */
+    async fetchPollsToScan(signal) {
+        const batchSize = 100;
+        const polls = [];
+
+        // One poll past the limit tells whether there are more. Stop at an empty page rather
+        // than a short one, in case the server caps the limit.
+        while (polls.length <= this.scanLimit) {
+            const page = await apiClient.getPolls(polls.length, Math.min(batchSize, this.scanLimit + 1 - polls.length), { signal });
+            if (page.length === 0) {
+                break;
+            }
+            polls.push(...page);
+        }
+        return { polls: polls.slice(0, this.scanLimit), truncated: polls.length > this.scanLimit };
+    }
+
+    /**
+     * Fetch total votes of the polls matching the current query for sorting by votes
+     * Only the first voteTotalsLimit matching polls are looked up; the others sort last.
+     * @param {AbortSignal} signal - Cancels the remaining requests
+     */
+    async loadVoteTotals(signal) {
+        const unsorted = new PollListQuery({ ...this.listQuery.toParams(), sort: '' });
+        const matching = unsorted.apply(this.polls, { currentUserId: apiClient.getCurrentUserId() });
+        const missing = matching.slice(0, this.voteTotalsLimit).filter(poll => !this.voteTotals.has(poll.id));
+        this.voteTotalsTruncated = matching.length > this.voteTotalsLimit;
+
+        // A few at a time so long lists don't flood the server
+        for (let i = 0; i < missing.length; i += 5) {
+            await Promise.all(missing.slice(i, i + 5).map(async poll => {
+                try {
+                    const results = await pollResultsManager.getPollResults(poll.id, false, { signal });
+                    this.voteTotals.set(poll.id, results.results.reduce((sum, result) => sum + result.vote_count, 0));
+                } catch (error) {
+                    if (error instanceof RequestCancelledError) {
+                        throw error;
+                    }
+                    // Polls whose results can't be loaded sort last
+                }
+            }));
         }
     }
 
@@ -166,163 +707,828 @@ class PollyApp {
      * @param {Array} polls - Array of poll objects
      */
     displayPolls(polls) {
+        // Keep polls hidden while their deletion can still be undone
+        this.polls = polls.filter(poll => !this.pendingDeletions.has(poll.id));
+        this.renderPollList();
+    }
+
+    /**
+     * Render the loaded polls, applying the current search, filters, sort order and page
+     */
+    renderPollList() {
         const container = document.getElementById('polls-container');
-        
+        const query = this.listQuery;
+        const showingMine = query.owner === 'me';
+
+        this.renderScanNotice();
+
+        if (showingMine && apiClient.getCurrentUserId() === null) {
+            container.innerHTML = `
+                <p class="list-notice">
+                    ${i18n.html('list.unknownUserId')}
+                </p>
+            `;
+            this.renderPagination(null);
+            return;
+        }
+
+        let polls = this.polls;
+        let pagination = { page: query.page, hasNext: this.hasNextPage, summary: i18n.t('list.page', { page: query.page }) };
+        if (!this.pollsPaged) {
+            const matching = query.apply(this.polls, {
+                currentUserId: apiClient.getCurrentUserId(),
+                voteTotals: this.voteTotals
+            });
+            const page = query.paginate(matching, this.pageSize);
+            polls = page.items;
+            pagination = {
+                page: page.page,
+                hasNext: page.page < page.pageCount,
+                summary: i18n.t('list.pageOf', { page: page.page, pageCount: page.pageCount, total: page.total })
+            };
+        }
+        this.renderPagination(pagination);
+
         if (polls.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #718096;">No polls available yet.</p>';
+            let empty = 'list.empty';
+            if (showingMine) {
+                empty = 'list.emptyMine';
+            } else if (query.isFiltered) {
+                empty = 'list.noMatches';
+            } else if (query.page > 1) {
+                empty = 'list.noMorePolls';
+            }
+            container.innerHTML = `<p class="list-notice">${i18n.html(empty)}</p>`;
             return;
         }
 
-        container.innerHTML = polls.map(poll => `
-            <div class="poll-card" onclick="app.viewPoll(${poll.id})">
-                <h3>${this.escapeHtml(poll.question)}</h3>
-                <p>Created by User ID: ${poll.owner_id}</p>
-                <div class="poll-meta">
-                    <span>${new Date(poll.created_at).toLocaleDateString()}</span>
-                    <span class="option-count">${poll.options.length} options</span>
-                </div>
-            </div>
-        `).join('');
+        KeyedList.patch(container, polls, { key: poll => poll.id, render: poll => this.renderPollCard(poll) });
     }
 
     /**
-     * View a specific poll
-     * @param {number} pollId - Poll ID
+     * Say when a searched, filtered or sorted list only covers some of the polls
      */
-    async viewPoll(pollId) {
-        try {
-            this.showMessage('Loading poll...', 'info');
-            const poll = await apiClient.getPoll(pollId);
-            this.currentPoll = poll;
-            this.displayPollDetail(poll);
-        } catch (error) {
-            this.showMessage(`Error loading poll: ${error.message}`, 'error');
+    renderScanNotice() {
+        const notice = document.getElementById('poll-scan-notice');
+        const parts = [];
+
+        if (!this.pollsPaged && this.scanTruncated) {
+            parts.push(i18n.t('list.scanLimited', { count: this.scanLimit }));
+        }
+        if (!this.pollsPaged && this.listQuery.sort === 'votes' && this.voteTotalsTruncated) {
+            parts.push(i18n.t('list.votesLimited', { count: this.voteTotalsLimit }));
         }
+        notice.textContent = parts.join(' ');
+        notice.hidden = parts.length === 0;
     }
 
     /**
-     * Display poll detail view
+     * Render the page controls below the poll list
+     * @param {Object|null} pagination - { page, hasNext, summary } with a plain-text summary, or null to hide the controls
+     */
+    renderPagination(pagination) {
+        const nav = document.getElementById('poll-pagination');
+        if (!pagination || (pagination.page === 1 && !pagination.hasNext && !this.listQuery.isFiltered)) {
+            nav.innerHTML = '';
+            return;
+        }
+
+        nav.innerHTML = `
+            <button data-action="goToPollPage" data-page="${pagination.page - 1}" ${pagination.page > 1 ? '' : 'disabled'}>${i18n.html('list.previous')}</button>
+            <span>${this.escapeHtml(pagination.summary)}</span>
+            <button data-action="goToPollPage" data-page="${pagination.page + 1}" ${pagination.hasNext ? '' : 'disabled'}>${i18n.html('list.next')}</button>
+        `;
+    }
+
+    /**
+     * Render a single poll card
      * @param {Object} poll - Poll object
+     * @returns {string} HTML for the poll card
      */
-    displayPollDetail(poll) {
-        document.querySelector('.poll-section').style.display = 'none';
-        document.getElementById('poll-detail').style.display = 'block';
-        
-        document.getElementById('poll-question').textContent = poll.question;
-        
-        const optionsContainer = document.getElementById('poll-options');
-        optionsContainer.innerHTML = poll.options.map(option => `
-            <div class="poll-option" onclick="app.selectOption(${option.id})">
-                <input type="radio" name="poll-option" id="option-${option.id}" value="${option.id}">
-                <label for="option-${option.id}">${this.escapeHtml(option.text)}</label>
-            </div>
-        `).join('');
+    renderPollCard(poll) {
+        const isOwner = apiClient.isPollOwner(poll);
+        let ownerControls = '';
 
-        // Show vote button if user is authenticated
-        const voteStatus = document.getElementById('vote-status');
-        if (apiClient.isAuthenticated()) {
-            voteStatus.innerHTML = `
-                <button class="vote-button" onclick="app.castVote()" disabled>
-                    Select an option to vote
-                </button>
+        if (isOwner && this.confirmingDeleteId === poll.id) {
+            ownerControls = `
+                <div class="delete-confirm" data-action="">
+                    <span>${i18n.html('card.confirmDelete')}</span>
+                    <button class="danger-btn" data-action="deletePoll" data-poll-id="${poll.id}">${i18n.html('common.delete')}</button>
+                    <button data-action="cancelDeletePoll">${i18n.html('common.cancel')}</button>
+                </div>
             `;
-        } else {
-            voteStatus.innerHTML = `
-                <p style="text-align: center; color: #e53e3e; padding: 20px;">
-                    Please login to vote on this poll
-                </p>
+        } else if (isOwner) {
+            ownerControls = `
+                <button class="delete-poll-btn" data-action="confirmDeletePoll" data-poll-id="${poll.id}">${i18n.html('common.delete')}</button>
             `;
         }
 
-        // Load and display results
-        this.loadPollResults(poll.id);
+        // The question is a real link for keyboard and screen reader users; the rest of the
+        // card opens the poll on click. The link navigates by itself, so it stops the card's action.
+        return `
+            <div class="poll-card ${isOwner ? 'owned' : ''}" data-action="viewPoll" data-poll-id="${poll.id}">
+                <h3><a class="poll-card-link" href="${this.router.href(`/polls/${poll.id}`)}" data-action="">${this.escapeHtml(poll.question)}</a></h3>
+                <p>${isOwner ? `<span class="owner-badge">${i18n.html('card.createdByYou')}</span>` : i18n.html('card.createdBy', { id: String(poll.owner_id) })}</p>
+                <div class="poll-meta">
+                    <span>${this.escapeHtml(i18n.formatDate(poll.created_at))}</span>
+                    ${this.voteTotals.has(poll.id) ? `<span class="vote-total">${i18n.html('results.voteCount', { count: this.voteTotals.get(poll.id) })}</span>` : ''}
+                    <span class="option-count">${i18n.html('card.options', { count: poll.options.length })}</span>
+                </div>
+                ${ownerControls}
+            </div>
+        `;
     }
 
     /**
-     * Select a poll option
-     * @param {number} optionId - Option ID
+     * Switch between all polls and the current user's polls
+     * @param {string} filter - 'all' or 'mine'
      */
-    selectOption(optionId) {
-        // Remove previous selection
-        document.querySelectorAll('.poll-option').forEach(option => {
-            option.classList.remove('selected');
-        });
-
-        // Add selection to clicked option
-        const selectedOption = document.querySelector(`input[value="${optionId}"]`).closest('.poll-option');
-        selectedOption.classList.add('selected');
-        selectedOption.querySelector('input').checked = true;
-
-        this.selectedOption = optionId;
-
-        // Enable vote button
-        const voteButton = document.querySelector('.vote-button');
-        if (voteButton) {
-            voteButton.disabled = false;
-            voteButton.textContent = 'Cast Vote';
-        }
+    setPollFilter(filter) {
+        this.updatePollQuery({ owner: filter === 'mine' ? 'me' : '' });
     }
 
     /**
-     * Cast a vote on the current poll
+     * Drop the "My Polls" filter, which needs a logged-in user
      */
-    async castVote() {
-        if (!this.selectedOption) {
-            this.showMessage('Please select an option first', 'error');
+    leaveMyPolls() {
+        if (this.listQuery.owner !== 'me') {
             return;
         }
 
-        if (!apiClient.isAuthenticated()) {
-            this.showMessage('Please login to vote', 'error');
-            return;
+        const query = this.listQuery.with({ owner: '' });
+        if (this.router.current && this.router.current.path === '/polls') {
+            this.router.navigate(query.toPath(), { replace: true });
+        } else {
+            this.listQuery = query;
         }
+    }
 
-        try {
-            this.showMessage('Casting vote...', 'info');
-            await apiClient.castVote(this.currentPoll.id, this.selectedOption);
-            this.showMessage('Vote cast successfully!', 'success');
-            
-            // Reload poll results to show updated counts
-            await this.loadPollResults(this.currentPoll.id);
-            
-            // Disable voting
-            const voteButton = document.querySelector('.vote-button');
-            if (voteButton) {
-                voteButton.disabled = true;
-                voteButton.textContent = 'Vote Cast!';
-            }
-        } catch (error) {
-            this.showMessage(`Vote failed: ${error.message}`, 'error');
-        }
+    /**
+     * Change the list's search, filters, sort order or page through the URL
+     * @param {Object} changes - PollListQuery parameters to change
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry
+     */
+    updatePollQuery(changes, { replace = false } = {}) {
+        clearTimeout(this.searchTimer);
+        this.router.navigate(this.listQuery.with(changes).toPath(), { replace });
     }
 
     /**
-     * Load and display poll results
-     * @param {number} pollId - Poll ID
+     * Search poll questions once the user pauses typing
+     * @param {string} text - Search text
      */
-    async loadPollResults(pollId) {
-        try {
-            // Use the enhanced poll results manager
-            await pollResultsManager.displayPollResults(pollId, 'poll-results', {
-                showPercentages: true,
-                showWinner: true,
-                showTotalVotes: true,
-                showCharts: false,
-                compact: false
+    searchPolls(text) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.updatePollQuery({ q: text }, { replace: true }), 300);
+    }
+
+    /**
+     * Show another page of the list
+     * @param {number} page - Page number, from 1
+     */
+    goToPollPage(page) {
+        this.updatePollQuery({ page });
+        const section = document.querySelector('.poll-section');
+        if (section.scrollIntoView) {
+            section.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    /**
+     * Remove the search, filters and sort order
+     */
+    clearPollQuery() {
+        this.updatePollQuery({ q: '', owner: '', from: '', to: '', sort: '' });
+    }
+
+    /**
+     * Show the current list query in the search and filter controls
+     */
+    renderListControls() {
+        const query = this.listQuery;
+        const values = {
+            'poll-search': query.q,
+            'poll-owner': query.owner === 'me' ? '' : query.owner,
+            'poll-from': query.from,
+            'poll-to': query.to,
+            'poll-sort': query.sort
+        };
+
+        // Leave fields alone while they already match, so typing isn't disturbed
+        Object.entries(values).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field.value.trim() !== value) {
+                field.value = value;
+            }
+        });
+        [['tab-all-polls', query.owner !== 'me'], ['tab-my-polls', query.owner === 'me']].forEach(([id, active]) => {
+            const tab = document.getElementById(id);
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    /**
+     * Ask for confirmation before deleting a poll
+     * @param {number} pollId - Poll ID
+     */
+    confirmDeletePoll(pollId) {
+        this.confirmingDeleteId = pollId;
+        this.renderPollList();
+    }
+
+    /**
+     * Dismiss the delete confirmation
+     */
+    cancelDeletePoll() {
+        this.confirmingDeleteId = null;
+        this.renderPollList();
+    }
+
+    /**
+     * Remove a poll from the list and delete it once the undo window has passed
+     * @param {number} pollId - Poll ID
+     */
+    deletePoll(pollId) {
+        const index = this.polls.findIndex(poll => poll.id === pollId);
+        if (index === -1) {
+            return;
+        }
+
+        const [poll] = this.polls.splice(index, 1);
+        this.confirmingDeleteId = null;
+        this.renderPollList();
+
+        const timer = setTimeout(() => this.commitDeletePoll(pollId), this.undoWindow);
+        this.pendingDeletions.set(pollId, { poll, index, timer });
+        this.renderUndoBar();
+    }
+
+    /**
+     * Restore a poll whose deletion is still pending
+     * @param {number} pollId - Poll ID
+     */
+    undoDeletePoll(pollId) {
+        const pending = this.pendingDeletions.get(pollId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingDeletions.delete(pollId);
+        this.restorePoll(pending);
+        this.renderUndoBar();
+        this.showMessage(i18n.t('delete.restored'), 'info');
+    }
+
+    /**
+     * Send a pending deletion to the API
+     * @param {number} pollId - Poll ID
+     */
+    async commitDeletePoll(pollId) {
+        const pending = this.pendingDeletions.get(pollId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingDeletions.delete(pollId);
+        this.renderUndoBar();
+
+        await this.runAuthenticated('deletePoll', async () => {
+            try {
+                await apiClient.deletePoll(pollId);
+                this.showMessage(i18n.t('delete.deleted'), 'success');
+            } catch (error) {
+                this.restorePoll(pending);
+                if (!this.isSessionError(error)) {
+                    this.showMessage(i18n.t('delete.failed', {
+                        error: this.describeError(error, { notFound: i18n.t('delete.notFound') })
+                    }), 'error');
+                }
+            }
+        });
+    }
+
+    /**
+     * Delete every pending poll immediately
+     */
+    flushPendingDeletions() {
+        Array.from(this.pendingDeletions.keys()).forEach(pollId => this.commitDeletePoll(pollId));
+    }
+
+    /**
+     * Put a poll back at its former position in the list
+     * @param {Object} pending - Pending deletion entry
+     */
+    restorePoll(pending) {
+        if (!this.polls.some(poll => poll.id === pending.poll.id)) {
+            this.polls.splice(Math.min(pending.index, this.polls.length), 0, pending.poll);
+        }
+        this.renderPollList();
+    }
+
+    /**
+     * Render undo controls for pending deletions
+     */
+    renderUndoBar() {
+        const undoBar = document.getElementById('undo-bar');
+        KeyedList.patch(undoBar, Array.from(this.pendingDeletions.values()), {
+            key: ({ poll }) => poll.id,
+            render: ({ poll }) => `
+                <div class="undo-item">
+                    <span>${i18n.html('delete.undoLabel', { question: this.escapeHtml(poll.question) })}</span>
+                    <button data-action="undoDeletePoll" data-poll-id="${poll.id}">${i18n.html('delete.undo')}</button>
+                </div>
+            `
+        });
+        undoBar.classList.toggle('show', this.pendingDeletions.size > 0);
+    }
+
+    /**
+     * View a specific poll
+     * @param {number} pollId - Poll ID
+     * @returns {Promise<void>} Resolves once the poll is shown
+     */
+    viewPoll(pollId) {
+        return this.router.navigate(`/polls/${pollId}`);
+    }
+
+    /**
+     * Show a poll's detail view (#/polls/:id and #/polls/:id/results)
+     * @param {number} pollId - Poll ID
+     * @param {Object} options - View options
+     * @param {boolean} options.results - Scroll to the results
+     */
+    async showPoll(pollId, { results = false } = {}) {
+        if (!Number.isInteger(pollId)) {
+            await this.router.navigate('/polls', { replace: true });
+            return;
+        }
+
+        // Moving between a poll and its results doesn't reload it
+        const shown = this.currentPoll && this.currentPoll.id === pollId &&
+            document.getElementById('poll-detail').style.display !== 'none';
+        if (!shown) {
+            await this.loadPoll(pollId);
+        }
+
+        const resultsContainer = document.getElementById('poll-results');
+        if (results && this.currentPoll && this.currentPoll.id === pollId && resultsContainer.scrollIntoView) {
+            resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Fetch a poll and display it, or return to the list when it can't be shown
+     * @param {number} pollId - Poll ID
+     */
+    async loadPoll(pollId) {
+        this.cancelPollRequests();
+        const request = new AbortController();
+        this.pollRequest = request;
+
+        try {
+            this.showMessage(i18n.t('poll.loading'), 'info');
+            const poll = await apiClient.getPoll(pollId, { signal: request.signal });
+            this.offline.cachePoll(poll);
+            this.setOffline(false);
+            this.currentPoll = poll;
+            this.displayPollDetail(poll);
+            document.getElementById('poll-question').focus();
+        } catch (error) {
+            if (error instanceof RequestCancelledError) {
+                return;
+            }
+            if (OfflineStore.isOfflineError(error)) {
+                await this.offline.ready;
+                const cached = this.offline.getCachedPoll(pollId);
+                if (cached && this.pollRequest === request) {
+                    this.setOffline(true);
+                    this.showMessage(i18n.t('poll.offlineCopy'), 'info');
+                    this.currentPoll = cached;
+                    this.displayPollDetail(cached);
+                    document.getElementById('poll-question').focus();
+                    return;
+                }
+            }
+            this.showMessage(i18n.t('poll.loadFailed', {
+                error: this.describeError(error, { notFound: i18n.t('poll.notFound') })
+            }), 'error');
+            if (this.pollRequest === request) {
+                this.router.navigate('/polls', { replace: true });
+            }
+        }
+    }
+
+    /**
+     * Cancel requests that belong to the poll detail view
+     */
+    cancelPollRequests() {
+        if (this.pollRequest) {
+            this.pollRequest.abort();
+            this.pollRequest = null;
+        }
+        if (this.stopLiveResults) {
+            this.stopLiveResults();
+            this.stopLiveResults = null;
+        }
+    }
+
+    /**
+     * Display poll detail view
+     * @param {Object} poll - Poll object
+     */
+    displayPollDetail(poll) {
+        document.querySelector('.poll-section').style.display = 'none';
+        document.getElementById('poll-detail').style.display = 'block';
+        
+        document.getElementById('poll-question').textContent = poll.question;
+        
+        const optionsContainer = document.getElementById('poll-options');
+        // Native radio buttons give the group arrow-key navigation; their change events select too
+        optionsContainer.innerHTML = poll.options.map(option => `
+            <div class="poll-option" data-action="selectOption change:selectOption" data-option-id="${option.id}">
+                <input type="radio" name="poll-option" id="option-${option.id}" value="${option.id}">
+                <label for="option-${option.id}">${this.escapeHtml(option.text)}</label>
+            </div>
+        `).join('');
+
+        // Open in the "you voted" state when the user has already voted
+        this.selectedOption = null;
+        this.changingVote = false;
+        this.renderVoteStatus();
+
+        // Load and display results, then keep them live
+        document.getElementById('poll-results').style.display = 'block';
+        this.loadPollResults(poll.id);
+        let firstResults = true;
+        this.stopLiveResults = pollResultsManager.subscribe(poll.id, results => {
+            const resultsContainer = document.getElementById('poll-results');
+            if (this.currentPoll && this.currentPoll.id === poll.id) {
+                pollResultsManager.renderResults(resultsContainer, results, this.getResultsDisplayOptions());
+                // The first delivery is what the page already shows
+                if (!firstResults) {
+                    this.announceResults(results);
+                }
+                firstResults = false;
+            }
+        });
+    }
+
+    /**
+     * Render the vote controls and option states of the current poll from the user's recorded vote
+     */
+    renderVoteStatus() {
+        if (!this.currentPoll) {
+            return;
+        }
+
+        const vote = apiClient.isAuthenticated() ? apiClient.getRecordedVote(this.currentPoll.id) : null;
+        const votedOption = vote && this.currentPoll.options.find(option => option.id === vote.optionId);
+        const queued = apiClient.isAuthenticated() ? this.offline.getQueuedVote(this.currentPoll.id) : null;
+        const queuedOption = queued && this.currentPoll.options.find(option => option.id === queued.payload.optionId);
+        const sending = !!this.pendingVote && this.pendingVote.pollId === this.currentPoll.id;
+        const locked = sending || ((vote !== null || queued !== null) && !this.changingVote);
+        const hadFocus = document.getElementById('poll-detail').contains(document.activeElement);
+
+        document.querySelectorAll('#poll-options .poll-option').forEach(element => {
+            const input = element.querySelector('input');
+            const isVoted = !!votedOption && Number(input.value) === votedOption.id;
+            const isQueued = !!queuedOption && Number(input.value) === queuedOption.id;
+            element.classList.toggle('locked', locked);
+            element.classList.toggle('voted', isVoted);
+            element.classList.toggle('queued', isQueued);
+            input.disabled = locked;
+            if (locked) {
+                element.classList.remove('selected');
+                input.checked = queuedOption ? isQueued : isVoted;
+            }
+        });
+
+        const voteStatus = document.getElementById('vote-status');
+        if (sending) {
+            voteStatus.innerHTML = `
+                <button class="vote-button" disabled>
+                    ${i18n.html(this.changingVote ? 'vote.changing' : 'vote.casting')}
+                </button>
+            `;
+        } else if (!apiClient.isAuthenticated()) {
+            voteStatus.innerHTML = `
+                <p class="login-required">
+                    ${i18n.html('vote.loginRequired')}
+                </p>
+            `;
+        } else if (queued && !this.changingVote) {
+            voteStatus.innerHTML = `
+                <div class="voted-status queued">
+                    <p>${i18n.html('vote.queued', {
+                        option: `<strong>${this.escapeHtml(queuedOption ? queuedOption.text : i18n.t('vote.queuedThisPoll'))}</strong>`
+                    })}</p>
+                    <button class="back-btn" data-action="cancelQueuedVote" data-poll-id="${this.currentPoll.id}">${i18n.html('vote.cancelQueued')}</button>
+                </div>
+            `;
+        } else if (locked) {
+            // Changing is offered until the server has been seen to reject it
+            const canChange = !!votedOption && apiClient.canChangeVotes() !== false;
+            voteStatus.innerHTML = `
+                <div class="voted-status">
+                    <p>${votedOption
+                        ? i18n.html('vote.votedFor', { option: `<strong>${this.escapeHtml(votedOption.text)}</strong>` })
+                        : i18n.html('vote.alreadyVoted')}</p>
+                    ${canChange ? `<button class="back-btn" data-action="startChangeVote">${i18n.html('vote.change')}</button>` : ''}
+                </div>
+            `;
+        } else if (this.changingVote) {
+            voteStatus.innerHTML = `
+                <button class="vote-button" data-action="castVote" disabled>
+                    ${i18n.html('vote.selectDifferent')}
+                </button>
+                <button class="back-btn" data-action="cancelChangeVote">${i18n.html('vote.keep')}</button>
+            `;
+        } else {
+            voteStatus.innerHTML = `
+                <button class="vote-button" data-action="castVote" disabled>
+                    ${i18n.html('vote.selectOption')}
+                </button>
+            `;
+        }
+
+        // Keep keyboard users in the voting controls when the focused one was replaced or disabled
+        const focused = document.activeElement;
+        if (hadFocus && (!focused || focused === document.body || focused.disabled)) {
+            (voteStatus.querySelector('button:not([disabled])') || voteStatus).focus();
+        }
+    }
+
+    /**
+     * Update the detail view after the user or their votes changed
+     */
+    refreshVoteState() {
+        if (!this.currentPoll) {
+            return;
+        }
+        this.changingVote = false;
+        this.selectedOption = null;
+        this.renderVoteStatus();
+        this.loadPollResults(this.currentPoll.id);
+    }
+
+    /**
+     * Let the user pick a different option for their vote
+     */
+    startChangeVote() {
+        this.changingVote = true;
+        this.selectedOption = null;
+        this.renderVoteStatus();
+    }
+
+    /**
+     * Leave the change-vote mode without voting
+     */
+    cancelChangeVote() {
+        this.changingVote = false;
+        this.selectedOption = null;
+        this.renderVoteStatus();
+    }
+
+    /**
+     * Select a poll option
+     * @param {number} optionId - Option ID
+     */
+    selectOption(optionId) {
+        // Options are locked while a vote is sent and once the user has voted, unless they are changing it
+        if (this.pendingVote) {
+            return;
+        }
+        const pollId = this.currentPoll.id;
+        if (apiClient.isAuthenticated() && (apiClient.hasVoted(pollId) || this.offline.getQueuedVote(pollId)) && !this.changingVote) {
+            return;
+        }
+
+        // Remove previous selection
+        document.querySelectorAll('.poll-option').forEach(option => {
+            option.classList.remove('selected');
+        });
+
+        // Add selection to clicked option
+        const selectedOption = document.querySelector(`input[value="${optionId}"]`).closest('.poll-option');
+        selectedOption.classList.add('selected');
+        selectedOption.querySelector('input').checked = true;
+
+        this.selectedOption = optionId;
+
+        // Enable vote button
+        const voteButton = document.querySelector('#vote-status .vote-button');
+        if (voteButton && this.changingVote) {
+            const vote = apiClient.getRecordedVote(this.currentPoll.id);
+            const unchanged = vote && vote.optionId === optionId;
+            voteButton.disabled = unchanged;
+            voteButton.textContent = i18n.t(unchanged ? 'vote.selectDifferent' : 'vote.submitChange');
+        } else if (voteButton) {
+            voteButton.disabled = false;
+            voteButton.textContent = i18n.t('vote.cast');
+        }
+    }
+
+    /**
+     * Cast a vote on the current poll
+     */
+    async castVote() {
+        if (this.validator.validate('VoteCreate', { option_id: this.selectedOption }).length > 0) {
+            this.showMessage(i18n.t('vote.selectFirst'), 'error');
+            return;
+        }
+
+        const pollId = this.currentPoll.id;
+        const optionId = this.selectedOption;
+        await this.runAuthenticated('castVote', () => this.submitVote(pollId, optionId));
+    }
+
+    /**
+     * Send a vote to the API
+     * The vote is counted in the displayed and cached results straight away and
+     * rolled back if the server rejects it.
+     * @param {number} pollId - Poll ID
+     * @param {number} optionId - Option ID
+     */
+    async submitVote(pollId, optionId) {
+        // Ignore repeated clicks while a vote is on its way
+        if (this.pendingVote) {
+            return;
+        }
+
+        const changing = this.changingVote;
+        const previous = apiClient.getRecordedVote(pollId);
+        const optimistic = pollResultsManager.applyOptimisticVote(pollId, optionId, previous ? previous.optionId : null);
+
+        this.pendingVote = { pollId, optionId };
+        this.renderVoteStatus();
+        this.renderCurrentResults(pollId, optimistic.results);
+
+        try {
+            this.showMessage(i18n.t(changing ? 'vote.changing' : 'vote.casting'), 'info');
+            await apiClient.castVote(pollId, optionId);
+            optimistic.confirm();
+            this.pendingVote = null;
+            this.showMessage(i18n.t(changing ? 'vote.changed' : 'vote.castDone'), 'success');
+
+            // The user may have navigated away while logging back in
+            if (!this.currentPoll || this.currentPoll.id !== pollId) {
+                return;
+            }
+
+            // Show the voted state and confirm the counts with the server in the background
+            this.refreshVoteState();
+        } catch (error) {
+            const restored = optimistic.rollback();
+            this.pendingVote = null;
+
+            // Without a connection the vote waits in the offline queue instead
+            if (OfflineStore.isOfflineError(error)) {
+                this.queueVote(pollId, optionId);
+                if (this.currentPoll && this.currentPoll.id === pollId) {
+                    this.changingVote = false;
+                    this.selectedOption = null;
+                    this.renderCurrentResults(pollId, restored);
+                    this.renderVoteStatus();
+                }
+                return;
+            }
+
+            if (!this.isSessionError(error)) {
+                this.showMessage(i18n.t('vote.failed', {
+                    error: this.describeError(error, {
+                        timeout: i18n.t('vote.timedOut'),
+                        notFound: i18n.t('vote.notFound'),
+                        conflict: i18n.t(changing ? 'vote.cannotChange' : 'vote.duplicate')
+                    })
+                }), 'error');
+            }
+
+            if (!this.currentPoll || this.currentPoll.id !== pollId) {
+                return;
+            }
+
+            if (error instanceof ConflictError) {
+                // The client now knows about the earlier vote
+                this.refreshVoteState();
+            } else {
+                // Keep the selection so the user can try again
+                this.renderCurrentResults(pollId, restored);
+                this.renderVoteStatus();
+                if (this.selectedOption !== null) {
+                    this.selectOption(this.selectedOption);
+                }
+            }
+        }
+    }
+
+    /**
+     * Queue a vote to be sent once the server can be reached
+     * @param {number} pollId - Poll ID
+     * @param {number} optionId - Option ID
+     */
+    queueVote(pollId, optionId) {
+        const payload = { pollId, optionId };
+        this.offline.enqueue('vote', payload, this.describeQueuedItem({ type: 'vote', payload }));
+        this.setOffline(true);
+        this.showMessage(i18n.t('vote.queuedOffline'), 'info');
+    }
+
+    /**
+     * Describe a queued action in the current language
+     * Items are described from their payload, so the queue follows a language switch.
+     * @param {Object} item - Queued item
+     * @returns {string} e.g. 'Vote for "Pizza" on "Lunch?"'
+     */
+    describeQueuedItem(item) {
+        const { type, payload } = item;
+        if (type === 'createPoll') {
+            return i18n.t('sync.pollLabel', { question: payload.question });
+        }
+        if (type !== 'vote') {
+            return item.label;
+        }
+
+        const poll = this.currentPoll && this.currentPoll.id === payload.pollId
+            ? this.currentPoll
+            : this.offline.getCachedPoll(payload.pollId);
+        if (!poll) {
+            return i18n.t('sync.votePollLabel', { id: String(payload.pollId) });
+        }
+        const option = poll.options.find(candidate => candidate.id === payload.optionId);
+        return i18n.t('sync.voteLabel', { option: option ? option.text : String(payload.optionId), question: poll.question });
+    }
+
+    /**
+     * Drop a vote that is waiting in the offline queue
+     * @param {number} pollId - Poll ID
+     */
+    cancelQueuedVote(pollId) {
+        const queued = this.offline.getQueuedVote(pollId);
+        if (queued) {
+            this.offline.remove(queued.id);
+            this.showMessage(i18n.t('vote.queuedCancelled'), 'info');
+        }
+        this.renderVoteStatus();
+        this.renderConnectionStatus();
+    }
+
+    /**
+     * Render results in the poll detail view without fetching them
+     * @param {number} pollId - Poll ID the results belong to
+     * @param {Object|null} results - Enhanced results; nothing is rendered when null
+     */
+    renderCurrentResults(pollId, results) {
+        if (results && this.currentPoll && this.currentPoll.id === pollId) {
+            pollResultsManager.renderResults(document.getElementById('poll-results'), results, this.getResultsDisplayOptions());
+        }
+    }
+
+    /**
+     * Load and display poll results
+     * @param {number} pollId - Poll ID
+     */
+    async loadPollResults(pollId) {
+        try {
+            // Use the enhanced poll results manager
+            await pollResultsManager.displayPollResults(pollId, 'poll-results', {
+                ...this.getResultsDisplayOptions(),
+                signal: this.pollRequest ? this.pollRequest.signal : undefined
             });
         } catch (error) {
             console.error('Error loading poll results:', error);
             const resultsContainer = document.getElementById('poll-results');
             resultsContainer.innerHTML = `
                 <div class="error-message">
-                    <h3>Error Loading Results</h3>
-                    <p>${error.message}</p>
-                    <button onclick="app.loadPollResults(${pollId})">Retry</button>
+                    <h3>${i18n.html('results.error')}</h3>
+                    <p>${this.escapeHtml(this.describeError(error, { notFound: i18n.t('poll.notFound') }))}</p>
+                    <button data-action="loadPollResults" data-poll-id="${pollId}">${i18n.html('common.retry')}</button>
                 </div>
             `;
         }
     }
 
+    /**
+     * Get the options used to render results in the poll detail view
+     * @returns {Object} Display options for PollResultsManager
+     */
+    getResultsDisplayOptions() {
+        const vote = this.currentPoll && apiClient.isAuthenticated() ? apiClient.getRecordedVote(this.currentPoll.id) : null;
+        const sending = this.pendingVote && this.currentPoll && this.pendingVote.pollId === this.currentPoll.id;
+
+        return {
+            showPercentages: true,
+            showWinner: true,
+            showTotalVotes: true,
+            showCharts: false,
+            votedOptionId: sending ? this.pendingVote.optionId : (vote ? vote.optionId : null),
+            compact: false
+        };
+    }
+
     /**
      * Display poll results (legacy method for compatibility)
      * @param {Object} results - Poll results object
@@ -332,24 +1538,385 @@ class PollyApp {
         resultsContainer.style.display = 'block';
         
         resultsContainer.innerHTML = `
-            <h3>Poll Results</h3>
+            <h3>${i18n.html('results.heading')}</h3>
             ${results.results.map(result => `
                 <div class="result-item">
                     <span class="option-text">${this.escapeHtml(result.text)}</span>
-                    <span class="vote-count">${result.vote_count} votes</span>
+                    <span class="vote-count">${i18n.html('results.voteCount', { count: result.vote_count })}</span>
                 </div>
             `).join('')}
         `;
     }
 
+    /**
+     * Open the create poll form
+     */
+    showCreatePoll() {
+        this.router.navigate('/create');
+    }
+
+    /**
+     * Show the create poll form (#/create)
+     */
+    showCreateForm() {
+        if (!apiClient.isAuthenticated()) {
+            this.runAuthenticated('openCreateForm', () => this.showCreateForm());
+            return;
+        }
+
+        this.closePoll();
+        document.querySelector('.poll-section').style.display = 'none';
+        document.getElementById('poll-detail').style.display = 'none';
+        document.getElementById('poll-create').style.display = 'block';
+
+        // Start every new poll with the two options the API requires
+        document.getElementById('new-poll-question').value = '';
+        this.draftOptions = ['', ''];
+        this.renderDraftOptions();
+        document.getElementById('new-poll-question').focus();
+    }
+
+    /**
+     * Leave the create poll form and return to the polls list
+     */
+    cancelCreatePoll() {
+        this.router.navigate(this.listQuery.toPath());
+    }
+
+    /**
+     * Render the editable option rows of the create poll form
+     */
+    renderDraftOptions() {
+        const container = document.getElementById('new-poll-options');
+        const count = this.draftOptions.length;
+
+        container.innerHTML = this.draftOptions.map((_, index) => `
+            <div class="draft-option">
+                <input type="text" id="draft-option-${index}" placeholder="${i18n.html('create.optionPlaceholder', { number: index + 1 })}"
+                       aria-describedby="draft-option-${index}-error" data-action="input:updateDraftOption" data-index="${index}">
+                <button type="button" title="${i18n.html('create.moveUp')}" data-action="moveDraftOption" data-index="${index}" data-direction="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" title="${i18n.html('create.moveDown')}" data-action="moveDraftOption" data-index="${index}" data-direction="1" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" title="${i18n.html('create.removeOption')}" data-action="removeDraftOption" data-index="${index}" ${count <= 2 ? 'disabled' : ''}>✕</button>
+            </div>
+            <p id="draft-option-${index}-error" class="field-error"></p>
+        `).join('');
+
+        // Assign values through the DOM so option text never needs attribute escaping
+        this.draftOptions.forEach((text, index) => {
+            document.getElementById(`draft-option-${index}`).value = text;
+        });
+
+        this.updateCreatePreview();
+    }
+
+    /**
+     * Add an empty option row
+     */
+    addDraftOption() {
+        this.draftOptions.push('');
+        this.renderDraftOptions();
+        document.getElementById(`draft-option-${this.draftOptions.length - 1}`).focus();
+    }
+
+    /**
+     * Remove an option row
+     * @param {number} index - Option index
+     */
+    removeDraftOption(index) {
+        if (this.draftOptions.length <= 2) {
+            return;
+        }
+
+        this.draftOptions.splice(index, 1);
+        this.renderDraftOptions();
+    }
+
+    /**
+     * Move an option row up or down
+     * @param {number} index - Option index
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveDraftOption(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.draftOptions.length) {
+            return;
+        }
+
+        [this.draftOptions[index], this.draftOptions[target]] = [this.draftOptions[target], this.draftOptions[index]];
+        this.renderDraftOptions();
+        document.getElementById(`draft-option-${target}`).focus();
+    }
+
+    /**
+     * Update the text of an option row
+     * @param {number} index - Option index
+     * @param {string} value - New option text
+     */
+    updateDraftOption(index, value) {
+        this.draftOptions[index] = value;
+        this.updateCreatePreview();
+    }
+
+    /**
+     * Validate the poll being drafted against the PollCreate schema
+     * @param {string} question - Poll question
+     * @param {Array<string>} options - Option texts
+     * @returns {Array<Object>} Field errors such as { field: 'options.1', type: 'duplicate_item' } (empty when valid)
+     */
+    validateDraftPoll(question, options) {
+        return this.validator.validate('PollCreate', {
+            question: question.trim(),
+            options: options.map(option => option.trim())
+        });
+    }
+
+    /**
+     * Input IDs of the create form's fields, including one per option row
+     * @returns {Object} Input IDs by field name
+     */
+    getCreatePollFields() {
+        const fields = { ...this.formFields.createPoll };
+        this.draftOptions.forEach((_, index) => {
+            fields[`options.${index}`] = `draft-option-${index}`;
+        });
+        return fields;
+    }
+
+    /**
+     * Show errors for the create form, under the fields they belong to or in the list below the options
+     * @param {Array<Object>} errors - Field errors
+     */
+    renderCreateErrors(errors) {
+        document.getElementById('create-poll-errors').innerHTML = this.renderFieldErrors(this.getCreatePollFields(), errors)
+            .map(error => `<li>${this.escapeHtml(this.describeFieldError(error))}</li>`)
+            .join('');
+    }
+
+    /**
+     * Refresh validation errors and the live preview of the drafted poll
+     */
+    updateCreatePreview() {
+        const question = document.getElementById('new-poll-question').value;
+        const errors = this.validateDraftPoll(question, this.draftOptions);
+
+        this.renderCreateErrors(errors);
+        document.getElementById('submit-poll-btn').disabled = errors.length > 0;
+
+        const options = this.draftOptions.filter(option => option.trim());
+        document.getElementById('create-poll-preview').innerHTML = `
+            <div class="poll-card preview">
+                <h3>${question.trim() ? this.escapeHtml(question) : `<em>${i18n.html('create.previewQuestion')}</em>`}</h3>
+                ${options.map(option => `
+                    <div class="poll-option">
+                        <label><input type="radio" disabled> ${this.escapeHtml(option)}</label>
+                    </div>
+                `).join('')}
+                <div class="poll-meta">
+                    <span>${this.escapeHtml(i18n.formatDate(new Date()))}</span>
+                    <span class="option-count">${i18n.html('card.options', { count: options.length })}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Submit the drafted poll to the API and open it
+     */
+    async submitCreatePoll() {
+        const question = document.getElementById('new-poll-question').value.trim();
+        const options = this.draftOptions.map(option => option.trim());
+
+        const errors = this.validateDraftPoll(question, options);
+        if (errors.length > 0) {
+            this.showMessage(this.describeFieldError(errors[0]), 'error');
+            return;
+        }
+
+        await this.runAuthenticated('createPoll', () => this.createPoll(question, options));
+    }
+
+    /**
+     * Create a poll through the API and open it
+     * @param {string} question - Poll question
+     * @param {Array<string>} options - Option texts
+     */
+    async createPoll(question, options) {
+        const submitButton = document.getElementById('submit-poll-btn');
+        submitButton.disabled = true;
+
+        try {
+            this.showMessage(i18n.t('create.creating'), 'info');
+            const poll = await apiClient.createPoll(question, options);
+            this.showMessage(i18n.t('create.created'), 'success');
+
+            document.getElementById('poll-create').style.display = 'none';
+            this.draftOptions = [];
+            this.loadPolls();
+            // Back from the new poll should not reopen the form
+            await this.router.navigate(`/polls/${poll.id}`, { replace: true });
+        } catch (error) {
+            submitButton.disabled = false;
+            if (OfflineStore.isOfflineError(error)) {
+                const payload = { question, options };
+                this.offline.enqueue('createPoll', payload, this.describeQueuedItem({ type: 'createPoll', payload }));
+                this.setOffline(true);
+                this.cancelCreatePoll();
+                this.showMessage(i18n.t('create.queuedOffline'), 'info');
+                return;
+            }
+            if (!this.isSessionError(error)) {
+                this.showMessage(i18n.t('create.failed', { error: this.describeFormError(this.getCreatePollFields(), error) }), 'error');
+            }
+        }
+    }
+
+    /**
+     * Record whether the server is reachable and update the connection notice
+     * @param {boolean} offline - True when requests fail for lack of a connection
+     */
+    setOffline(offline) {
+        this.offlineMode = offline;
+        this.renderConnectionStatus();
+    }
+
+    /**
+     * Send queued votes and polls, reporting items that could not be completed
+     */
+    async syncOfflineQueue() {
+        const reports = await this.offline.replay();
+        if (reports.length === 0) {
+            return;
+        }
+
+        const sent = reports.filter(report => report.status === 'sent');
+        const problems = reports.filter(report => report.status === 'conflict' || report.status === 'failed');
+        this.syncProblems.push(...problems);
+        this.setOffline(reports.some(report => OfflineStore.isOfflineError(report.error)));
+
+        if (problems.length > 0) {
+            this.showMessage(i18n.t('sync.failed', { count: problems.length }), 'error');
+        } else if (sent.length > 0) {
+            this.showMessage(i18n.t('sync.sent', { count: sent.length }), 'success');
+        }
+
+        if (sent.length > 0 || problems.length > 0) {
+            this.loadPolls();
+            const currentPollId = this.currentPoll ? this.currentPoll.id : null;
+            if (reports.some(report => report.item.type === 'vote' && report.item.payload.pollId === currentPollId)) {
+                this.refreshVoteState();
+            }
+        }
+    }
+
+    /**
+     * Hide the list of queued actions that could not be completed
+     */
+    dismissSyncProblems() {
+        this.syncProblems = [];
+        this.renderConnectionStatus();
+    }
+
+    /**
+     * Render the offline notice, the actions waiting to be sent and those that failed
+     */
+    renderConnectionStatus() {
+        const status = document.getElementById('connection-status');
+        const queued = apiClient.isAuthenticated() ? this.offline.getQueue(apiClient.getCurrentUser()) : [];
+
+        status.innerHTML = `
+            ${this.offlineMode ? `
+                <p class="offline-notice">${i18n.html('sync.offline')}</p>
+            ` : ''}
+            ${queued.length > 0 ? `
+                <div class="sync-queue">
+                    <p>${i18n.html('sync.waiting')}</p>
+                    <ul>${queued.map(item => `<li>${this.escapeHtml(this.describeQueuedItem(item))}</li>`).join('')}</ul>
+                    ${this.offlineMode ? '' : `<button data-action="syncOfflineQueue">${i18n.html('sync.sendNow')}</button>`}
+                </div>
+            ` : ''}
+            ${this.syncProblems.length > 0 ? `
+                <div class="sync-problems">
+                    <p>${i18n.html('sync.failedHeading')}</p>
+                    <ul>${this.syncProblems.map(report => `
+                        <li>${i18n.html('sync.problem', {
+                            label: this.escapeHtml(this.describeQueuedItem(report.item)),
+                            reason: this.escapeHtml(report.reason ? i18n.t(`sync.reason.${report.reason}`) : report.message)
+                        })}</li>
+                    `).join('')}</ul>
+                    <button data-action="dismissSyncProblems">${i18n.html('common.dismiss')}</button>
+                </div>
+            ` : ''}
+        `;
+        status.classList.toggle('show', this.offlineMode || queued.length > 0 || this.syncProblems.length > 0);
+    }
+
     /**
      * Go back to polls list
      */
     goBack() {
-        document.querySelector('.poll-section').style.display = 'block';
+        this.router.navigate(this.listQuery.toPath());
+    }
+
+    /**
+     * Show the polls list (#/polls, with PollListQuery parameters)
+     * @param {Object} query - Page, search, filter and sort parameters from the URL
+     */
+    showPollList(query = {}) {
+        // Coming back from a poll, keyboard focus returns to its card
+        const returnFocusTo = this.currentPoll ? this.currentPoll.id : null;
+        this.closePoll();
+        document.getElementById('poll-create').style.display = 'none';
         document.getElementById('poll-detail').style.display = 'none';
+        document.querySelector('.poll-section').style.display = 'block';
+        this.draftOptions = [];
+
+        this.listQuery = new PollListQuery(query);
+        this.confirmingDeleteId = null;
+        this.renderListControls();
+        this.loadPolls({ reuse: true }).then(() => {
+            if (returnFocusTo !== null) {
+                this.focusPollCard(returnFocusTo);
+            }
+        });
+    }
+
+    /**
+     * Move keyboard focus to a poll's card, or to the list heading when it isn't shown
+     * @param {number} pollId - Poll ID
+     */
+    focusPollCard(pollId) {
+        const link = document.querySelector(`#polls-container .poll-card[data-poll-id="${pollId}"] .poll-card-link`);
+        (link || document.getElementById('polls-heading')).focus();
+    }
+
+    /**
+     * Show the polls list with the login or register form (#/login and #/register)
+     * @param {string} form - 'login' or 'register'
+     */
+    showAuthPage(form) {
+        if (apiClient.isAuthenticated()) {
+            this.router.navigate(this.listQuery.toPath(), { replace: true });
+            return;
+        }
+
+        this.showPollList(this.listQuery.toParams());
+        if (form === 'register') {
+            this.showRegister();
+            document.getElementById('reg-username').focus();
+        } else {
+            this.showLogin();
+            document.getElementById('username').focus();
+        }
+    }
+
+    /**
+     * Leave the poll detail view, stopping its requests and live results
+     */
+    closePoll() {
+        this.cancelPollRequests();
         this.currentPoll = null;
         this.selectedOption = null;
+        this.changingVote = false;
     }
 
     /**
@@ -362,12 +1929,42 @@ class PollyApp {
         messageEl.textContent = message;
         messageEl.className = `message ${type}`;
         messageEl.classList.add('show');
+        this.announce(message, type === 'error' ? 'assertive' : 'polite');
 
         setTimeout(() => {
             messageEl.classList.remove('show');
         }, 3000);
     }
 
+    /**
+     * Have screen readers read out a message
+     * @param {string} message - Message text
+     * @param {string} politeness - 'polite' waits for the reader to finish, 'assertive' interrupts it
+     */
+    announce(message, politeness = 'polite') {
+        const region = document.getElementById(politeness === 'assertive' ? 'alert-announcer' : 'announcer');
+        // Clear first and set the text a moment later, so a repeated message is read again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Announce changed live results of the open poll
+     * @param {Object} results - Enhanced poll results
+     */
+    announceResults(results) {
+        const leaders = results.results.filter(result => result.is_winner);
+        let standing = i18n.t('announce.noVotes');
+        if (results.total_votes > 0 && leaders.length > 1) {
+            standing = i18n.t('announce.tie', { options: i18n.formatList(leaders.map(result => result.text)) });
+        } else if (results.total_votes > 0 && leaders.length === 1) {
+            standing = i18n.t('announce.leader', { option: leaders[0].text, percentage: leaders[0].percentage });
+        }
+        this.announce(i18n.t('announce.results', { total: results.total_votes, standing }));
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - Text to escape
@@ -0,0 +1,138 @@
+/**
+ * Component Helpers for Polly Poll Voting System
+ * Delegated data-action event handling and keyed list updates, so rendered markup carries
+ * no inline handlers and the pages run under a Content Security Policy without 'unsafe-inline'
+ */
+
+class ActionDelegator {
+    /**
+     * Handle the actions of every element below a root with one listener per event type
+     *
+     * Markup names its actions in a data-action attribute: "viewPoll" runs the handler on
+     * click, "input:searchPolls" or "change:filterPolls" on other events, and several can be
+     * listed separated by spaces. Handlers read their arguments from data-* attributes.
+     * The innermost element with a data-action owns the event, so a button inside a
+     * clickable card doesn't also trigger the card; an empty data-action just stops it.
+     *
+     * @param {Element|Document} root - Element whose descendants' actions are handled
+     * @param {Object} handlers - Functions by action name, called with (element, event)
+     * @param {Object} options - Delegation options
+     * @param {Array<string>} options.events - DOM events to listen for
+     */
+    constructor(root, handlers = {}, options = {}) {
+        this.root = root;
+        this.handlers = handlers;
+        this.events = options.events || ['click', 'input', 'change'];
+        this.listener = event => this.dispatch(event);
+        this.events.forEach(type => root.addEventListener(type, this.listener));
+    }
+
+    /**
+     * Stop handling events
+     */
+    disconnect() {
+        this.events.forEach(type => this.root.removeEventListener(type, this.listener));
+    }
+
+    /**
+     * Parse a data-action attribute
+     * @param {string} value - Attribute value, e.g. 'viewPoll' or 'input:searchPolls'
+     * @returns {Object} Action names by event type
+     */
+    static parse(value) {
+        const actions = {};
+        value.trim().split(/\s+/).filter(Boolean).forEach(entry => {
+            const separator = entry.indexOf(':');
+            if (separator === -1) {
+                actions.click = entry;
+            } else {
+                actions[entry.slice(0, separator)] = entry.slice(separator + 1);
+            }
+        });
+        return actions;
+    }
+
+    /**
+     * Run the handler for an event, if an element below the root asks for one
+     * @param {Event} event - DOM event
+     */
+    dispatch(event) {
+        const element = event.target instanceof Element ? event.target.closest('[data-action]') : null;
+        if (!element || !this.root.contains(element)) {
+            return;
+        }
+
+        const name = ActionDelegator.parse(element.dataset.action)[event.type];
+        if (name && this.handlers[name]) {
+            this.handlers[name](element, event);
+        }
+    }
+}
+
+class KeyedList {
+    /**
+     * Update a container's children to match a list of items
+     * Each item renders to markup with one root element, which is tagged with the item's
+     * key. Elements whose markup hasn't changed are kept, so focus, text selection and
+     * transitions survive, and only moved into order; changed ones are replaced and
+     * elements of removed items are dropped. Other content, such as a loading message,
+     * is cleared.
+     * @param {Element} container - Container element
+     * @param {Array} items - Items in display order
+     * @param {Object} options - List options
+     * @param {Function} options.key - Returns an item's unique key
+     * @param {Function} options.render - Returns an item's HTML
+     */
+    static patch(container, items, { key, render }) {
+        const existing = new Map();
+        Array.from(container.childNodes).forEach(node => {
+            if (node.nodeType === 1 && node.dataset.key !== undefined) {
+                existing.set(node.dataset.key, node);
+            } else {
+                node.remove();
+            }
+        });
+
+        let previous = null;
+        items.forEach(item => {
+            const itemKey = String(key(item));
+            const markup = render(item).trim();
+            let element = existing.get(itemKey);
+            existing.delete(itemKey);
+
+            if (!element || element.pollyMarkup !== markup) {
+                const created = KeyedList.createElement(markup);
+                created.dataset.key = itemKey;
+                created.pollyMarkup = markup;
+                if (element) {
+                    element.replaceWith(created);
+                }
+                element = created;
+            }
+
+            const next = previous ? previous.nextSibling : container.firstChild;
+            if (element !== next) {
+                container.insertBefore(element, next);
+            }
+            previous = element;
+        });
+
+        existing.forEach(element => element.remove());
+    }
+
+    /**
+     * Build an element from markup
+     * @param {string} markup - HTML with one root element
+     * @returns {Element} Element
+     */
+    static createElement(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = markup;
+        return template.content.firstElementChild;
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ActionDelegator, KeyedList };
+}
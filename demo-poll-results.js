@@ -64,6 +64,11 @@ async function demoExport() {
         // Download as CSV file
         await pollResultsManager.downloadPollResultsAsCSV(1, 'demo-poll-results.csv');
         console.log('CSV file downloaded');
+
+        // Any registered format works the same way
+        console.log('Export formats:', pollResultsManager.getExportFormats().map(({ format }) => format));
+        await pollResultsManager.downloadPollResults(1, 'json');
+        console.log('JSON file downloaded');
         
     } catch (error) {
         console.error('Error exporting poll results:', error.message);
@@ -141,27 +146,26 @@ async function demoRealTimeMonitoring() {
         document.body.appendChild(container);
     }
     
-    // Display initial results
-    await pollResultsManager.displayPollResults(pollId, containerId, {
+    const displayOptions = {
         showPercentages: true,
         showWinner: true,
         showTotalVotes: true,
         showCharts: true
-    });
+    };
     
-    // Set up periodic refresh (every 10 seconds)
-    const refreshInterval = setInterval(async () => {
-        try {
-            console.log('Refreshing poll results...');
-            await pollResultsManager.refreshResults(pollId, containerId);
-        } catch (error) {
-            console.error('Error refreshing results:', error.message);
-        }
-    }, 10000);
+    // Display initial results
+    await pollResultsManager.displayPollResults(pollId, containerId, displayOptions);
+    
+    // Push updates into the container as votes arrive (SSE, WebSocket or adaptive polling)
+    const container = document.getElementById(containerId);
+    const unsubscribe = pollResultsManager.subscribe(pollId, (results) => {
+        console.log(`Live update via ${pollResultsManager.getSubscriptionTransport(pollId)}:`, results.total_votes, 'votes');
+        pollResultsManager.renderResults(container, results, displayOptions);
+    });
     
-    // Stop refreshing after 2 minutes
+    // Stop monitoring after 2 minutes
     setTimeout(() => {
-        clearInterval(refreshInterval);
+        unsubscribe();
         console.log('Stopped real-time monitoring');
     }, 120000);
 }
@@ -180,13 +184,15 @@ async function demoBatchOperations() {
         
         console.log('Batch results:', results);
         
-        // Export all results
-        const csvPromises = pollIds.map(id => 
-            pollResultsManager.exportPollResultsToCSV(id)
-        );
-        
-        const csvData = await Promise.all(csvPromises);
-        console.log('Batch CSV data:', csvData);
+        // Export all results into one file per format
+        const csv = await pollResultsManager.exportPollResults(pollIds, 'csv');
+        console.log('Batch CSV data:', csv.content);
+
+        const markdown = await pollResultsManager.exportPollResults(pollIds, 'markdown');
+        console.log('Batch Markdown report:', markdown.content);
+
+        await pollResultsManager.downloadPollResults(pollIds, 'xlsx', 'demo-polls.xlsx');
+        console.log('Batch workbook downloaded');
         
     } catch (error) {
         console.error('Error in batch operations:', error.message);
@@ -230,13 +236,18 @@ if (typeof window !== 'undefined') {
         
         demoContainer.innerHTML = `
             <h4>Poll Results Demo</h4>
-            <button onclick="runAllDemos()">Run All Demos</button>
-            <button onclick="demoBasicRetrieval()">Basic Retrieval</button>
-            <button onclick="demoDisplayResults()">Display Results</button>
-            <button onclick="demoExport()">Export Demo</button>
-            <button onclick="demoCacheManagement()">Cache Management</button>
+            <button data-demo="runAllDemos">Run All Demos</button>
+            <button data-demo="demoBasicRetrieval">Basic Retrieval</button>
+            <button data-demo="demoDisplayResults">Display Results</button>
+            <button data-demo="demoExport">Export Demo</button>
+            <button data-demo="demoCacheManagement">Cache Management</button>
         `;
         
+        // Listeners instead of inline onclick, which a Content Security Policy blocks
+        demoContainer.querySelectorAll('[data-demo]').forEach(button => {
+            button.addEventListener('click', () => window[button.dataset.demo]());
+        });
+        
         document.body.appendChild(demoContainer);
     });
 }
@@ -0,0 +1,930 @@
+#!/usr/bin/env node
+/**
+ * SDK generator for Polly Poll Voting System
+ * Generates the PollyAPIClient endpoint methods, PollyValidator's request schemas and the
+ * TypeScript declarations from openapi.yaml, and checks that they still match the spec
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: node generate-sdk.js [--check]
+
+Regenerates the parts of the client that come from openapi.yaml:
+  api-client.js     PollyAPIEndpoints, the endpoint methods PollyAPIClient extends
+  validation.js     PollyValidator.SCHEMAS, the request body schemas
+  api-client.d.ts   TypeScript interfaces for the schemas and typed endpoint methods
+
+Options:
+  --check   Change nothing; exit with status 1 if a generated part is out of date or
+            PollyAPIClient overrides an endpoint method with different parameters
+  --help    Show this help`;
+
+/**
+ * Reader for the subset of YAML that openapi.yaml uses: block mappings and sequences,
+ * plain and quoted scalars, and flow sequences of scalars such as []
+ */
+class YamlReader {
+    /**
+     * Parse a YAML document
+     * @param {string} text - YAML text
+     * @returns {*} Parsed value
+     * @throws {Error} For YAML outside the supported subset
+     */
+    static parse(text) {
+        const reader = new YamlReader(text);
+        if (reader.lines.length === 0) {
+            return null;
+        }
+
+        const value = reader.parseBlock();
+        if (reader.index < reader.lines.length) {
+            reader.fail(reader.lines[reader.index], 'unexpected indentation');
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} text - YAML text
+     */
+    constructor(text) {
+        this.lines = text.split(/\r?\n/)
+            .map((line, index) => ({
+                number: index + 1,
+                indent: line.search(/\S/),
+                text: YamlReader.stripComment(line).trim(),
+            }))
+            .filter(line => line.text !== '' && line.text !== '---');
+        this.index = 0;
+    }
+
+    /**
+     * Remove a trailing comment, leaving # inside quotes alone
+     * @param {string} line - Source line
+     * @returns {string} Line without its comment
+     */
+    static stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    /**
+     * Throw a parse error for a line
+     * @param {Object} line - Line info
+     * @param {string} message - What is wrong
+     * @throws {Error} Always
+     */
+    fail(line, message) {
+        throw new Error(`line ${line.number}: ${message}`);
+    }
+
+    /**
+     * Check whether a line starts a sequence item
+     * @param {string} text - Line text
+     * @returns {boolean} True for '- item' and '-'
+     */
+    isSequenceItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+
+    /**
+     * Parse the mapping or sequence starting at the current line
+     * @returns {Object|Array} Parsed block
+     */
+    parseBlock() {
+        const line = this.lines[this.index];
+        return this.isSequenceItem(line.text) ? this.parseSequence(line.indent) : this.parseMapping(line.indent);
+    }
+
+    /**
+     * Parse the value after 'key:' or '-', which is either on the same line or the block below it
+     * @param {string} rest - Text after the key or dash
+     * @param {number} indent - Indentation of the key or dash
+     * @returns {*} Parsed value; null when there is none
+     */
+    parseValue(rest, indent) {
+        if (rest !== '') {
+            return this.parseScalar(rest, this.lines[this.index - 1]);
+        }
+
+        const next = this.lines[this.index];
+        if (next && (next.indent > indent || (next.indent === indent && this.isSequenceItem(next.text)))) {
+            return this.parseBlock();
+        }
+        return null;
+    }
+
+    /**
+     * Parse a block mapping
+     * @param {number} indent - Indentation of its keys
+     * @returns {Object} Parsed mapping
+     */
+    parseMapping(indent) {
+        const result = {};
+
+        while (this.index < this.lines.length && this.lines[this.index].indent === indent) {
+            const line = this.lines[this.index];
+            if (this.isSequenceItem(line.text)) {
+                break;
+            }
+
+            const entry = this.splitKey(line.text, line);
+            if (!entry) {
+                this.fail(line, 'expected "key: value"');
+            }
+            if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+                this.fail(line, `duplicate key '${entry.key}'`);
+            }
+            this.index++;
+            result[entry.key] = this.parseValue(entry.rest, indent);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a block sequence
+     * @param {number} indent - Indentation of its dashes
+     * @returns {Array} Parsed sequence
+     */
+    parseSequence(indent) {
+        const result = [];
+
+        while (this.index < this.lines.length && this.lines[this.index].indent === indent &&
+            this.isSequenceItem(this.lines[this.index].text)) {
+            const line = this.lines[this.index];
+            const rest = line.text.slice(1).trim();
+
+            if (rest !== '' && this.splitKey(rest, line)) {
+                // '- key: value' starts a mapping whose keys line up with the first one
+                line.indent += line.text.length - rest.length;
+                line.text = rest;
+                result.push(this.parseMapping(line.indent));
+            } else {
+                this.index++;
+                result.push(this.parseValue(rest, indent));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Split 'key: value' into its parts
+     * @param {string} text - Line text
+     * @param {Object} line - Line info, for errors
+     * @returns {Object|null} { key, rest }, or null if the text is not a mapping entry
+     */
+    splitKey(text, line) {
+        let start = 0;
+        if (text[0] === '"' || text[0] === "'") {
+            start = text.indexOf(text[0], 1) + 1;
+            if (start === 0) {
+                this.fail(line, 'unterminated quoted key');
+            }
+        }
+
+        const match = /:(\s|$)/.exec(text.slice(start));
+        if (!match) {
+            return null;
+        }
+
+        const colon = start + match.index;
+        return {
+            key: String(this.parseScalar(text.slice(0, colon).trim(), line)),
+            rest: text.slice(colon + 1).trim(),
+        };
+    }
+
+    /**
+     * Parse a scalar or a flow sequence of scalars
+     * @param {string} text - Scalar text
+     * @param {Object} line - Line info, for errors
+     * @returns {*} String, number, boolean, null or array
+     */
+    parseScalar(text, line) {
+        if (text.startsWith('"')) {
+            return JSON.parse(text);
+        }
+        if (text.startsWith("'")) {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        if (text.startsWith('[') && text.endsWith(']')) {
+            const inner = text.slice(1, -1).trim();
+            return inner === '' ? [] : inner.split(',').map(item => this.parseScalar(item.trim(), line));
+        }
+        if (text === '{}') {
+            return {};
+        }
+        if (/^[|>{&*!]/.test(text)) {
+            this.fail(line, `unsupported YAML '${text}'`);
+        }
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        if (text === 'null' || text === '~') {
+            return null;
+        }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return Number(text);
+        }
+        return text;
+    }
+}
+
+/**
+ * Builds the generated parts of the client from an OpenAPI document
+ */
+class SdkGenerator {
+    /**
+     * Generated parts: the file, the name of the marked region in it and the method that builds it
+     * @returns {Array<Object>} Targets { file, region, build }
+     */
+    static get TARGETS() {
+        return [
+            { file: 'api-client.js', region: 'endpoints', build: 'generateEndpoints' },
+            { file: 'validation.js', region: 'schemas', build: 'generateSchemas' },
+            { file: 'api-client.d.ts', region: 'types', build: 'generateDeclarations' },
+        ];
+    }
+
+    /**
+     * HTTP methods of a path item, in the order their operations are generated
+     * @returns {Array<string>} Lower-case method names
+     */
+    static get METHODS() {
+        return ['get', 'put', 'post', 'patch', 'delete'];
+    }
+
+    /**
+     * @param {Object} spec - Parsed OpenAPI document
+     * @param {string} root - Directory holding the generated files
+     */
+    constructor(spec, root = __dirname) {
+        this.spec = spec;
+        this.root = root;
+        this.operations = this.readOperations();
+    }
+
+    /**
+     * Follow a local $ref
+     * @param {Object} schema - Schema or parameter, possibly { $ref }
+     * @returns {Object} Referenced object, or the argument when it is no reference
+     */
+    resolve(schema) {
+        if (!schema || !schema.$ref) {
+            return schema;
+        }
+
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), this.spec);
+        if (!target) {
+            throw new Error(`Unresolved reference ${schema.$ref}`);
+        }
+        return this.resolve(target);
+    }
+
+    /**
+     * Name of a referenced component schema
+     * @param {Object} schema - Schema
+     * @returns {string|null} Component name, or null for inline schemas
+     */
+    refName(schema) {
+        return schema && schema.$ref ? schema.$ref.split('/').pop() : null;
+    }
+
+    /**
+     * Collect the operations of the spec with everything the generators need
+     * @returns {Array<Object>} Operations in spec order
+     * @throws {Error} For operations the generator can't express
+     */
+    readOperations() {
+        const operations = [];
+
+        Object.entries(this.spec.paths || {}).forEach(([route, item]) => {
+            SdkGenerator.METHODS.filter(method => item[method]).forEach(method => {
+                const operation = item[method];
+                const label = `${method.toUpperCase()} ${route}`;
+                if (!operation.operationId) {
+                    throw new Error(`${label} has no operationId`);
+                }
+
+                const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map(parameter => this.resolve(parameter));
+                const args = parameters.map(parameter => {
+                    if (parameter.in !== 'path' && parameter.in !== 'query') {
+                        throw new Error(`${label}: ${parameter.in} parameters are not supported`);
+                    }
+                    return {
+                        name: SdkGenerator.camelCase(parameter.name),
+                        key: parameter.name,
+                        in: parameter.in,
+                        schema: parameter.schema || {},
+                        required: parameter.in === 'path' || !!parameter.required,
+                        description: parameter.description || SdkGenerator.humanize(parameter.name),
+                    };
+                });
+
+                const body = this.readRequestBody(operation, label);
+                if (body) {
+                    Object.entries(body.schema.properties).forEach(([key, schema]) => {
+                        args.push({
+                            name: SdkGenerator.camelCase(key),
+                            key,
+                            in: 'body',
+                            schema,
+                            required: (body.schema.required || []).includes(key),
+                            description: this.resolve(schema).description || SdkGenerator.humanize(key),
+                        });
+                    });
+                }
+
+                const names = args.map(arg => arg.name);
+                const clash = names.find((name, index) => names.indexOf(name) !== index || name === 'requestOptions');
+                if (clash) {
+                    throw new Error(`${label}: two parameters are both called '${clash}'`);
+                }
+
+                const security = operation.security !== undefined ? operation.security : (this.spec.security || []);
+                operations.push({
+                    id: operation.operationId,
+                    method: method.toUpperCase(),
+                    route,
+                    summary: operation.summary || label,
+                    secured: security.length > 0,
+                    args,
+                    body,
+                    response: this.readResponse(operation, label),
+                });
+            });
+        });
+
+        return operations;
+    }
+
+    /**
+     * Read an operation's request body
+     * @param {Object} operation - OpenAPI operation
+     * @param {string} label - 'METHOD /path', for errors
+     * @returns {Object|null} { name, contentType, schema }, or null without a body
+     */
+    readRequestBody(operation, label) {
+        if (!operation.requestBody) {
+            return null;
+        }
+
+        const content = this.resolve(operation.requestBody).content || {};
+        const contentType = Object.keys(content)[0];
+        if (contentType !== 'application/json' && contentType !== 'application/x-www-form-urlencoded') {
+            throw new Error(`${label}: ${contentType} request bodies are not supported`);
+        }
+
+        const raw = content[contentType].schema || {};
+        const schema = this.resolve(raw);
+        if (schema.type !== 'object' || !schema.properties) {
+            throw new Error(`${label}: the request body must be an object with properties`);
+        }
+
+        // Inline bodies are named after their operation, e.g. LoginForm
+        const suffix = contentType === 'application/json' ? 'Body' : 'Form';
+        const name = this.refName(raw) || `${operation.operationId[0].toUpperCase()}${operation.operationId.slice(1)}${suffix}`;
+        return { name, contentType, schema };
+    }
+
+    /**
+     * Read an operation's success response
+     * @param {Object} operation - OpenAPI operation
+     * @param {string} label - 'METHOD /path', for errors
+     * @returns {Object} { description, schema }; schema is null when the response has no body
+     */
+    readResponse(operation, label) {
+        const status = Object.keys(operation.responses || {}).find(code => /^2\d\d$/.test(code));
+        if (!status) {
+            throw new Error(`${label} has no 2xx response`);
+        }
+
+        const response = this.resolve(operation.responses[status]);
+        const json = response.content && response.content['application/json'];
+        return {
+            description: response.description || '',
+            schema: json && json.schema ? json.schema : null,
+        };
+    }
+
+    /**
+     * Turn a snake_case name into camelCase
+     * @param {string} name - Name, e.g. 'poll_id'
+     * @returns {string} Name, e.g. 'pollId'
+     */
+    static camelCase(name) {
+        return name.replace(/[_-]+(\w)/g, (match, char) => char.toUpperCase());
+    }
+
+    /**
+     * Describe a parameter by its name
+     * @param {string} name - Name, e.g. 'option_id'
+     * @returns {string} Description, e.g. 'Option ID'
+     */
+    static humanize(name) {
+        const words = name.split(/[_-]+/).map(word => (word === 'id' ? 'ID' : word));
+        words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+        return words.join(' ');
+    }
+
+    /**
+     * JSDoc type of a schema
+     * @param {Object} schema - Schema
+     * @returns {string} Type, e.g. 'Array<string>'
+     */
+    jsDocType(schema) {
+        const resolved = this.resolve(schema) || {};
+        switch (resolved.type) {
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'string':
+            case 'boolean':
+                return resolved.type;
+            case 'array':
+                return `Array<${this.jsDocType(resolved.items)}>`;
+            case 'object':
+                return 'Object';
+            default:
+                return '*';
+        }
+    }
+
+    /**
+     * TypeScript type of a schema
+     * @param {Object} schema - Schema
+     * @returns {string} Type, e.g. 'PollOut[]'
+     */
+    tsType(schema) {
+        if (!schema) {
+            return 'void';
+        }
+
+        const name = this.refName(schema);
+        if (name) {
+            return name;
+        }
+
+        let type;
+        switch (schema.type) {
+            case 'integer':
+            case 'number':
+                type = 'number';
+                break;
+            case 'string':
+                type = schema.enum ? schema.enum.map(value => `'${value}'`).join(' | ') : 'string';
+                break;
+            case 'boolean':
+                type = 'boolean';
+                break;
+            case 'array': {
+                const items = this.tsType(schema.items);
+                type = /^\w+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+                break;
+            }
+            case 'object':
+                type = schema.properties ? `{ ${this.tsMembers(schema).join(' ').replace(/;$/, '')} }` : 'Record<string, unknown>';
+                break;
+            default:
+                type = 'unknown';
+        }
+        return schema.nullable ? `${type} | null` : type;
+    }
+
+    /**
+     * TypeScript members of an object schema
+     * @param {Object} schema - Object schema
+     * @returns {Array<string>} Members, e.g. 'id: number;'
+     */
+    tsMembers(schema) {
+        const required = schema.required || [];
+        return Object.entries(schema.properties).map(([key, property]) => {
+            const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+            return `${name}${required.includes(key) ? '' : '?'}: ${this.tsType(property)};`;
+        });
+    }
+
+    /**
+     * Parameter list of an endpoint method
+     * Required arguments are plain, optional ones get the spec's default or are left undefined.
+     * @param {Object} operation - Operation
+     * @returns {Array<string>} Parameters, e.g. ['skip = 0', 'requestOptions = {}']
+     */
+    jsParameters(operation) {
+        return [
+            ...operation.args.map(arg => {
+                const schema = this.resolve(arg.schema) || {};
+                return schema.default !== undefined ? `${arg.name} = ${JSON.stringify(schema.default)}` : arg.name;
+            }),
+            'requestOptions = {}',
+        ];
+    }
+
+    /**
+     * Expression for an operation's endpoint, with path parameters and the query string filled in
+     * @param {Object} operation - Operation
+     * @returns {string} JavaScript string or template literal
+     */
+    endpointExpression(operation) {
+        const pathArgs = operation.args.filter(arg => arg.in === 'path');
+        const queryArgs = operation.args.filter(arg => arg.in === 'query');
+        if (pathArgs.length === 0 && queryArgs.length === 0) {
+            return `'${operation.route}'`;
+        }
+
+        let route = operation.route.replace(/\{([^}]+)\}/g, (match, key) => {
+            const arg = pathArgs.find(entry => entry.key === key);
+            if (!arg) {
+                throw new Error(`${operation.method} ${operation.route}: path parameter '${key}' is not declared`);
+            }
+            return `\${encodeURIComponent(${arg.name})}`;
+        });
+        if (queryArgs.length > 0) {
+            route += `\${PollyAPIEndpoints.buildQuery(${this.objectExpression(queryArgs)})}`;
+        }
+        return `\`${route}\``;
+    }
+
+    /**
+     * Object literal built from arguments, keyed by their names in the spec
+     * @param {Array<Object>} args - Arguments
+     * @returns {string} e.g. '{ option_id: optionId }'
+     */
+    objectExpression(args) {
+        return `{ ${args.map(arg => (arg.key === arg.name ? arg.name : `${arg.key}: ${arg.name}`)).join(', ')} }`;
+    }
+
+    /**
+     * Source of the PollyAPIEndpoints class for api-client.js
+     * @returns {string} Generated code
+     */
+    generateEndpoints() {
+        const lines = [
+            '/**',
+            ' * Endpoint methods generated from openapi.yaml, one per operation',
+            ' * PollyAPIClient extends this class and overrides the operations that do more than send the request.',
+            ' */',
+            'class PollyAPIEndpoints {',
+            '    /**',
+            '     * Build a query string, leaving out parameters without a value',
+            '     * @param {Object} params - Query parameters',
+            "     * @returns {string} '?name=value&...', or an empty string",
+            '     */',
+            '    static buildQuery(params) {',
+            '        const query = new URLSearchParams();',
+            '        Object.entries(params).forEach(([name, value]) => {',
+            '            if (value !== undefined && value !== null) {',
+            '                query.append(name, value);',
+            '            }',
+            '        });',
+            '        const text = query.toString();',
+            "        return text ? `?${text}` : '';",
+            '    }',
+        ];
+
+        this.operations.forEach(operation => {
+            lines.push('', ...this.generateEndpoint(operation));
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Source of one endpoint method
+     * @param {Object} operation - Operation
+     * @returns {Array<string>} Lines of code
+     */
+    generateEndpoint(operation) {
+        const { response } = operation;
+        const requestNote = operation.method === 'GET' ? 'timeout, retries, signal' : 'timeout, signal';
+        const returns = response.schema
+            ? `{Promise<${this.jsDocType(response.schema)}>} ${response.description} (${this.tsType(response.schema)})`
+            : `{Promise<void>} ${response.description}`.trim();
+
+        const lines = [
+            '    /**',
+            `     * ${operation.summary}`,
+            `     * ${operation.method} ${operation.route}`,
+            ...operation.args.map(arg => `     * @param {${this.jsDocType(arg.schema)}} ${arg.name} - ${arg.description}`),
+            `     * @param {Object} requestOptions - Request options (${requestNote})`,
+            `     * @returns ${returns}`,
+            ...(operation.secured ? ['     * @throws {AuthError} When no user is logged in'] : []),
+            '     */',
+            `    async ${operation.id}(${this.jsParameters(operation).join(', ')}) {`,
+        ];
+
+        if (operation.secured) {
+            const action = operation.summary[0].toLowerCase() + operation.summary.slice(1);
+            lines.push(
+                '        if (!this.token) {',
+                `            throw new AuthError('Authentication required to ${action.replace(/'/g, "\\'")}');`,
+                '        }',
+                ''
+            );
+        }
+
+        const endpoint = this.endpointExpression(operation);
+        const call = response.schema ? 'return await this.makeRequest' : 'await this.makeRequest';
+        const bodyArgs = operation.args.filter(arg => arg.in === 'body');
+
+        if (operation.method === 'GET' && !operation.body) {
+            lines.push(`        ${call}(${endpoint}, requestOptions);`);
+        } else {
+            lines.push(`        ${call}(${endpoint}, {`, '            ...requestOptions,', `            method: '${operation.method}',`);
+            if (operation.body) {
+                const fields = this.objectExpression(bodyArgs);
+                lines.push(operation.body.contentType === 'application/json'
+                    ? `            body: JSON.stringify(${fields}),`
+                    : `            body: new URLSearchParams(${fields}),`);
+            }
+            lines.push('        });');
+        }
+
+        lines.push('    }');
+        return lines;
+    }
+
+    /**
+     * Request body schemas by name, with references resolved
+     * @returns {Object} Schemas by name, in operation order
+     */
+    requestSchemas() {
+        const schemas = {};
+        this.operations.filter(operation => operation.body).forEach(({ body }) => {
+            schemas[body.name] = this.inlineSchema(body.schema);
+        });
+        return schemas;
+    }
+
+    /**
+     * Copy a schema with every $ref replaced by its target
+     * @param {*} schema - Schema or part of one
+     * @returns {*} Self-contained copy
+     */
+    inlineSchema(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.inlineSchema(item));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const resolved = this.resolve(schema);
+        const copy = {};
+        Object.entries(resolved).forEach(([key, value]) => {
+            copy[key] = key === 'description' ? value : this.inlineSchema(value);
+        });
+        return copy;
+    }
+
+    /**
+     * Write a value as a JavaScript literal in the repo's style
+     * Schemas without properties go on one line, everything else is spread over several.
+     * @param {*} value - Value
+     * @param {string} indent - Indentation of the line the value starts on
+     * @param {string|null} key - Key the value is stored under
+     * @returns {string} Source text
+     */
+    formatLiteral(value, indent, key = null) {
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        }
+        if (value === null || typeof value !== 'object') {
+            return String(value);
+        }
+
+        const inner = `${indent}    `;
+        if (Array.isArray(value)) {
+            if (value.every(item => item === null || typeof item !== 'object')) {
+                return `[${value.map(item => this.formatLiteral(item, inner)).join(', ')}]`;
+            }
+            return `[\n${value.map(item => `${inner}${this.formatLiteral(item, inner)}`).join(',\n')}\n${indent}]`;
+        }
+
+        const entries = Object.entries(value).map(([name, item]) => {
+            const label = /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+            return `${label}: ${this.formatLiteral(item, inner, name)}`;
+        });
+        const inline = `{ ${entries.join(', ')} }`;
+        if (key !== 'properties' && !value.properties && !inline.includes('\n') && inline.length <= 80) {
+            return inline;
+        }
+        return `{\n${entries.map(entry => `${inner}${entry}`).join(',\n')}\n${indent}}`;
+    }
+
+    /**
+     * Source of the PollyValidator.SCHEMAS getter for validation.js
+     * @returns {string} Generated code
+     */
+    generateSchemas() {
+        const components = (this.spec.components && this.spec.components.schemas) || {};
+        const notes = this.operations
+            .filter(operation => operation.body && !components[operation.body.name])
+            .map(operation => {
+                const kind = operation.body.contentType === 'application/json' ? 'JSON' : 'form-encoded';
+                return `     * ${operation.body.name} is the ${kind} body of ${operation.method} ${operation.route}, which the spec declares inline.`;
+            });
+
+        return [
+            '    /**',
+            '     * Request body schemas from openapi.yaml, named after their component',
+            ...notes,
+            '     * @returns {Object} JSON schemas by name',
+            '     */',
+            '    static get SCHEMAS() {',
+            `        return ${this.formatLiteral(this.requestSchemas(), '        ')};`,
+            '    }',
+        ].join('\n');
+    }
+
+    /**
+     * Source of the schema interfaces and PollyAPIEndpoints declaration for api-client.d.ts
+     * @returns {string} Generated declarations
+     */
+    generateDeclarations() {
+        const lines = [];
+        const components = (this.spec.components && this.spec.components.schemas) || {};
+
+        const addInterface = (name, schema, doc) => {
+            if (doc) {
+                lines.push(`/** ${doc} */`);
+            }
+            lines.push(`export interface ${name} {`);
+            const required = schema.required || [];
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                const resolved = this.resolve(property);
+                const notes = [resolved.description, resolved.format ? `Format: ${resolved.format}` : null].filter(Boolean);
+                if (notes.length > 0) {
+                    lines.push(`    /** ${notes.join('. ')} */`);
+                }
+                lines.push(`    ${key}${required.includes(key) ? '' : '?'}: ${this.tsType(property)};`);
+            });
+            lines.push('}', '');
+        };
+
+        Object.entries(components).forEach(([name, schema]) => addInterface(name, schema, schema.description));
+        this.operations
+            .filter(operation => operation.body && !components[operation.body.name])
+            .forEach(operation => addInterface(operation.body.name, operation.body.schema,
+                `Request body of ${operation.method} ${operation.route}`));
+
+        lines.push(
+            '/** Endpoint methods generated from openapi.yaml, one per operation */',
+            'export declare class PollyAPIEndpoints {',
+            '    /** Build a query string, leaving out parameters without a value */',
+            '    static buildQuery(params: Record<string, unknown>): string;'
+        );
+        this.operations.forEach(operation => {
+            const params = operation.args.map(arg => {
+                const schema = this.resolve(arg.schema) || {};
+                const optional = !arg.required || schema.default !== undefined;
+                return `${arg.name}${optional ? '?' : ''}: ${this.tsType(arg.schema)}`;
+            });
+            params.push('requestOptions?: RequestOptions');
+            lines.push(
+                '',
+                '    /**',
+                `     * ${operation.summary}`,
+                `     * ${operation.method} ${operation.route}`,
+                '     */',
+                `    ${operation.id}(${params.join(', ')}): Promise<${this.tsType(operation.response.schema)}>;`
+            );
+        });
+        lines.push('}');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Replace the marked region of a file's source with new content
+     * The region sits between '// BEGIN GENERATED <name>' and '// END GENERATED <name>' lines.
+     * @param {string} source - File source
+     * @param {string} region - Region name
+     * @param {string} content - New content
+     * @param {string} file - File name, for errors
+     * @returns {string} Updated source
+     */
+    static replaceRegion(source, region, content, file) {
+        const pattern = new RegExp(`(^[ \\t]*// BEGIN GENERATED ${region}\\b[^\\n]*\\n)[\\s\\S]*?(^[ \\t]*// END GENERATED ${region}\\r?$)`, 'm');
+        if (!pattern.test(source)) {
+            throw new Error(`${file} has no '// BEGIN GENERATED ${region}' ... '// END GENERATED ${region}' region`);
+        }
+
+        // Keep the file's line endings; some of the client files use CRLF
+        const eol = source.includes('\r\n') ? '\r\n' : '\n';
+        return source.replace(pattern, (match, begin, end) => `${begin}${content.replace(/\n/g, eol)}${eol}${end}`);
+    }
+
+    /**
+     * Regenerate every target
+     * @returns {Array<Object>} { file, region, current, updated } per target
+     */
+    build() {
+        return SdkGenerator.TARGETS.map(({ file, region, build }) => {
+            const current = fs.readFileSync(path.join(this.root, file), 'utf8');
+            return { file, region, current, updated: SdkGenerator.replaceRegion(current, region, this[build](), file) };
+        });
+    }
+
+    /**
+     * Compare PollyAPIClient's hand-written overrides with the generated methods they replace
+     * An override has to keep the parameters, or callers typed against the spec would break.
+     * @returns {Array<string>} Problems found; empty when the client agrees with the spec
+     */
+    checkClient() {
+        const modulePath = path.join(this.root, 'api-client.js');
+        delete require.cache[require.resolve(modulePath)];
+        const { PollyAPIClient, PollyAPIEndpoints } = require(modulePath);
+        const problems = [];
+
+        if (!PollyAPIEndpoints || Object.getPrototypeOf(PollyAPIClient) !== PollyAPIEndpoints) {
+            return ['api-client.js: PollyAPIClient must extend PollyAPIEndpoints'];
+        }
+
+        const parameters = method => {
+            const match = /^(?:async\s+)?[\w$]+\s*\(([^)]*)\)/.exec(method.toString());
+            return match ? match[1].split(',').map(part => part.trim()).filter(Boolean).join(', ') : null;
+        };
+
+        this.operations.forEach(operation => {
+            if (!Object.prototype.hasOwnProperty.call(PollyAPIClient.prototype, operation.id)) {
+                return;
+            }
+            const expected = this.jsParameters(operation).join(', ');
+            const actual = parameters(PollyAPIClient.prototype[operation.id]);
+            if (actual !== expected) {
+                problems.push(`api-client.js: PollyAPIClient.${operation.id}(${actual}) overrides ` +
+                    `${operation.method} ${operation.route} but the spec gives (${expected})`);
+            }
+        });
+
+        return problems;
+    }
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Command-line arguments
+ * @param {string} root - Directory holding openapi.yaml and the generated files
+ * @returns {number} Exit code
+ */
+function main(argv, root = __dirname) {
+    const unknown = argv.find(arg => arg !== '--check' && arg !== '--help');
+    if (unknown || argv.includes('--help')) {
+        (unknown ? process.stderr : process.stdout).write(`${unknown ? `Unknown option '${unknown}'\n\n` : ''}${USAGE}\n`);
+        return unknown ? 2 : 0;
+    }
+    const check = argv.includes('--check');
+
+    let generator;
+    let results;
+    try {
+        const spec = YamlReader.parse(fs.readFileSync(path.join(root, 'openapi.yaml'), 'utf8'));
+        generator = new SdkGenerator(spec, root);
+        results = generator.build();
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    }
+
+    const stale = results.filter(result => result.updated !== result.current);
+    if (check) {
+        stale.forEach(({ file, region }) => {
+            process.stderr.write(`${file}: the generated ${region} no longer match openapi.yaml; run node generate-sdk.js\n`);
+        });
+    } else {
+        stale.forEach(({ file, region, updated }) => {
+            fs.writeFileSync(path.join(root, file), updated);
+            process.stdout.write(`Updated ${file} (${region})\n`);
+        });
+        if (stale.length === 0) {
+            process.stdout.write('Everything is up to date\n');
+        }
+    }
+
+    const problems = generator.checkClient();
+    problems.forEach(problem => process.stderr.write(`${problem}\n`));
+
+    return (check && stale.length > 0) || problems.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { YamlReader, SdkGenerator, main };
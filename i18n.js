@@ -0,0 +1,465 @@
+/**
+ * Internationalization for Polly Poll Voting System
+ * Message catalogs with ICU-style plurals and selects, Intl number, percent and date
+ * formatting, text direction and the language chosen by the user
+ */
+
+class PollyI18n {
+    /**
+     * Locale used for missing messages and when no requested locale has a catalog
+     * @returns {string} Locale
+     */
+    static get DEFAULT_LOCALE() {
+        return 'en';
+    }
+
+    /**
+     * Add a message catalog; the locale files call this when they load
+     * @param {string} locale - Locale, e.g. 'de'
+     * @param {Object} catalog - Catalog
+     * @param {string} catalog.name - Language name in the language itself, for the switcher
+     * @param {string} catalog.dir - 'ltr' or 'rtl'
+     * @param {Object} catalog.messages - Messages by key
+     */
+    static register(locale, catalog) {
+        PollyI18n.catalogs.set(locale, { dir: 'ltr', ...catalog });
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    /**
+     * @param {Object} options - I18n options
+     * @param {string} options.locale - Locale to use; defaults to the saved choice, then the browser's languages
+     * @param {Object} options.storage - Storage for the user's choice (localStorage when available)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.requestedLocale = options.locale || null;
+        this.resolvedLocale = null; // Picked on first use, once the catalogs have loaded
+        this.formatters = new Map(); // Intl formatters by locale and options
+        this.parsed = new Map(); // Parsed messages by text
+        this.listeners = new Set();
+    }
+
+    /**
+     * Current locale
+     * @returns {string} Locale with a registered catalog
+     */
+    get locale() {
+        if (!this.resolvedLocale) {
+            const saved = this.storage ? this.storage.getItem('polly_locale') : null;
+            const browser = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+            this.resolvedLocale = this.negotiate([this.requestedLocale, saved, ...browser]);
+        }
+        return this.resolvedLocale;
+    }
+
+    /**
+     * Text direction of the current locale
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    get dir() {
+        const catalog = PollyI18n.catalogs.get(this.locale);
+        return catalog ? catalog.dir : 'ltr';
+    }
+
+    /**
+     * List the languages that can be chosen
+     * @returns {Array<Object>} { locale, name, dir } per registered catalog
+     */
+    getLocales() {
+        return Array.from(PollyI18n.catalogs.entries())
+            .map(([locale, catalog]) => ({ locale, name: catalog.name || locale, dir: catalog.dir }));
+    }
+
+    /**
+     * Pick the first requested locale that has a catalog
+     * 'de-AT' matches a 'de' catalog.
+     * @param {Array<string|null>} requested - Locales in order of preference
+     * @returns {string} Locale
+     */
+    negotiate(requested) {
+        const available = Array.from(PollyI18n.catalogs.keys());
+        const find = tag => available.find(locale => locale.toLowerCase() === tag.toLowerCase());
+
+        for (const tag of requested.filter(Boolean)) {
+            const match = find(tag) || find(tag.split('-')[0]);
+            if (match) {
+                return match;
+            }
+        }
+        return PollyI18n.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Switch language, remember the choice and notify listeners
+     * @param {string} locale - Locale with a registered catalog
+     */
+    setLocale(locale) {
+        const resolved = this.negotiate([locale]);
+        if (this.storage) {
+            this.storage.setItem('polly_locale', resolved);
+        }
+        if (resolved === this.locale) {
+            return;
+        }
+
+        this.resolvedLocale = resolved;
+        this.listeners.forEach(listener => {
+            try {
+                listener(resolved);
+            } catch (error) {
+                console.error('Error in locale change listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Listen for language changes
+     * @param {Function} listener - Called with the new locale
+     * @returns {Function} Function that removes the listener
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Translate a message
+     * Falls back to the default locale's message, then to the key itself.
+     * @param {string} key - Message key, e.g. 'results.totalVotes'
+     * @param {Object} values - Values for the message's {placeholders}
+     * @returns {string} Plain text; escape it before putting it into HTML
+     */
+    t(key, values = {}) {
+        return this.format(this.getMessage(key), values);
+    }
+
+    /**
+     * Translate a message for use in HTML
+     * The message's own text is escaped and values are inserted as given, so they can
+     * carry markup such as <strong>; escape any user text in them first.
+     * @param {string} key - Message key
+     * @param {Object} values - Values for the message's {placeholders}
+     * @returns {string} HTML
+     */
+    html(key, values = {}) {
+        return this.format(this.getMessage(key), values, PollyI18n.escapeHtml);
+    }
+
+    /**
+     * Get a message of the current locale
+     * @param {string} key - Message key
+     * @returns {string} Message, from the default locale or the key itself when missing
+     */
+    getMessage(key) {
+        const message = this.lookup(this.locale, key) ?? this.lookup(PollyI18n.DEFAULT_LOCALE, key);
+        if (message === undefined) {
+            console.error(`Missing message: ${key}`);
+            return key;
+        }
+        return message;
+    }
+
+    /**
+     * Check whether a message exists in the current or the default locale
+     * @param {string} key - Message key
+     * @returns {boolean} True when t(key) finds a message
+     */
+    has(key) {
+        return (this.lookup(this.locale, key) ?? this.lookup(PollyI18n.DEFAULT_LOCALE, key)) !== undefined;
+    }
+
+    /**
+     * Find a message in a catalog
+     * @param {string} locale - Locale
+     * @param {string} key - Message key
+     * @returns {string|undefined} Message
+     */
+    lookup(locale, key) {
+        const catalog = PollyI18n.catalogs.get(locale);
+        return catalog ? catalog.messages[key] : undefined;
+    }
+
+    /**
+     * Fill in a message in ICU MessageFormat syntax
+     * Supports {name}, {name, number}, {name, number, percent}, {name, date[, short|medium|long|full]},
+     * {name, plural, =0 {...} one {# item} other {# items}} and {name, select, a {...} other {...}}.
+     * Unlike ICU, percent takes a percentage from 0 to 100, as found in poll results.
+     * Apostrophe quoting is not supported; apostrophes are plain text.
+     * @param {string} message - Message text
+     * @param {Object} values - Placeholder values
+     * @param {Function} escape - Applied to the message's text and formatted numbers and dates
+     * @returns {string} Formatted text
+     */
+    format(message, values = {}, escape = text => text) {
+        if (!this.parsed.has(message)) {
+            this.parsed.set(message, this.parse(message));
+        }
+        return this.formatNodes(this.parsed.get(message), values, undefined, escape);
+    }
+
+    /**
+     * Parse a message into text, argument, plural and select nodes
+     * @param {string} message - Message text
+     * @returns {Array<Object>} Nodes
+     */
+    parse(message) {
+        let index = 0;
+
+        const readUntil = stops => {
+            const start = index;
+            while (index < message.length && !stops.includes(message[index])) {
+                index++;
+            }
+            return message.slice(start, index).trim();
+        };
+
+        const skipWhitespace = () => {
+            while (index < message.length && /\s/.test(message[index])) {
+                index++;
+            }
+        };
+
+        const expect = char => {
+            if (message[index] !== char) {
+                throw new Error(`Expected '${char}' at ${index} in message: ${message}`);
+            }
+            index++;
+        };
+
+        // inBranch: inside a plural or select branch, where '}' ends the branch and '#' is the count
+        const parseNodes = inBranch => {
+            const nodes = [];
+            let text = '';
+            const flush = () => {
+                if (text) {
+                    nodes.push({ type: 'text', value: text });
+                    text = '';
+                }
+            };
+
+            while (index < message.length) {
+                const char = message[index];
+                if (char === '{') {
+                    flush();
+                    nodes.push(parseArgument());
+                } else if (char === '}' && inBranch) {
+                    break;
+                } else if (char === '#' && inBranch) {
+                    flush();
+                    nodes.push({ type: 'count' });
+                    index++;
+                } else {
+                    text += char;
+                    index++;
+                }
+            }
+
+            flush();
+            return nodes;
+        };
+
+        const parseArgument = () => {
+            expect('{');
+            const name = readUntil([',', '}']);
+            if (message[index] === '}') {
+                index++;
+                return { type: 'argument', name, format: null, style: null };
+            }
+
+            expect(',');
+            const format = readUntil([',', '}']);
+            if (format !== 'plural' && format !== 'select') {
+                let style = null;
+                if (message[index] === ',') {
+                    index++;
+                    style = readUntil(['}']);
+                }
+                expect('}');
+                return { type: 'argument', name, format, style };
+            }
+
+            expect(',');
+            const branches = {};
+            for (;;) {
+                skipWhitespace();
+                if (message[index] === '}' || index >= message.length) {
+                    break;
+                }
+                const selector = readUntil(['{', ' ', '\n', '\t']);
+                skipWhitespace();
+                expect('{');
+                branches[selector] = parseNodes(true);
+                expect('}');
+            }
+            expect('}');
+
+            if (!branches.other) {
+                throw new Error(`Missing 'other' branch for {${name}} in message: ${message}`);
+            }
+            return { type: format, name, branches };
+        };
+
+        return parseNodes(false);
+    }
+
+    /**
+     * Turn parsed nodes into text
+     * @param {Array<Object>} nodes - Parsed nodes
+     * @param {Object} values - Placeholder values
+     * @param {number|undefined} count - Value of the enclosing plural, for '#'
+     * @param {Function} escape - Applied to text and formatted numbers and dates
+     * @returns {string} Text
+     */
+    formatNodes(nodes, values, count, escape) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return escape(node.value);
+            }
+            if (node.type === 'count') {
+                return count === undefined ? '#' : escape(this.formatNumber(count));
+            }
+
+            const value = values[node.name];
+            if (node.type === 'plural') {
+                const number = Number(value);
+                const branch = node.branches[`=${number}`] ||
+                    node.branches[this.getFormatter('PluralRules', {}).select(number)] ||
+                    node.branches.other;
+                return this.formatNodes(branch, values, number, escape);
+            }
+            if (node.type === 'select') {
+                return this.formatNodes(node.branches[String(value)] || node.branches.other, values, count, escape);
+            }
+
+            if (value === undefined || value === null) {
+                return escape(`{${node.name}}`);
+            }
+            if (node.format === 'number') {
+                return escape(node.style === 'percent' ? this.formatPercent(value) : this.formatNumber(value));
+            }
+            if (node.format === 'date' || value instanceof Date) {
+                return escape(this.formatDate(value, { dateStyle: node.style || 'medium' }));
+            }
+            return typeof value === 'number' ? escape(this.formatNumber(value)) : String(value);
+        }).join('');
+    }
+
+    /**
+     * Get a cached Intl formatter for the current locale
+     * @param {string} type - Intl constructor name, e.g. 'NumberFormat'
+     * @param {Object} options - Formatter options
+     * @returns {Object} Formatter
+     */
+    getFormatter(type, options) {
+        const key = `${this.locale}|${type}|${JSON.stringify(options)}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[type](this.locale, options));
+        }
+        return this.formatters.get(key);
+    }
+
+    /**
+     * Format a number with the locale's digits and separators
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return this.getFormatter('NumberFormat', options).format(value);
+    }
+
+    /**
+     * Format a percentage
+     * @param {number} percentage - Percentage from 0 to 100, e.g. 66.7
+     * @param {number} maximumFractionDigits - Decimals to show at most
+     * @returns {string} e.g. '66.7%', '66,7 %' or '٦٦٫٧٪'
+     */
+    formatPercent(percentage, maximumFractionDigits = 1) {
+        return this.formatNumber(percentage / 100, { style: 'percent', maximumFractionDigits });
+    }
+
+    /**
+     * Format a date
+     * @param {Date|string|number} date - Date, or a value Date accepts
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { dateStyle: 'medium' }) {
+        return this.getFormatter('DateTimeFormat', options).format(date instanceof Date ? date : new Date(date));
+    }
+
+    /**
+     * Join items into a list, e.g. 'A, B and C'
+     * @param {Array<string>} items - Items
+     * @returns {string} List
+     */
+    formatList(items) {
+        if (typeof Intl.ListFormat === 'undefined') {
+            return items.join(', ');
+        }
+        return this.getFormatter('ListFormat', { type: 'conjunction' }).format(items);
+    }
+
+    /**
+     * Translate a page: set lang and dir on the root element and fill in elements marked with
+     * data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label (attributes)
+     * @param {Document|Element} root - Document or element to translate
+     */
+    translatePage(root = document) {
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+            root.documentElement.dir = this.dir;
+        }
+
+        const attributes = { i18nPlaceholder: 'placeholder', i18nTitle: 'title', i18nAriaLabel: 'aria-label' };
+        root.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]')
+            .forEach(element => {
+                if (element.dataset.i18n) {
+                    element.textContent = this.t(element.dataset.i18n);
+                }
+                Object.entries(attributes).forEach(([name, attribute]) => {
+                    if (element.dataset[name]) {
+                        element.setAttribute(attribute, this.t(element.dataset[name]));
+                    }
+                });
+            });
+    }
+
+    /**
+     * Fill a language switcher with the available languages
+     * @param {HTMLSelectElement} select - Select element
+     */
+    renderLanguageSelect(select) {
+        select.innerHTML = '';
+        this.getLocales().forEach(({ locale, name }) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = this.locale;
+    }
+}
+
+PollyI18n.catalogs = new Map(); // Message catalogs by locale
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollyI18n };
+}
+
+if (typeof window !== 'undefined') {
+    // Create the global instance; the locale files loaded after this script add the catalogs
+    window.i18n = new PollyI18n();
+}
@@ -0,0 +1,277 @@
+/**
+ * Arabic messages for Polly Poll Voting System
+ * Arabic is written right to left and has six plural forms: zero, one, two, few, many and other
+ */
+
+PollyI18n.register('ar', {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        'common.retry': 'إعادة المحاولة',
+        'common.cancel': 'إلغاء',
+        'common.delete': 'حذف',
+        'common.dismiss': 'إخفاء',
+        'common.clear': 'مسح',
+        'common.language': 'اللغة',
+        'common.theme': 'المظهر',
+
+        'app.title': 'Polly - نظام التصويت على الاستطلاعات',
+
+        'theme.auto': 'مظهر النظام',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.highContrast': 'تباين عالٍ',
+
+        'auth.loginHeading': 'سجّل الدخول للتصويت',
+        'auth.registerHeading': 'إنشاء حساب جديد',
+        'auth.username': 'اسم المستخدم',
+        'auth.password': 'كلمة المرور',
+        'auth.login': 'تسجيل الدخول',
+        'auth.register': 'إنشاء حساب',
+        'auth.logout': 'تسجيل الخروج',
+        'auth.noAccount': 'ليس لديك حساب؟',
+        'auth.registerLink': 'أنشئ حسابًا هنا',
+        'auth.haveAccount': 'لديك حساب بالفعل؟',
+        'auth.loginLink': 'سجّل الدخول هنا',
+        'auth.welcome': 'مرحبًا، {username}!',
+        'auth.registering': 'جارٍ إنشاء الحساب...',
+        'auth.registered': 'تم إنشاء الحساب بنجاح! يرجى تسجيل الدخول.',
+        'auth.registerFailed': 'تعذّر إنشاء الحساب: {error}',
+        'auth.usernameTaken': 'اسم المستخدم هذا مستخدم بالفعل.',
+        'auth.loggingIn': 'جارٍ تسجيل الدخول...',
+        'auth.loggedIn': 'تم تسجيل الدخول بنجاح!',
+        'auth.loginFailed': 'تعذّر تسجيل الدخول: {error}',
+        'auth.wrongCredentials': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+        'auth.loggedOut': 'تم تسجيل الخروج بنجاح',
+        'auth.loginToAction': 'يرجى تسجيل الدخول {action, select, castVote {للإدلاء بصوتك} deletePoll {لحذف استطلاعك} ' +
+            'openCreateForm {لإنشاء استطلاع} other {لإنشاء استطلاعك}}',
+
+        'session.expired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+        'session.signedOut': 'تم تسجيل خروجك. يرجى تسجيل الدخول مرة أخرى.',
+        'session.resume': '{message} {action, select, castVote {سنُدلي بصوتك} deletePoll {سنحذف استطلاعك} ' +
+            'openCreateForm {ستتمكن من إنشاء استطلاع} other {سننشئ استطلاعك}} بمجرد عودتك.',
+
+        'errors.network': 'تعذّر الوصول إلى خادم Polly. تحقّق من اتصالك وحاول مرة أخرى.',
+        'errors.timeout': 'لم يستجب خادم Polly في الوقت المحدد. تحقّق مما إذا كان التغيير قد تم قبل المحاولة مرة أخرى.',
+        'errors.auth': 'يرجى تسجيل الدخول والمحاولة مرة أخرى.',
+        'errors.notFound': 'هذا العنصر لم يعد موجودًا.',
+
+        'list.heading': 'الاستطلاعات المتاحة',
+        'list.allPolls': 'كل الاستطلاعات',
+        'list.myPolls': 'استطلاعاتي',
+        'list.createPoll': '+ إنشاء استطلاع',
+        'list.search': 'البحث في الأسئلة',
+        'list.ownerId': 'معرّف المالك',
+        'list.ownerIdLabel': 'معرّف المستخدم المالك',
+        'list.from': 'من',
+        'list.to': 'إلى',
+        'list.sort': 'ترتيب الاستطلاعات',
+        'list.sort.default': 'الترتيب الافتراضي',
+        'list.sort.newest': 'الأحدث',
+        'list.sort.options': 'الأكثر خيارات',
+        'list.sort.votes': 'الأكثر أصواتًا',
+        'list.pages': 'صفحات الاستطلاعات',
+        'list.loading': 'جارٍ تحميل الاستطلاعات...',
+        'list.loadFailed': 'خطأ في تحميل الاستطلاعات: {error}',
+        'list.unknownUserId': 'معرّف المستخدم الخاص بك غير معروف في هذا المتصفح بعد. سيُحفظ عند إنشاء حساب أو التصويت هنا.',
+        'list.empty': 'لا توجد استطلاعات بعد.',
+        'list.emptyMine': 'لم تنشئ أي استطلاع بعد.',
+        'list.noMatches': 'لا توجد استطلاعات تطابق بحثك.',
+        'list.noMorePolls': 'لا توجد استطلاعات أخرى.',
+        'list.scanLimited': 'تم البحث في أول {count, number} استطلاع فقط.',
+        'list.votesLimited': 'تم عدّ الأصوات لأول {count, number} استطلاع مطابق فقط؛ وتظهر البقية بعدها.',
+        'list.page': 'الصفحة {page}',
+        'list.pageOf': 'الصفحة {page} من {pageCount} · {total, plural, zero {لا استطلاعات} one {استطلاع واحد} ' +
+            'two {استطلاعان} few {# استطلاعات} many {# استطلاعًا} other {# استطلاع}}',
+        'list.previous': '→ السابق',
+        'list.next': 'التالي ←',
+
+        'card.createdByYou': 'أنشأته أنت',
+        'card.createdBy': 'أنشأه المستخدم رقم {id}',
+        'card.options': '{count, plural, zero {لا خيارات} one {خيار واحد} two {خياران} few {# خيارات} many {# خيارًا} other {# خيار}}',
+        'card.confirmDelete': 'حذف هذا الاستطلاع؟',
+
+        'delete.deleted': 'تم حذف الاستطلاع',
+        'delete.failed': 'تعذّر الحذف: {error}',
+        'delete.notFound': 'الاستطلاع لم يعد موجودًا أو أنك لست مالكه.',
+        'delete.undoLabel': 'تم حذف «{question}»',
+        'delete.undo': 'تراجع',
+        'delete.restored': 'تمت استعادة الاستطلاع',
+
+        'poll.loading': 'جارٍ تحميل الاستطلاع...',
+        'poll.loadFailed': 'خطأ في تحميل الاستطلاع: {error}',
+        'poll.notFound': 'هذا الاستطلاع لم يعد موجودًا.',
+        'poll.offlineCopy': 'أنت غير متصل. تُعرض النسخة المحفوظة من هذا الاستطلاع.',
+        'poll.back': '→ العودة إلى الاستطلاعات',
+
+        'vote.casting': 'جارٍ التصويت...',
+        'vote.changing': 'جارٍ تغيير الصوت...',
+        'vote.cast': 'صوّت',
+        'vote.submitChange': 'غيّر الصوت',
+        'vote.selectOption': 'اختر خيارًا للتصويت',
+        'vote.selectDifferent': 'اختر خيارًا مختلفًا',
+        'vote.selectFirst': 'يرجى اختيار خيار أولًا',
+        'vote.loginRequired': 'يرجى تسجيل الدخول للتصويت في هذا الاستطلاع',
+        'vote.votedFor': '✅ صوّتَّ لصالح {option}',
+        'vote.alreadyVoted': '✅ لقد صوّتَّ في هذا الاستطلاع بالفعل',
+        'vote.change': 'تغيير الصوت',
+        'vote.keep': 'الإبقاء على صوتي',
+        'vote.castDone': 'تم التصويت بنجاح!',
+        'vote.changed': 'تم تغيير الصوت!',
+        'vote.failed': 'لم يُحتسب الصوت: {error}',
+        'vote.notFound': 'هذا الاستطلاع أو الخيار لم يعد موجودًا.',
+        'vote.cannotChange': 'هذا الاستطلاع لا يسمح بتغيير صوتك.',
+        'vote.duplicate': 'لقد صوّتَّ في هذا الاستطلاع بالفعل.',
+        'vote.timedOut': 'لم يستجب الخادم في الوقت المحدد، لذا ربما احتُسب صوتك. تحقّق من النتائج قبل التصويت مرة أخرى.',
+        'vote.queued': '⏳ سيُرسل صوتك لصالح {option} عند عودتك إلى الاتصال',
+        'vote.queuedThisPoll': 'هذا الاستطلاع',
+        'vote.queuedOffline': 'أنت غير متصل. سيُرسل صوتك عند عودتك إلى الاتصال.',
+        'vote.cancelQueued': 'إلغاء الصوت',
+        'vote.queuedCancelled': 'تم إلغاء الصوت المنتظر',
+
+        'create.heading': 'إنشاء استطلاع جديد',
+        'create.question': 'السؤال',
+        'create.questionPlaceholder': 'ماذا تريد أن تسأل؟',
+        'create.options': 'الخيارات',
+        'create.optionPlaceholder': 'الخيار {number}',
+        'create.addOption': '+ إضافة خيار',
+        'create.moveUp': 'نقل لأعلى',
+        'create.moveDown': 'نقل لأسفل',
+        'create.removeOption': 'إزالة الخيار',
+        'create.preview': 'معاينة',
+        'create.previewQuestion': 'سؤالك',
+        'create.submit': 'إنشاء الاستطلاع',
+        'create.creating': 'جارٍ إنشاء الاستطلاع...',
+        'create.created': 'تم إنشاء الاستطلاع بنجاح!',
+        'create.failed': 'تعذّر إنشاء الاستطلاع: {error}',
+        'create.queuedOffline': 'أنت غير متصل. سيُنشأ استطلاعك عند عودتك إلى الاتصال.',
+
+        'validation.fixFields': 'يرجى تصحيح الحقول المميزة.',
+        'validation.missing': 'هذا الحقل مطلوب',
+        'validation.string_type': 'أدخل نصًا',
+        'validation.int_type': 'أدخل عددًا صحيحًا',
+        'validation.list_type': 'أدخل قائمة',
+        'validation.string_too_short': '{min_length, plural, zero {أدخل # حرف على الأقل} one {أدخل حرفًا واحدًا على الأقل} two {أدخل حرفين على الأقل} few {أدخل # أحرف على الأقل} many {أدخل # حرفًا على الأقل} other {أدخل # حرف على الأقل}}',
+        'validation.string_too_long': '{max_length, plural, zero {# حرف كحد أقصى} one {حرف واحد كحد أقصى} two {حرفان كحد أقصى} few {# أحرف كحد أقصى} many {# حرفًا كحد أقصى} other {# حرف كحد أقصى}}',
+        'validation.string_pattern_mismatch': 'التنسيق غير صحيح',
+        'validation.too_short': '{min_length, plural, zero {أضف # عنصر على الأقل} one {أضف عنصرًا واحدًا على الأقل} two {أضف عنصرين على الأقل} few {أضف # عناصر على الأقل} many {أضف # عنصرًا على الأقل} other {أضف # عنصر على الأقل}}',
+        'validation.duplicate_item': 'إدخال مكرر: «{value}»',
+        'validation.weak_password': 'اختر كلمة مرور أقوى',
+        'validation.usernameHint': 'من 3 إلى 30 حرفًا أو رقمًا أو نقطة أو شرطة أو شرطة سفلية',
+        'validation.username.string_pattern_mismatch': 'استخدم الحروف والأرقام والنقاط والشرطات والشرطات السفلية فقط',
+        'validation.question.missing': 'يرجى إدخال سؤال',
+        'validation.options.missing': 'لا يمكن أن تكون الخيارات فارغة',
+        'validation.options.too_short': 'يحتاج الاستطلاع إلى خيارين على الأقل',
+        'validation.options.duplicate_item': 'خيار مكرر: «{value}»',
+        'validation.strength': 'قوة كلمة المرور: {level, select, veryWeak {ضعيفة جدًا} weak {ضعيفة} fair {مقبولة} good {جيدة} other {قوية}}',
+        'validation.suggestion.length': 'استخدم 12 حرفًا أو أكثر',
+        'validation.suggestion.variety': 'امزج بين الأحرف الكبيرة والصغيرة والأرقام والرموز',
+        'validation.suggestion.username': 'لا تضمّن اسم المستخدم',
+        'validation.suggestion.common': 'تجنب كلمات المرور الشائعة',
+
+        'sync.offline': '📴 أنت غير متصل. تُعرض الاستطلاعات المحفوظة، وتُرسل الأصوات والاستطلاعات الجديدة عند عودتك إلى الاتصال.',
+        'sync.waiting': 'بانتظار الإرسال:',
+        'sync.sendNow': 'أرسل الآن',
+        'sync.failedHeading': 'تعذّر إكمالها:',
+        'sync.problem': '{label}: {reason}',
+        'sync.sent': 'تم إرسال {count, plural, one {إجراء منتظر واحد} two {إجراءين منتظرين} few {# إجراءات منتظرة} ' +
+            'many {# إجراءً منتظرًا} other {# إجراء منتظر}}',
+        'sync.failed': 'تعذّر إكمال {count, plural, one {إجراء منتظر واحد} two {إجراءين منتظرين} few {# إجراءات منتظرة} ' +
+            'many {# إجراءً منتظرًا} other {# إجراء منتظر}}',
+        'sync.sentItem': 'تم الإرسال',
+        'sync.reason.offline': 'ما زلت غير متصل',
+        'sync.reason.login': 'يلزم تسجيل الدخول',
+        'sync.reason.deleted': 'تم حذف الاستطلاع أو الخيار',
+        'sync.reason.alreadyVoted': 'سبق احتساب صوت في هذا الاستطلاع',
+        'sync.reason.timedOut': 'لم يستجب الخادم في الوقت المحدد؛ تحقّق مما إذا كان قد تم',
+        'sync.voteLabel': 'صوت لصالح «{option}» في «{question}»',
+        'sync.votePollLabel': 'صوت في الاستطلاع {id}',
+        'sync.pollLabel': 'استطلاع «{question}»',
+
+        'announce.results': 'تم تحديث النتائج: {total, plural, zero {لا أصوات} one {صوت واحد} two {صوتان} ' +
+            'few {# أصوات} many {# صوتًا} other {# صوت}} إجمالًا. {standing}',
+        'announce.noVotes': 'لا أصوات بعد.',
+        'announce.tie': 'تعادل بين {options}.',
+        'announce.leader': '{option} في الصدارة بنسبة {percentage, number, percent}.',
+
+        'results.heading': 'نتائج الاستطلاع',
+        'results.loading': 'جارٍ تحميل النتائج...',
+        'results.error': 'خطأ في تحميل النتائج',
+        'results.totalVotes': 'إجمالي الأصوات:',
+        'results.noVotes': 'لم يُدلَ بأي صوت بعد.',
+        'results.voteCount': '{count, plural, zero {لا أصوات} one {صوت واحد} two {صوتان} few {# أصوات} many {# صوتًا} other {# صوت}}',
+        'results.yourVote': '✓ صوتك',
+        'results.winner': '🏆 الفائز',
+        'results.tied': '🤝 تعادل',
+        'results.refresh': '🔄 تحديث النتائج',
+        'results.progress': '{percentage, number, percent} من الأصوات',
+        'results.confidenceInterval': 'فترة ثقة {level, number, percent}: {lower, number}–{upper, number, percent}',
+        'results.summary.noVotes': 'لا أصوات بعد',
+        'results.summary.tie': 'تعادل بين {options}',
+        'results.summary.oneOption': 'خيار واحد فقط',
+        'results.summary.leading': 'متقدم بفارق {votes, plural, one {صوت واحد} two {صوتين} few {# أصوات} many {# صوتًا} ' +
+            'other {# صوت}} ({points, number} نقطة مئوية)، {significant, select, yes {ذو دلالة إحصائية} ' +
+            'other {ليس ذا دلالة إحصائية}} عند مستوى {level, number, percent}',
+
+        'chart.title': '{question} ({type})',
+        'chart.type.bar': 'مخطط أعمدة',
+        'chart.type.horizontalBar': 'مخطط أشرطة أفقية',
+        'chart.type.pie': 'مخطط دائري',
+        'chart.type.donut': 'مخطط حلقي',
+        'chart.option': '{label}: {count, plural, zero {لا أصوات} one {صوت واحد} two {صوتان} few {# أصوات} many {# صوتًا} ' +
+            'other {# صوت}} ({percentage, number, percent})',
+        'chart.optionShort': '{label}: {count, number} ({percentage, number, percent})',
+        'chart.votes': '{count, plural, one {صوت} two {صوتان} few {أصوات} many {صوتًا} other {صوت}}',
+
+        'export.reportTitle': 'تقرير نتائج الاستطلاعات',
+        'export.generated': 'أُنشئ في {date}',
+        'export.pollMeta': 'الاستطلاع #{id} · {count, plural, zero {لا أصوات} one {صوت واحد} two {صوتان} few {# أصوات} ' +
+            'many {# صوتًا} other {# صوت}} · {outcome}',
+        'export.option': 'الخيار',
+        'export.votes': 'الأصوات',
+        'export.share': 'النسبة',
+        'export.interval': 'فترة الثقة',
+
+        'viewer.title': 'عارض نتائج الاستطلاعات - Polly',
+        'viewer.heading': 'عارض نتائج الاستطلاعات',
+        'viewer.subtitle': 'اعرض نتائج الاستطلاعات وإحصاءاتها بالتفصيل',
+        'viewer.selectHeading': 'اختر استطلاعًا لعرض نتائجه',
+        'viewer.pollIdPlaceholder': 'أدخل معرّف الاستطلاع',
+        'viewer.viewResults': 'عرض النتائج',
+        'viewer.browse': 'تصفح كل الاستطلاعات',
+        'viewer.exportAll': '📦 تصدير كل الاستطلاعات المعروضة',
+        'viewer.refresh': '🔄 تحديث',
+        'viewer.format': '📊 الصيغة',
+        'viewer.export': '📊 تصدير',
+        'viewer.print': '🖨️ طباعة / PDF',
+        'viewer.chart': '📈 الرسم البياني',
+        'viewer.chart.none': 'بلا',
+        'viewer.chart.progress': 'أشرطة التقدم',
+        'viewer.chart.bar': 'أعمدة',
+        'viewer.chart.horizontalBar': 'أشرطة أفقية',
+        'viewer.chart.pie': 'دائري',
+        'viewer.chart.donut': 'حلقي',
+        'viewer.exportSvg': '🖼️ تصدير SVG',
+        'viewer.exportPng': '🖼️ تصدير PNG',
+        'viewer.clearCache': '🗑️ مسح ذاكرة التخزين المؤقت',
+        'viewer.cacheStats': 'إحصاءات ذاكرة التخزين المؤقت',
+        'viewer.enterPollId': 'يرجى إدخال معرّف الاستطلاع',
+        'viewer.pollInfo': 'معرّف الاستطلاع: {id} | تاريخ الإنشاء: {created, date}',
+        'viewer.owner': 'المالك: المستخدم {id}',
+        'viewer.liveConnecting': 'جارٍ الاتصال للتحديثات المباشرة...',
+        'viewer.live': 'تحديثات مباشرة عبر {transport}',
+        'viewer.noPollsToExport': 'لا توجد استطلاعات للتصدير',
+        'viewer.exportFailed': 'تعذّر التصدير: {error}',
+        'viewer.printFailed': 'تعذّرت الطباعة: {error}',
+        'viewer.chartExportFailed': 'تعذّر تصدير الرسم البياني: {error}',
+        'viewer.cacheCleared': 'تم مسح ذاكرة التخزين المؤقت بنجاح',
+        'viewer.stats.cached': 'استطلاعات مخزنة',
+        'viewer.stats.limit': 'حد التخزين',
+        'viewer.stats.hitRate': 'نسبة الإصابة ({hits}/{lookups})',
+        'viewer.stats.missRate': 'نسبة الإخفاق',
+        'viewer.stats.timeout': 'مدة التخزين',
+
+        'widget.noPollId': 'عيّن السمة poll-id لعرض نتائج استطلاع.',
+        'widget.frameTitle': 'نتائج الاستطلاع'
+    }
+});
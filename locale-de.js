@@ -0,0 +1,272 @@
+/**
+ * German messages for Polly Poll Voting System
+ */
+
+PollyI18n.register('de', {
+    name: 'Deutsch',
+    dir: 'ltr',
+    messages: {
+        'common.retry': 'Erneut versuchen',
+        'common.cancel': 'Abbrechen',
+        'common.delete': 'Löschen',
+        'common.dismiss': 'Ausblenden',
+        'common.clear': 'Zurücksetzen',
+        'common.language': 'Sprache',
+        'common.theme': 'Design',
+
+        'app.title': 'Polly - Umfragen und Abstimmungen',
+
+        'theme.auto': 'Systemdesign',
+        'theme.light': 'Hell',
+        'theme.dark': 'Dunkel',
+        'theme.highContrast': 'Hoher Kontrast',
+
+        'auth.loginHeading': 'Zum Abstimmen anmelden',
+        'auth.registerHeading': 'Neues Konto registrieren',
+        'auth.username': 'Benutzername',
+        'auth.password': 'Passwort',
+        'auth.login': 'Anmelden',
+        'auth.register': 'Registrieren',
+        'auth.logout': 'Abmelden',
+        'auth.noAccount': 'Noch kein Konto?',
+        'auth.registerLink': 'Hier registrieren',
+        'auth.haveAccount': 'Schon ein Konto?',
+        'auth.loginLink': 'Hier anmelden',
+        'auth.welcome': 'Willkommen, {username}!',
+        'auth.registering': 'Registrierung läuft...',
+        'auth.registered': 'Registrierung erfolgreich! Bitte melde dich an.',
+        'auth.registerFailed': 'Registrierung fehlgeschlagen: {error}',
+        'auth.usernameTaken': 'Dieser Benutzername ist schon vergeben.',
+        'auth.loggingIn': 'Anmeldung läuft...',
+        'auth.loggedIn': 'Anmeldung erfolgreich!',
+        'auth.loginFailed': 'Anmeldung fehlgeschlagen: {error}',
+        'auth.wrongCredentials': 'Benutzername oder Passwort ist falsch.',
+        'auth.loggedOut': 'Erfolgreich abgemeldet',
+        'auth.loginToAction': 'Bitte melde dich an, um {action, select, castVote {deine Stimme abzugeben} ' +
+            'deletePoll {deine Umfrage zu löschen} openCreateForm {eine Umfrage zu erstellen} other {deine Umfrage zu erstellen}}',
+
+        'session.expired': 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an.',
+        'session.signedOut': 'Du wurdest abgemeldet. Bitte melde dich erneut an.',
+        'session.resume': '{message} Sobald du wieder angemeldet bist, {action, select, castVote {geben wir deine Stimme ab} ' +
+            'deletePoll {löschen wir deine Umfrage} openCreateForm {kannst du eine Umfrage erstellen} other {erstellen wir deine Umfrage}}.',
+
+        'errors.network': 'Der Polly-Server ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+        'errors.timeout': 'Der Polly-Server hat nicht rechtzeitig geantwortet. Prüfe, ob deine Änderung angekommen ist, bevor du es erneut versuchst.',
+        'errors.auth': 'Bitte melde dich an und versuche es erneut.',
+        'errors.notFound': 'Dieser Eintrag existiert nicht mehr.',
+
+        'list.heading': 'Verfügbare Umfragen',
+        'list.allPolls': 'Alle Umfragen',
+        'list.myPolls': 'Meine Umfragen',
+        'list.createPoll': '+ Umfrage erstellen',
+        'list.search': 'Fragen durchsuchen',
+        'list.ownerId': 'Ersteller-ID',
+        'list.ownerIdLabel': 'Benutzer-ID des Erstellers',
+        'list.from': 'Von',
+        'list.to': 'Bis',
+        'list.sort': 'Umfragen sortieren',
+        'list.sort.default': 'Standardreihenfolge',
+        'list.sort.newest': 'Neueste',
+        'list.sort.options': 'Meiste Optionen',
+        'list.sort.votes': 'Meiste Stimmen',
+        'list.pages': 'Umfrageseiten',
+        'list.loading': 'Umfragen werden geladen...',
+        'list.loadFailed': 'Fehler beim Laden der Umfragen: {error}',
+        'list.unknownUserId': 'Deine Benutzer-ID ist in diesem Browser noch nicht bekannt. Sie wird übernommen, ' +
+            'sobald du dich hier registrierst oder abstimmst.',
+        'list.empty': 'Noch keine Umfragen vorhanden.',
+        'list.emptyMine': 'Du hast noch keine Umfragen erstellt.',
+        'list.noMatches': 'Keine Umfragen passen zu deiner Suche.',
+        'list.noMorePolls': 'Es gibt keine weiteren Umfragen.',
+        'list.scanLimited': 'Nur die ersten {count, number} Umfragen wurden durchsucht.',
+        'list.votesLimited': 'Stimmen wurden nur für die ersten {count, number} passenden Umfragen gezählt; die übrigen folgen danach.',
+        'list.page': 'Seite {page}',
+        'list.pageOf': 'Seite {page} von {pageCount} · {total, plural, one {# Umfrage} other {# Umfragen}}',
+        'list.previous': '← Zurück',
+        'list.next': 'Weiter →',
+
+        'card.createdByYou': 'Von dir erstellt',
+        'card.createdBy': 'Erstellt von Benutzer-ID {id}',
+        'card.options': '{count, plural, one {# Option} other {# Optionen}}',
+        'card.confirmDelete': 'Diese Umfrage löschen?',
+
+        'delete.deleted': 'Umfrage gelöscht',
+        'delete.failed': 'Löschen fehlgeschlagen: {error}',
+        'delete.notFound': 'Die Umfrage existiert nicht mehr oder gehört nicht dir.',
+        'delete.undoLabel': '„{question}“ gelöscht',
+        'delete.undo': 'Rückgängig',
+        'delete.restored': 'Umfrage wiederhergestellt',
+
+        'poll.loading': 'Umfrage wird geladen...',
+        'poll.loadFailed': 'Fehler beim Laden der Umfrage: {error}',
+        'poll.notFound': 'Diese Umfrage existiert nicht mehr.',
+        'poll.offlineCopy': 'Du bist offline. Angezeigt wird die gespeicherte Kopie dieser Umfrage.',
+        'poll.back': '← Zurück zu den Umfragen',
+
+        'vote.casting': 'Stimme wird abgegeben...',
+        'vote.changing': 'Stimme wird geändert...',
+        'vote.cast': 'Abstimmen',
+        'vote.submitChange': 'Stimme ändern',
+        'vote.selectOption': 'Wähle eine Option zum Abstimmen',
+        'vote.selectDifferent': 'Wähle eine andere Option',
+        'vote.selectFirst': 'Bitte wähle zuerst eine Option',
+        'vote.loginRequired': 'Bitte melde dich an, um an dieser Umfrage teilzunehmen',
+        'vote.votedFor': '✅ Du hast für {option} gestimmt',
+        'vote.alreadyVoted': '✅ Du hast bei dieser Umfrage schon abgestimmt',
+        'vote.change': 'Stimme ändern',
+        'vote.keep': 'Stimme behalten',
+        'vote.castDone': 'Stimme erfolgreich abgegeben!',
+        'vote.changed': 'Stimme geändert!',
+        'vote.failed': 'Stimme nicht gezählt: {error}',
+        'vote.notFound': 'Diese Umfrage oder Option existiert nicht mehr.',
+        'vote.cannotChange': 'Bei dieser Umfrage kann die Stimme nicht geändert werden.',
+        'vote.duplicate': 'Du hast bei dieser Umfrage schon abgestimmt.',
+        'vote.timedOut': 'Der Server hat nicht rechtzeitig geantwortet, deine Stimme wurde also vielleicht gezählt. Prüfe die Ergebnisse, bevor du erneut abstimmst.',
+        'vote.queued': '⏳ Deine Stimme für {option} wird gesendet, sobald du wieder online bist',
+        'vote.queuedThisPoll': 'diese Umfrage',
+        'vote.queuedOffline': 'Du bist offline. Deine Stimme wird gesendet, sobald du wieder online bist.',
+        'vote.cancelQueued': 'Stimme zurückziehen',
+        'vote.queuedCancelled': 'Wartende Stimme zurückgezogen',
+
+        'create.heading': 'Neue Umfrage erstellen',
+        'create.question': 'Frage',
+        'create.questionPlaceholder': 'Was möchtest du fragen?',
+        'create.options': 'Optionen',
+        'create.optionPlaceholder': 'Option {number}',
+        'create.addOption': '+ Option hinzufügen',
+        'create.moveUp': 'Nach oben',
+        'create.moveDown': 'Nach unten',
+        'create.removeOption': 'Option entfernen',
+        'create.preview': 'Vorschau',
+        'create.previewQuestion': 'Deine Frage',
+        'create.submit': 'Umfrage erstellen',
+        'create.creating': 'Umfrage wird erstellt...',
+        'create.created': 'Umfrage erfolgreich erstellt!',
+        'create.failed': 'Umfrage konnte nicht erstellt werden: {error}',
+        'create.queuedOffline': 'Du bist offline. Deine Umfrage wird erstellt, sobald du wieder online bist.',
+
+        'validation.fixFields': 'Bitte korrigiere die markierten Felder.',
+        'validation.missing': 'Dieses Feld ist erforderlich',
+        'validation.string_type': 'Gib einen Text ein',
+        'validation.int_type': 'Gib eine ganze Zahl ein',
+        'validation.list_type': 'Gib eine Liste ein',
+        'validation.string_too_short': 'Gib mindestens {min_length, number} Zeichen ein',
+        'validation.string_too_long': 'Verwende höchstens {max_length, number} Zeichen',
+        'validation.string_pattern_mismatch': 'Das Format stimmt nicht',
+        'validation.too_short': '{min_length, plural, one {Füge mindestens # Eintrag hinzu} other {Füge mindestens # Einträge hinzu}}',
+        'validation.duplicate_item': 'Doppelter Eintrag: „{value}“',
+        'validation.weak_password': 'Wähle ein sichereres Passwort',
+        'validation.usernameHint': '3 bis 30 Buchstaben, Ziffern, Punkte, Binde- oder Unterstriche',
+        'validation.username.string_pattern_mismatch': 'Verwende nur Buchstaben, Ziffern, Punkte, Binde- und Unterstriche',
+        'validation.question.missing': 'Bitte gib eine Frage ein',
+        'validation.options.missing': 'Optionen dürfen nicht leer sein',
+        'validation.options.too_short': 'Eine Umfrage braucht mindestens zwei Optionen',
+        'validation.options.duplicate_item': 'Doppelte Option: „{value}“',
+        'validation.strength': 'Passwortstärke: {level, select, veryWeak {sehr schwach} weak {schwach} fair {mittel} good {gut} other {stark}}',
+        'validation.suggestion.length': 'Verwende 12 oder mehr Zeichen',
+        'validation.suggestion.variety': 'Mische Groß- und Kleinbuchstaben, Ziffern und Sonderzeichen',
+        'validation.suggestion.username': 'Verwende nicht deinen Benutzernamen',
+        'validation.suggestion.common': 'Vermeide gängige Passwörter',
+
+        'sync.offline': '📴 Du bist offline. Angezeigt werden gespeicherte Umfragen; Stimmen und neue Umfragen ' +
+            'werden gesendet, sobald du wieder online bist.',
+        'sync.waiting': 'Warten auf Versand:',
+        'sync.sendNow': 'Jetzt senden',
+        'sync.failedHeading': 'Nicht abgeschlossen:',
+        'sync.problem': '{label}: {reason}',
+        'sync.sent': '{count, plural, one {# wartende Aktion} other {# wartende Aktionen}} gesendet',
+        'sync.failed': '{count, plural, one {# wartende Aktion konnte} other {# wartende Aktionen konnten}} nicht abgeschlossen werden',
+        'sync.sentItem': 'Gesendet',
+        'sync.reason.offline': 'Weiterhin offline',
+        'sync.reason.login': 'Anmeldung erforderlich',
+        'sync.reason.deleted': 'Die Umfrage oder Option wurde gelöscht',
+        'sync.reason.alreadyVoted': 'Bei dieser Umfrage wurde bereits eine Stimme gezählt',
+        'sync.reason.timedOut': 'Der Server hat nicht rechtzeitig geantwortet; prüfe, ob es angekommen ist',
+        'sync.voteLabel': 'Stimme für „{option}“ bei „{question}“',
+        'sync.votePollLabel': 'Stimme bei Umfrage {id}',
+        'sync.pollLabel': 'Umfrage „{question}“',
+
+        'announce.results': 'Ergebnisse aktualisiert: insgesamt {total, plural, one {# Stimme} other {# Stimmen}}. {standing}',
+        'announce.noVotes': 'Noch keine Stimmen.',
+        'announce.tie': 'Gleichstand zwischen {options}.',
+        'announce.leader': '{option} führt mit {percentage, number, percent}.',
+
+        'results.heading': 'Umfrageergebnisse',
+        'results.loading': 'Ergebnisse werden geladen...',
+        'results.error': 'Fehler beim Laden der Ergebnisse',
+        'results.totalVotes': 'Stimmen insgesamt:',
+        'results.noVotes': 'Es wurden noch keine Stimmen abgegeben.',
+        'results.voteCount': '{count, plural, one {# Stimme} other {# Stimmen}}',
+        'results.yourVote': '✓ Deine Stimme',
+        'results.winner': '🏆 Gewinner',
+        'results.tied': '🤝 Gleichstand',
+        'results.refresh': '🔄 Ergebnisse aktualisieren',
+        'results.progress': '{percentage, number, percent} der Stimmen',
+        'results.confidenceInterval': '{level, number, percent}-KI {lower, number}–{upper, number, percent}',
+        'results.summary.noVotes': 'Noch keine Stimmen',
+        'results.summary.tie': 'Gleichstand zwischen {options}',
+        'results.summary.oneOption': 'Nur eine Option',
+        'results.summary.leading': 'Vorsprung von {votes, plural, one {# Stimme} other {# Stimmen}} ' +
+            '({points, number} Prozentpunkte), {significant, select, yes {statistisch signifikant} ' +
+            'other {nicht statistisch signifikant}} auf dem {level, number, percent}-Niveau',
+
+        'chart.title': '{question} ({type})',
+        'chart.type.bar': 'Balkendiagramm',
+        'chart.type.horizontalBar': 'horizontales Balkendiagramm',
+        'chart.type.pie': 'Kreisdiagramm',
+        'chart.type.donut': 'Ringdiagramm',
+        'chart.option': '{label}: {count, plural, one {# Stimme} other {# Stimmen}} ({percentage, number, percent})',
+        'chart.optionShort': '{label}: {count, number} ({percentage, number, percent})',
+        'chart.votes': '{count, plural, one {Stimme} other {Stimmen}}',
+
+        'export.reportTitle': 'Bericht zu Umfrageergebnissen',
+        'export.generated': 'Erstellt am {date}',
+        'export.pollMeta': 'Umfrage #{id} · {count, plural, one {# Stimme} other {# Stimmen}} · {outcome}',
+        'export.option': 'Option',
+        'export.votes': 'Stimmen',
+        'export.share': 'Anteil',
+        'export.interval': 'Konfidenzintervall',
+
+        'viewer.title': 'Ergebnisanzeige - Polly',
+        'viewer.heading': 'Ergebnisanzeige',
+        'viewer.subtitle': 'Detaillierte Umfrageergebnisse und Statistiken ansehen',
+        'viewer.selectHeading': 'Umfrage auswählen',
+        'viewer.pollIdPlaceholder': 'Umfrage-ID eingeben',
+        'viewer.viewResults': 'Ergebnisse anzeigen',
+        'viewer.browse': 'Alle Umfragen durchsuchen',
+        'viewer.exportAll': '📦 Alle aufgelisteten Umfragen exportieren',
+        'viewer.refresh': '🔄 Aktualisieren',
+        'viewer.format': '📊 Format',
+        'viewer.export': '📊 Exportieren',
+        'viewer.print': '🖨️ Drucken / PDF',
+        'viewer.chart': '📈 Diagramm',
+        'viewer.chart.none': 'Keins',
+        'viewer.chart.progress': 'Fortschrittsbalken',
+        'viewer.chart.bar': 'Säulen',
+        'viewer.chart.horizontalBar': 'Balken',
+        'viewer.chart.pie': 'Kreis',
+        'viewer.chart.donut': 'Ring',
+        'viewer.exportSvg': '🖼️ Als SVG exportieren',
+        'viewer.exportPng': '🖼️ Als PNG exportieren',
+        'viewer.clearCache': '🗑️ Cache leeren',
+        'viewer.cacheStats': 'Cache-Statistik',
+        'viewer.enterPollId': 'Bitte gib eine Umfrage-ID ein',
+        'viewer.pollInfo': 'Umfrage-ID: {id} | Erstellt: {created, date}',
+        'viewer.owner': 'Ersteller: Benutzer {id}',
+        'viewer.liveConnecting': 'Live-Aktualisierung wird verbunden...',
+        'viewer.live': 'Live-Aktualisierung über {transport}',
+        'viewer.noPollsToExport': 'Es gibt keine Umfragen zum Exportieren',
+        'viewer.exportFailed': 'Export fehlgeschlagen: {error}',
+        'viewer.printFailed': 'Drucken fehlgeschlagen: {error}',
+        'viewer.chartExportFailed': 'Diagrammexport fehlgeschlagen: {error}',
+        'viewer.cacheCleared': 'Cache erfolgreich geleert',
+        'viewer.stats.cached': 'Umfragen im Cache',
+        'viewer.stats.limit': 'Cache-Grenze',
+        'viewer.stats.hitRate': 'Trefferquote ({hits}/{lookups})',
+        'viewer.stats.missRate': 'Fehlquote',
+        'viewer.stats.timeout': 'Cache-Dauer',
+
+        'widget.noPollId': 'Setze das Attribut poll-id, um die Ergebnisse einer Umfrage anzuzeigen.',
+        'widget.frameTitle': 'Umfrageergebnisse'
+    }
+});
@@ -0,0 +1,271 @@
+/**
+ * English messages for Polly Poll Voting System
+ * The default catalog: every key is defined here, and other languages fall back to it
+ */
+
+PollyI18n.register('en', {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+        'common.retry': 'Retry',
+        'common.cancel': 'Cancel',
+        'common.delete': 'Delete',
+        'common.dismiss': 'Dismiss',
+        'common.clear': 'Clear',
+        'common.language': 'Language',
+        'common.theme': 'Theme',
+
+        'app.title': 'Polly - Poll Voting System',
+
+        'theme.auto': 'System theme',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.highContrast': 'High contrast',
+
+        'auth.loginHeading': 'Login to Vote',
+        'auth.registerHeading': 'Register New Account',
+        'auth.username': 'Username',
+        'auth.password': 'Password',
+        'auth.login': 'Login',
+        'auth.register': 'Register',
+        'auth.logout': 'Logout',
+        'auth.noAccount': "Don't have an account?",
+        'auth.registerLink': 'Register here',
+        'auth.haveAccount': 'Already have an account?',
+        'auth.loginLink': 'Login here',
+        'auth.welcome': 'Welcome, {username}!',
+        'auth.registering': 'Registering...',
+        'auth.registered': 'Registration successful! Please login.',
+        'auth.registerFailed': 'Registration failed: {error}',
+        'auth.usernameTaken': 'That username is already taken.',
+        'auth.loggingIn': 'Logging in...',
+        'auth.loggedIn': 'Login successful!',
+        'auth.loginFailed': 'Login failed: {error}',
+        'auth.wrongCredentials': 'Incorrect username or password.',
+        'auth.loggedOut': 'Logged out successfully',
+        'auth.loginToAction': 'Please login to {action, select, castVote {cast your vote} deletePoll {delete your poll} ' +
+            'openCreateForm {create a poll} other {create your poll}}',
+
+        'session.expired': 'Your session has expired. Please login again.',
+        'session.signedOut': 'You have been signed out. Please login again.',
+        'session.resume': "{message} We'll {action, select, castVote {cast your vote} deletePoll {delete your poll} " +
+            "openCreateForm {create a poll} other {create your poll}} once you're back.",
+
+        'errors.network': "Can't reach the Polly server. Check your connection and try again.",
+        'errors.timeout': "The Polly server didn't answer in time. Check whether your change went through before trying again.",
+        'errors.auth': 'Please login and try again.',
+        'errors.notFound': 'That item no longer exists.',
+
+        'list.heading': 'Available Polls',
+        'list.allPolls': 'All Polls',
+        'list.myPolls': 'My Polls',
+        'list.createPoll': '+ Create Poll',
+        'list.search': 'Search questions',
+        'list.ownerId': 'Owner ID',
+        'list.ownerIdLabel': 'Owner user ID',
+        'list.from': 'From',
+        'list.to': 'To',
+        'list.sort': 'Sort polls',
+        'list.sort.default': 'Default order',
+        'list.sort.newest': 'Newest',
+        'list.sort.options': 'Most options',
+        'list.sort.votes': 'Most votes',
+        'list.pages': 'Poll pages',
+        'list.loading': 'Loading polls...',
+        'list.loadFailed': 'Error loading polls: {error}',
+        'list.unknownUserId': "Your user ID isn't known in this browser yet. It is picked up when you register or cast a vote here.",
+        'list.empty': 'No polls available yet.',
+        'list.emptyMine': "You haven't created any polls yet.",
+        'list.noMatches': 'No polls match your search.',
+        'list.noMorePolls': 'There are no more polls.',
+        'list.scanLimited': 'Only the first {count, number} polls were searched.',
+        'list.votesLimited': 'Votes were counted for the first {count, number} matching polls only; the others are listed after them.',
+        'list.page': 'Page {page}',
+        'list.pageOf': 'Page {page} of {pageCount} · {total, plural, one {# poll} other {# polls}}',
+        'list.previous': '← Previous',
+        'list.next': 'Next →',
+
+        'card.createdByYou': 'Created by you',
+        'card.createdBy': 'Created by User ID: {id}',
+        'card.options': '{count, plural, one {# option} other {# options}}',
+        'card.confirmDelete': 'Delete this poll?',
+
+        'delete.deleted': 'Poll deleted',
+        'delete.failed': 'Delete failed: {error}',
+        'delete.notFound': 'The poll no longer exists or you are not its owner.',
+        'delete.undoLabel': 'Deleted "{question}"',
+        'delete.undo': 'Undo',
+        'delete.restored': 'Poll restored',
+
+        'poll.loading': 'Loading poll...',
+        'poll.loadFailed': 'Error loading poll: {error}',
+        'poll.notFound': 'This poll no longer exists.',
+        'poll.offlineCopy': "You're offline. Showing the saved copy of this poll.",
+        'poll.back': '← Back to Polls',
+
+        'vote.casting': 'Casting vote...',
+        'vote.changing': 'Changing vote...',
+        'vote.cast': 'Cast Vote',
+        'vote.submitChange': 'Change Vote',
+        'vote.selectOption': 'Select an option to vote',
+        'vote.selectDifferent': 'Select a different option',
+        'vote.selectFirst': 'Please select an option first',
+        'vote.loginRequired': 'Please login to vote on this poll',
+        'vote.votedFor': '✅ You voted for {option}',
+        'vote.alreadyVoted': "✅ You've already voted on this poll",
+        'vote.change': 'Change vote',
+        'vote.keep': 'Keep my vote',
+        'vote.castDone': 'Vote cast successfully!',
+        'vote.changed': 'Vote changed!',
+        'vote.failed': 'Vote not counted: {error}',
+        'vote.notFound': 'This poll or option no longer exists.',
+        'vote.cannotChange': "This poll doesn't allow changing your vote.",
+        'vote.duplicate': "You've already voted on this poll.",
+        'vote.timedOut': "The server didn't answer in time, so your vote may have been counted. Check the results before voting again.",
+        'vote.queued': "⏳ Your vote for {option} will be sent when you're back online",
+        'vote.queuedThisPoll': 'this poll',
+        'vote.queuedOffline': "You're offline. Your vote will be sent when you're back online.",
+        'vote.cancelQueued': 'Cancel vote',
+        'vote.queuedCancelled': 'Queued vote cancelled',
+
+        'create.heading': 'Create a New Poll',
+        'create.question': 'Question',
+        'create.questionPlaceholder': 'What would you like to ask?',
+        'create.options': 'Options',
+        'create.optionPlaceholder': 'Option {number}',
+        'create.addOption': '+ Add Option',
+        'create.moveUp': 'Move up',
+        'create.moveDown': 'Move down',
+        'create.removeOption': 'Remove option',
+        'create.preview': 'Preview',
+        'create.previewQuestion': 'Your question',
+        'create.submit': 'Create Poll',
+        'create.creating': 'Creating poll...',
+        'create.created': 'Poll created successfully!',
+        'create.failed': 'Poll creation failed: {error}',
+        'create.queuedOffline': "You're offline. Your poll will be created when you're back online.",
+
+        'validation.fixFields': 'Please correct the highlighted fields.',
+        'validation.missing': 'This field is required',
+        'validation.string_type': 'Enter text',
+        'validation.int_type': 'Enter a whole number',
+        'validation.list_type': 'Enter a list',
+        'validation.string_too_short': '{min_length, plural, one {Enter at least # character} other {Enter at least # characters}}',
+        'validation.string_too_long': '{max_length, plural, one {Use at most # character} other {Use at most # characters}}',
+        'validation.string_pattern_mismatch': "This doesn't have the expected format",
+        'validation.too_short': '{min_length, plural, one {Add at least # item} other {Add at least # items}}',
+        'validation.duplicate_item': 'Duplicate entry: "{value}"',
+        'validation.weak_password': 'Choose a stronger password',
+        'validation.usernameHint': '3 to 30 letters, numbers, dots, dashes or underscores',
+        'validation.username.string_pattern_mismatch': 'Use only letters, numbers, dots, dashes and underscores',
+        'validation.question.missing': 'Please enter a question',
+        'validation.options.missing': 'Options cannot be empty',
+        'validation.options.too_short': 'A poll needs at least two options',
+        'validation.options.duplicate_item': 'Duplicate option: "{value}"',
+        'validation.strength': 'Password strength: {level, select, veryWeak {very weak} weak {weak} fair {fair} good {good} other {strong}}',
+        'validation.suggestion.length': 'Use 12 or more characters',
+        'validation.suggestion.variety': 'Mix upper and lower case letters, numbers and symbols',
+        'validation.suggestion.username': "Don't include your username",
+        'validation.suggestion.common': 'Avoid common passwords',
+
+        'sync.offline': "📴 You're offline. Showing saved polls; votes and new polls are sent when you're back online.",
+        'sync.waiting': 'Waiting to be sent:',
+        'sync.sendNow': 'Send now',
+        'sync.failedHeading': 'Could not be completed:',
+        'sync.problem': '{label}: {reason}',
+        'sync.sent': 'Sent {count, plural, one {# queued action} other {# queued actions}}',
+        'sync.failed': '{count, plural, one {# queued action} other {# queued actions}} could not be completed',
+        'sync.sentItem': 'Sent',
+        'sync.reason.offline': 'Still offline',
+        'sync.reason.login': 'Login required',
+        'sync.reason.deleted': 'The poll or option was deleted',
+        'sync.reason.alreadyVoted': 'A vote on this poll was already counted',
+        'sync.reason.timedOut': "The server didn't answer in time; check whether it went through",
+        'sync.voteLabel': 'Vote for "{option}" on "{question}"',
+        'sync.votePollLabel': 'Vote on poll {id}',
+        'sync.pollLabel': 'Poll "{question}"',
+
+        'announce.results': 'Results updated: {total, plural, one {# vote} other {# votes}} in total. {standing}',
+        'announce.noVotes': 'No votes yet.',
+        'announce.tie': 'Tie between {options}.',
+        'announce.leader': '{option} leads with {percentage, number, percent}.',
+
+        'results.heading': 'Poll Results',
+        'results.loading': 'Loading poll results...',
+        'results.error': 'Error Loading Results',
+        'results.totalVotes': 'Total Votes:',
+        'results.noVotes': 'No votes have been cast yet.',
+        'results.voteCount': '{count, plural, one {# vote} other {# votes}}',
+        'results.yourVote': '✓ Your vote',
+        'results.winner': '🏆 Winner',
+        'results.tied': '🤝 Tied',
+        'results.refresh': '🔄 Refresh Results',
+        'results.progress': '{percentage, number, percent} of votes',
+        'results.confidenceInterval': '{level, number, percent} CI {lower, number}–{upper, number, percent}',
+        'results.summary.noVotes': 'No votes yet',
+        'results.summary.tie': 'Tie between {options}',
+        'results.summary.oneOption': 'Only one option',
+        'results.summary.leading': 'Leading by {votes, plural, one {# vote} other {# votes}} ({points, number} points), ' +
+            '{significant, select, yes {statistically significant} other {not statistically significant}} ' +
+            'at {level, number, percent}',
+
+        'chart.title': '{question} ({type})',
+        'chart.type.bar': 'bar chart',
+        'chart.type.horizontalBar': 'horizontal bar chart',
+        'chart.type.pie': 'pie chart',
+        'chart.type.donut': 'donut chart',
+        'chart.option': '{label}: {count, plural, one {# vote} other {# votes}} ({percentage, number, percent})',
+        'chart.optionShort': '{label}: {count, number} ({percentage, number, percent})',
+        'chart.votes': '{count, plural, one {vote} other {votes}}',
+
+        'export.reportTitle': 'Poll Results Report',
+        'export.generated': 'Generated {date}',
+        'export.pollMeta': 'Poll #{id} · {count, plural, one {# vote} other {# votes}} · {outcome}',
+        'export.option': 'Option',
+        'export.votes': 'Votes',
+        'export.share': 'Share',
+        'export.interval': 'Confidence interval',
+
+        'viewer.title': 'Poll Results Viewer - Polly',
+        'viewer.heading': 'Poll Results Viewer',
+        'viewer.subtitle': 'View detailed poll results and statistics',
+        'viewer.selectHeading': 'Select a Poll to View Results',
+        'viewer.pollIdPlaceholder': 'Enter Poll ID',
+        'viewer.viewResults': 'View Results',
+        'viewer.browse': 'Browse All Polls',
+        'viewer.exportAll': '📦 Export All Listed Polls',
+        'viewer.refresh': '🔄 Refresh',
+        'viewer.format': '📊 Format',
+        'viewer.export': '📊 Export',
+        'viewer.print': '🖨️ Print / PDF',
+        'viewer.chart': '📈 Chart',
+        'viewer.chart.none': 'None',
+        'viewer.chart.progress': 'Progress bars',
+        'viewer.chart.bar': 'Bar',
+        'viewer.chart.horizontalBar': 'Horizontal bar',
+        'viewer.chart.pie': 'Pie',
+        'viewer.chart.donut': 'Donut',
+        'viewer.exportSvg': '🖼️ Export SVG',
+        'viewer.exportPng': '🖼️ Export PNG',
+        'viewer.clearCache': '🗑️ Clear Cache',
+        'viewer.cacheStats': 'Cache Statistics',
+        'viewer.enterPollId': 'Please enter a poll ID',
+        'viewer.pollInfo': 'Poll ID: {id} | Created: {created, date}',
+        'viewer.owner': 'Owner: User {id}',
+        'viewer.liveConnecting': 'Live updates connecting...',
+        'viewer.live': 'Live updates via {transport}',
+        'viewer.noPollsToExport': 'There are no polls to export',
+        'viewer.exportFailed': 'Export failed: {error}',
+        'viewer.printFailed': 'Print failed: {error}',
+        'viewer.chartExportFailed': 'Chart export failed: {error}',
+        'viewer.cacheCleared': 'Cache cleared successfully',
+        'viewer.stats.cached': 'Cached Polls',
+        'viewer.stats.limit': 'Cache Limit',
+        'viewer.stats.hitRate': 'Hit Rate ({hits}/{lookups})',
+        'viewer.stats.missRate': 'Miss Rate',
+        'viewer.stats.timeout': 'Cache Timeout',
+
+        'widget.noPollId': "Set the poll-id attribute to show a poll's results.",
+        'widget.frameTitle': 'Poll results'
+    }
+});
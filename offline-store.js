@@ -0,0 +1,375 @@
+/**
+ * Offline Store for Polly Poll Voting System
+ * Keeps the poll list and poll details for offline use and queues votes and poll
+ * creations in IndexedDB until they can be sent
+ */
+
+class OfflineStore {
+    /**
+     * @param {PollyAPIClient} apiClient - API client used to replay queued actions
+     * @param {Object} options - Store options
+     * @param {boolean} options.persist - Keep data in IndexedDB so it survives reloads
+     * @param {string} options.dbName - IndexedDB database name
+     */
+    constructor(apiClient, options = {}) {
+        this.apiClient = apiClient;
+        this.persist = options.persist !== false && typeof indexedDB !== 'undefined';
+        this.dbName = options.dbName || 'polly-offline';
+        this.polls = new Map(); // 'list' and poll IDs -> cached poll data
+        this.queue = []; // Queued actions, oldest first
+        this.replaying = null;
+        this.handlers = {
+            vote: ({ pollId, optionId }) => this.apiClient.castVote(pollId, optionId),
+            createPoll: ({ question, options }) => this.apiClient.createPoll(question, options)
+        };
+        this.db = null;
+        this.ready = this.persist ? this.restore() : Promise.resolve();
+
+        // Deleted polls should not reappear while offline
+        if (apiClient && typeof apiClient.on === 'function') {
+            apiClient.on('pollDeleted', ({ pollId }) => this.forgetPoll(pollId));
+        }
+    }
+
+    /**
+     * Check whether an error means the server could not be reached
+     * Timeouts don't count: the request may have reached the server, so sending it again
+     * later could vote or create a poll twice.
+     * @param {Error} error - Error thrown by the API client
+     * @returns {boolean} True for network failures
+     */
+    static isOfflineError(error) {
+        return error instanceof NetworkError && !(error instanceof TimeoutError);
+    }
+
+    /**
+     * Cache the poll list
+     * @param {Array<Object>} polls - Polls as returned by getPolls
+     */
+    cachePollList(polls) {
+        this.setPollEntry('list', polls);
+    }
+
+    /**
+     * Get the cached poll list
+     * @returns {Array<Object>|null} Polls, or null if none were cached
+     */
+    getCachedPollList() {
+        return this.polls.has('list') ? this.polls.get('list').data : null;
+    }
+
+    /**
+     * Cache a poll's details
+     * @param {Object} poll - Poll as returned by getPoll
+     */
+    cachePoll(poll) {
+        this.setPollEntry(poll.id, poll);
+    }
+
+    /**
+     * Get a cached poll, falling back to the copy in the cached poll list
+     * @param {number} pollId - Poll ID
+     * @returns {Object|null} Poll, or null if it was never cached
+     */
+    getCachedPoll(pollId) {
+        if (this.polls.has(pollId)) {
+            return this.polls.get(pollId).data;
+        }
+        const list = this.getCachedPollList() || [];
+        return list.find(poll => poll.id === pollId) || null;
+    }
+
+    /**
+     * Forget a cached poll, e.g. after it was deleted
+     * @param {number} pollId - Poll ID
+     */
+    forgetPoll(pollId) {
+        this.polls.delete(pollId);
+        this.withStore('polls', 'readwrite', store => store.delete(pollId));
+
+        const list = this.getCachedPollList();
+        if (list && list.some(poll => poll.id === pollId)) {
+            this.cachePollList(list.filter(poll => poll.id !== pollId));
+        }
+    }
+
+    /**
+     * Store a cached poll entry in memory and IndexedDB
+     * @param {string|number} key - 'list' or a poll ID
+     * @param {*} data - Cached data
+     */
+    setPollEntry(key, data) {
+        const entry = { data, cachedAt: new Date().toISOString() };
+        this.polls.set(key, entry);
+        this.withStore('polls', 'readwrite', store => store.put(entry, key));
+    }
+
+    /**
+     * Queue an action to send once the server can be reached
+     * A queued vote replaces an earlier queued vote of the same user on the same poll.
+     * @param {string} type - 'vote' or 'createPoll'
+     * @param {Object} payload - Action arguments: { pollId, optionId } or { question, options }
+     * @param {string} label - Description shown to the user, e.g. 'Vote on "Lunch?"'
+     * @returns {Object} Queued item { id, type, payload, label, username, queuedAt }
+     */
+    enqueue(type, payload, label) {
+        if (!this.handlers[type]) {
+            throw new Error(`Unknown offline action: ${type}`);
+        }
+
+        const item = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            payload,
+            label,
+            username: this.apiClient.getCurrentUser(),
+            queuedAt: new Date().toISOString()
+        };
+
+        if (type === 'vote') {
+            this.queue
+                .filter(queued => queued.type === 'vote' && queued.username === item.username &&
+                    queued.payload.pollId === payload.pollId)
+                .forEach(queued => this.remove(queued.id));
+        }
+
+        this.queue.push(item);
+        this.withStore('queue', 'readwrite', store => store.put(item, item.id));
+        return item;
+    }
+
+    /**
+     * Get queued actions, oldest first
+     * @param {string|null} username - Only return this user's actions; all when omitted
+     * @returns {Array<Object>} Queued items
+     */
+    getQueue(username = undefined) {
+        return this.queue.filter(item => username === undefined || item.username === username);
+    }
+
+    /**
+     * Get the current user's queued vote on a poll
+     * @param {number} pollId - Poll ID
+     * @returns {Object|null} Queued item, or null
+     */
+    getQueuedVote(pollId) {
+        const username = this.apiClient.getCurrentUser();
+        return this.queue.find(item => item.type === 'vote' && item.username === username &&
+            item.payload.pollId === pollId) || null;
+    }
+
+    /**
+     * Remove a queued action
+     * @param {string} itemId - Queued item ID
+     * @returns {boolean} True if an item was removed
+     */
+    remove(itemId) {
+        const index = this.queue.findIndex(item => item.id === itemId);
+        if (index === -1) {
+            return false;
+        }
+        this.queue.splice(index, 1);
+        this.withStore('queue', 'readwrite', store => store.delete(itemId));
+        return true;
+    }
+
+    /**
+     * Send the current user's queued actions in the order they were queued
+     * Items the server accepts or rejects for good are removed and reported; replay stops
+     * at the first network failure so the rest stay queued. Items of other users, or all
+     * items when nobody is logged in, wait for their owner.
+     * @returns {Promise<Array<Object>>} One report per attempted item:
+     *          { item, status: 'sent'|'conflict'|'failed'|'pending', result, error, message }
+     */
+    replay() {
+        // Concurrent calls share one run, and other tabs wait for it, so nothing is sent twice
+        if (!this.replaying) {
+            const run = () => this.reloadQueue().then(() => this.replayQueue());
+            const locked = typeof navigator !== 'undefined' && navigator.locks
+                ? navigator.locks.request(`${this.dbName}-replay`, run)
+                : run();
+            this.replaying = locked.finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    /**
+     * Send queued actions one at a time
+     * @returns {Promise<Array<Object>>} Reports, see replay()
+     */
+    async replayQueue() {
+        const reports = [];
+
+        if (!this.apiClient.isAuthenticated()) {
+            return reports;
+        }
+
+        for (const item of this.getQueue(this.apiClient.getCurrentUser())) {
+            try {
+                const result = await this.handlers[item.type](item.payload);
+                this.remove(item.id);
+                reports.push({ item, status: 'sent', result, error: null, message: i18n.t('sync.sentItem') });
+            } catch (error) {
+                const report = this.describeFailure(item, error);
+                if (report.status !== 'pending') {
+                    this.remove(item.id);
+                }
+                reports.push(report);
+
+                // Still offline, or the session ended: try the rest later
+                if (report.status === 'pending') {
+                    break;
+                }
+            }
+        }
+
+        return reports;
+    }
+
+    /**
+     * Turn a replay error into a report for the item
+     * @param {Object} item - Queued item
+     * @param {Error} error - Error thrown while sending it
+     * @returns {Object} Report, see replay(); known failures also carry a reason code
+     *                   ('offline', 'login', 'timedOut', 'deleted' or 'alreadyVoted') so the
+     *                   message can be translated again after a language switch
+     */
+    describeFailure(item, error) {
+        const report = { item, status: 'failed', result: null, error, message: error.message };
+        const withReason = (status, reason) => ({ ...report, status, reason, message: i18n.t(`sync.reason.${reason}`) });
+
+        if (OfflineStore.isOfflineError(error)) {
+            return withReason('pending', 'offline');
+        }
+        if (error instanceof AuthError && error.status === 401) {
+            return withReason('pending', 'login');
+        }
+        // The server may have handled it anyway, so don't send it again
+        if (error instanceof TimeoutError) {
+            return withReason('failed', 'timedOut');
+        }
+        if (error instanceof NotFoundError && item.type === 'vote') {
+            return withReason('conflict', 'deleted');
+        }
+        if (error instanceof ConflictError && item.type === 'vote') {
+            return withReason('conflict', 'alreadyVoted');
+        }
+        if (error instanceof NotFoundError || error instanceof ConflictError) {
+            return { ...report, status: 'conflict' };
+        }
+        return report;
+    }
+
+    /**
+     * Open the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('polls');
+                request.result.createObjectStore('queue');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read every entry of an object store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} [key, value] pairs
+     */
+    readAll(storeName) {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = this.db.transaction(storeName).objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push([cursor.key, cursor.value]);
+                    cursor.continue();
+                } else {
+                    resolve(entries);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Load cached polls and queued actions into memory
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        try {
+            this.db = await this.openDatabase();
+            const [polls, queue] = await Promise.all([this.readAll('polls'), this.readAll('queue')]);
+
+            polls
+                .filter(([key]) => !this.polls.has(key))
+                .forEach(([key, entry]) => this.polls.set(key, entry));
+
+            // Actions queued before the restore finished go after the persisted ones
+            this.queue = queue
+                .map(([, item]) => item)
+                .filter(item => !this.queue.some(queued => queued.id === item.id))
+                .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+                .concat(this.queue);
+        } catch (error) {
+            console.error('Could not restore offline data:', error);
+            this.persist = false;
+        }
+    }
+
+    /**
+     * Re-read the queue from IndexedDB, which other tabs may have changed
+     * @returns {Promise<void>}
+     */
+    async reloadQueue() {
+        await this.ready;
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const queue = await this.readAll('queue');
+            this.queue = queue
+                .map(([, item]) => item)
+                .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+        } catch (error) {
+            console.error('Could not reload queued actions:', error);
+        }
+    }
+
+    /**
+     * Run an operation against an object store when persistence is on
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the object store
+     */
+    withStore(storeName, mode, operation) {
+        if (!this.persist) {
+            return;
+        }
+
+        this.ready.then(() => {
+            if (!this.db) {
+                return;
+            }
+            try {
+                operation(this.db.transaction(storeName, mode).objectStore(storeName));
+            } catch (error) {
+                console.error('Offline data persistence failed:', error);
+            }
+        });
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineStore };
+}
@@ -0,0 +1,330 @@
+/**
+ * Poll Chart Rendering for Polly Poll Voting System
+ * Builds accessible SVG bar, horizontal bar, pie and donut charts from poll results
+ */
+
+class PollChartRenderer {
+    /**
+     * @param {Object} options - Renderer options
+     * @param {Array<string>} options.palette - Colours assigned to options in order
+     * @param {PollyI18n} options.i18n - Messages and number formats; defaults to the page's i18n
+     */
+    constructor(options = {}) {
+        this.palette = options.palette || PollChartRenderer.DEFAULT_PALETTE;
+        this.i18n = options.i18n || (typeof i18n !== 'undefined' ? i18n : new PollyI18n());
+        this.chartCount = 0; // Used for unique title/description IDs
+    }
+
+    /**
+     * Chart types accepted by render()
+     * @returns {Array<string>} Type names
+     */
+    static get TYPES() {
+        return ['bar', 'horizontal-bar', 'pie', 'donut'];
+    }
+
+    /**
+     * Default palette, chosen to stay distinguishable for common colour-vision deficiencies
+     * @returns {Array<string>} Hex colours
+     */
+    static get DEFAULT_PALETTE() {
+        return ['#667eea', '#f6ad55', '#38a169', '#e53e3e', '#3182ce', '#d53f8c', '#805ad5', '#319795', '#b7791f', '#718096'];
+    }
+
+    /**
+     * Render a chart as an SVG string
+     * @param {Object} results - Enhanced poll results (with percentage per option)
+     * @param {Object} options - Chart options
+     * @param {string} options.type - 'bar', 'horizontal-bar', 'pie' or 'donut'
+     * @param {Array<string>} options.palette - Overrides the renderer palette
+     * @param {number} options.width - ViewBox width
+     * @param {number} options.height - ViewBox height (horizontal bars grow with the option count)
+     * @returns {string} SVG markup
+     */
+    render(results, options = {}) {
+        const { type = 'bar', palette = this.palette } = options;
+        if (!PollChartRenderer.TYPES.includes(type)) {
+            throw new Error(`Unknown chart type '${type}'. Use one of: ${PollChartRenderer.TYPES.join(', ')}`);
+        }
+
+        const items = results.results.map((result, index) => ({
+            label: result.text,
+            value: result.vote_count,
+            percentage: result.percentage ?? 0,
+            color: palette[index % palette.length]
+        }));
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+
+        const id = `polly-chart-${++this.chartCount}`;
+        const width = options.width || 480;
+        let height = options.height || 280;
+        let body;
+
+        if (total === 0) {
+            body = `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="chart-empty" fill="#718096" font-size="16">${this.escapeXml(this.i18n.t('results.summary.noVotes'))}</text>`;
+        } else if (type === 'bar') {
+            body = this.renderVerticalBars(items, width, height);
+        } else if (type === 'horizontal-bar') {
+            height = options.height || Math.max(120, items.length * 44 + 20);
+            body = this.renderHorizontalBars(items, width, height);
+        } else {
+            body = this.renderPie(items, total, width, height, type === 'donut');
+        }
+
+        const description = items
+            .map(item => this.i18n.t('chart.option', { label: item.label, count: item.value, percentage: item.percentage }))
+            .join('; ');
+        const title = this.i18n.t('chart.title', { question: results.question, type: this.describeType(type) });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" ` +
+            `aria-labelledby="${id}-title ${id}-desc" class="poll-chart-svg" data-chart-type="${type}" ` +
+            `font-family="'Segoe UI', Tahoma, Geneva, Verdana, sans-serif">` +
+            `<title id="${id}-title">${this.escapeXml(title)}</title>` +
+            `<desc id="${id}-desc">${this.escapeXml(total === 0 ? this.i18n.t('results.noVotes') : description)}</desc>` +
+            `${body}</svg>`;
+    }
+
+    /**
+     * Render a legend listing each option's colour, count and share
+     * @param {Object} results - Enhanced poll results
+     * @param {Object} options - Legend options
+     * @param {Array<string>} options.palette - Overrides the renderer palette
+     * @returns {string} HTML list
+     */
+    renderLegend(results, options = {}) {
+        const palette = options.palette || this.palette;
+
+        return `
+            <ul class="chart-legend">
+                ${results.results.map((result, index) => `
+                    <li>
+                        <span class="chart-swatch" style="background: ${palette[index % palette.length]}" aria-hidden="true"></span>
+                        <span class="chart-legend-label">${this.escapeXml(result.text)}</span>
+                        <span class="chart-legend-value">${this.i18n.formatNumber(result.vote_count)} (${this.i18n.formatPercent(result.percentage ?? 0)})</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Vertical bar chart with a vote-count axis
+     * @param {Array<Object>} items - Chart items ({ label, value, percentage, color })
+     * @param {number} width - ViewBox width
+     * @param {number} height - ViewBox height
+     * @returns {string} SVG elements
+     */
+    renderVerticalBars(items, width, height) {
+        const margin = { top: 24, right: 16, bottom: 48, left: 44 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const maxValue = Math.max(...items.map(item => item.value));
+        const slot = plotWidth / items.length;
+        const barWidth = Math.min(slot * 0.7, 80);
+
+        const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+            const y = margin.top + plotHeight * (1 - fraction);
+            return `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y}" y2="${y}" class="chart-grid" stroke="#e2e8f0"/>` +
+                `<text x="${margin.left - 6}" y="${y + 4}" text-anchor="end" class="chart-caption" font-size="11" fill="#718096">${this.i18n.formatNumber(Math.round(maxValue * fraction))}</text>`;
+        }).join('');
+
+        const bars = items.map((item, index) => {
+            const barHeight = maxValue > 0 ? (item.value / maxValue) * plotHeight : 0;
+            const x = margin.left + slot * index + (slot - barWidth) / 2;
+            const y = margin.top + plotHeight - barHeight;
+            const label = this.truncate(item.label, Math.max(4, Math.floor(slot / 7)));
+
+            return `<g class="chart-item">` +
+                `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="4" fill="${item.color}">` +
+                `<title>${this.escapeXml(this.describeItem(item))}</title></rect>` +
+                `<text x="${x + barWidth / 2}" y="${y - 6}" text-anchor="middle" class="chart-value" font-size="12" font-weight="600" fill="#2d3748">${this.i18n.formatNumber(item.value)}</text>` +
+                `<text x="${x + barWidth / 2}" y="${height - margin.bottom + 18}" text-anchor="middle" class="chart-label" font-size="12" fill="#4a5568">${this.escapeXml(label)}</text>` +
+                `</g>`;
+        }).join('');
+
+        return grid + bars;
+    }
+
+    /**
+     * Horizontal bar chart, one row per option
+     * @param {Array<Object>} items - Chart items ({ label, value, percentage, color })
+     * @param {number} width - ViewBox width
+     * @param {number} height - ViewBox height
+     * @returns {string} SVG elements
+     */
+    renderHorizontalBars(items, width, height) {
+        const labelWidth = 140;
+        const valueWidth = 70;
+        const rowHeight = (height - 20) / items.length;
+        const barHeight = Math.min(rowHeight * 0.6, 28);
+        const plotWidth = width - labelWidth - valueWidth;
+        const maxValue = Math.max(...items.map(item => item.value));
+
+        return items.map((item, index) => {
+            const y = 10 + rowHeight * index + (rowHeight - barHeight) / 2;
+            const barWidth = maxValue > 0 ? (item.value / maxValue) * plotWidth : 0;
+
+            return `<g class="chart-item">` +
+                `<text x="${labelWidth - 10}" y="${y + barHeight / 2 + 4}" text-anchor="end" class="chart-label" font-size="12" fill="#4a5568">${this.escapeXml(this.truncate(item.label, 20))}</text>` +
+                `<rect x="${labelWidth}" y="${y}" width="${plotWidth}" height="${barHeight}" rx="4" class="chart-track" fill="#edf2f7"/>` +
+                `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="4" fill="${item.color}">` +
+                `<title>${this.escapeXml(this.describeItem(item))}</title></rect>` +
+                `<text x="${labelWidth + plotWidth + 8}" y="${y + barHeight / 2 + 4}" class="chart-value" font-size="12" font-weight="600" fill="#2d3748">${this.i18n.formatNumber(item.value)} · ${this.i18n.formatPercent(item.percentage)}</text>` +
+                `</g>`;
+        }).join('');
+    }
+
+    /**
+     * Pie or donut chart; the donut shows the total in its centre
+     * @param {Array<Object>} items - Chart items ({ label, value, percentage, color })
+     * @param {number} total - Total votes
+     * @param {number} width - ViewBox width
+     * @param {number} height - ViewBox height
+     * @param {boolean} donut - Cut out the centre
+     * @returns {string} SVG elements
+     */
+    renderPie(items, total, width, height, donut) {
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.min(width, height) / 2 - 16;
+        const innerRadius = donut ? radius * 0.6 : 0;
+        let angle = -Math.PI / 2;
+
+        const slices = items.filter(item => item.value > 0).map(item => {
+            const sweep = (item.value / total) * Math.PI * 2;
+            const path = this.describeArc(cx, cy, radius, innerRadius, angle, angle + sweep);
+            angle += sweep;
+
+            return `<path class="chart-item chart-slice" d="${path}" fill="${item.color}" stroke="#ffffff" stroke-width="2">` +
+                `<title>${this.escapeXml(this.describeItem(item))}</title></path>`;
+        }).join('');
+
+        const centre = donut
+            ? `<text x="${cx}" y="${cy}" text-anchor="middle" class="chart-value" font-size="28" font-weight="700" fill="#2d3748">${this.i18n.formatNumber(total)}</text>` +
+              `<text x="${cx}" y="${cy + 20}" text-anchor="middle" class="chart-caption" font-size="12" fill="#718096">${this.escapeXml(this.i18n.t('chart.votes', { count: total }))}</text>`
+            : '';
+
+        return slices + centre;
+    }
+
+    /**
+     * Build the path of a pie slice or donut segment
+     * @param {number} cx - Centre x
+     * @param {number} cy - Centre y
+     * @param {number} radius - Outer radius
+     * @param {number} innerRadius - Inner radius (0 for a pie slice)
+     * @param {number} start - Start angle in radians
+     * @param {number} end - End angle in radians
+     * @returns {string} SVG path data
+     */
+    describeArc(cx, cy, radius, innerRadius, start, end) {
+        // A full circle cannot be drawn as one arc, so split it in two
+        if (end - start >= Math.PI * 2 - 1e-9) {
+            const middle = start + Math.PI;
+            return `${this.describeArc(cx, cy, radius, innerRadius, start, middle)} ${this.describeArc(cx, cy, radius, innerRadius, middle, end)}`;
+        }
+
+        const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(3)} ${(cy + r * Math.sin(a)).toFixed(3)}`;
+        const largeArc = end - start > Math.PI ? 1 : 0;
+
+        if (innerRadius === 0) {
+            return `M ${cx} ${cy} L ${point(radius, start)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(radius, end)} Z`;
+        }
+
+        return `M ${point(radius, start)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(radius, end)} ` +
+            `L ${point(innerRadius, end)} A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${point(innerRadius, start)} Z`;
+    }
+
+    /**
+     * Create an SVG file from a rendered chart
+     * @param {SVGElement|string} svg - Chart element or markup
+     * @returns {Blob} SVG file
+     */
+    exportSVG(svg) {
+        const markup = typeof svg === 'string' ? svg : new XMLSerializer().serializeToString(svg);
+        return new Blob([`<?xml version="1.0" encoding="UTF-8"?>\n${markup}`], { type: 'image/svg+xml' });
+    }
+
+    /**
+     * Rasterise a rendered chart to PNG
+     * @param {SVGElement|string} svg - Chart element or markup
+     * @param {Object} options - Export options
+     * @param {number} options.scale - Pixel density multiplier
+     * @param {string} options.background - Background colour (PNG has no page behind it)
+     * @returns {Promise<Blob>} PNG file
+     */
+    exportPNG(svg, { scale = 2, background = '#ffffff' } = {}) {
+        const markup = typeof svg === 'string' ? svg : new XMLSerializer().serializeToString(svg);
+        const [, , viewWidth, viewHeight] = (markup.match(/viewBox="([^"]+)"/) || [, '0 0 480 280'])[1].split(/\s+/).map(Number);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = viewWidth * scale;
+                canvas.height = viewHeight * scale;
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = background;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+            };
+            image.onerror = () => reject(new Error('Could not load chart for PNG export'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+        });
+    }
+
+    /**
+     * Human-readable chart type name in the current language
+     * @param {string} type - Chart type
+     * @returns {string} Name
+     */
+    describeType(type) {
+        return this.i18n.t({
+            'bar': 'chart.type.bar',
+            'horizontal-bar': 'chart.type.horizontalBar',
+            'pie': 'chart.type.pie',
+            'donut': 'chart.type.donut'
+        }[type]);
+    }
+
+    /**
+     * Short tooltip text for a bar or slice
+     * @param {Object} item - Chart item ({ label, value, percentage })
+     * @returns {string} e.g. "Pizza: 3 (60%)"
+     */
+    describeItem(item) {
+        return this.i18n.t('chart.optionShort', { label: item.label, count: item.value, percentage: item.percentage });
+    }
+
+    /**
+     * Shorten a label for display
+     * @param {string} text - Label
+     * @param {number} length - Maximum length
+     * @returns {string} Label, with an ellipsis when cut
+     */
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    /**
+     * Escape text for SVG/XML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollChartRenderer };
+}
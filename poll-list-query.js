@@ -0,0 +1,140 @@
+/**
+ * Poll List Query for Polly Poll Voting System
+ * Page, search, filters and sort order of the poll list, read from and written to the URL
+ */
+
+class PollListQuery {
+    /**
+     * Sort orders: '' keeps the server's order
+     * @returns {Array<string>} Sort names
+     */
+    static get SORTS() {
+        return ['', 'newest', 'options', 'votes'];
+    }
+
+    /**
+     * @param {Object} params - Query parameters as found in the URL
+     * @param {number|string} params.page - Page number, from 1
+     * @param {string} params.q - Text searched for in poll questions
+     * @param {string} params.owner - Owner user ID, or 'me' for the current user
+     * @param {string} params.from - Earliest creation date (YYYY-MM-DD)
+     * @param {string} params.to - Latest creation date (YYYY-MM-DD), inclusive
+     * @param {string} params.sort - One of PollListQuery.SORTS
+     */
+    constructor(params = {}) {
+        const page = parseInt(params.page, 10);
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+        this.page = page > 0 ? page : 1;
+        this.q = (params.q || '').trim();
+        this.owner = params.owner === 'me' || /^\d+$/.test(params.owner || '') ? params.owner : '';
+        this.from = isDate(params.from) ? params.from : '';
+        this.to = isDate(params.to) ? params.to : '';
+        this.sort = PollListQuery.SORTS.includes(params.sort) ? params.sort : '';
+    }
+
+    /**
+     * Check whether the list is searched, filtered or sorted
+     * Such lists are built in the browser from the first polls; plain lists are paged by the server.
+     * @returns {boolean} True unless only the page is set
+     */
+    get isFiltered() {
+        return !!(this.q || this.owner || this.from || this.to || this.sort);
+    }
+
+    /**
+     * Copy the query with some parameters changed
+     * Changing anything but the page goes back to the first page.
+     * @param {Object} changes - Parameters to change
+     * @returns {PollListQuery} New query
+     */
+    with(changes) {
+        return new PollListQuery({ ...this.toParams(), page: 1, ...changes });
+    }
+
+    /**
+     * Get the parameters that differ from the defaults
+     * @returns {Object} Parameters for the URL
+     */
+    toParams() {
+        const params = {};
+        ['q', 'owner', 'from', 'to', 'sort'].forEach(name => {
+            if (this[name]) {
+                params[name] = this[name];
+            }
+        });
+        if (this.page > 1) {
+            params.page = String(this.page);
+        }
+        return params;
+    }
+
+    /**
+     * Build the route for this query
+     * @returns {string} Path, e.g. '/polls?q=lunch&page=2'
+     */
+    toPath() {
+        const search = new URLSearchParams(this.toParams()).toString();
+        return search ? `/polls?${search}` : '/polls';
+    }
+
+    /**
+     * Identify the polls a query needs from the server
+     * @returns {string} Key that changes when the server request would change
+     */
+    get fetchKey() {
+        return this.isFiltered ? 'all' : `page-${this.page}`;
+    }
+
+    /**
+     * Filter and sort polls
+     * @param {Array<Object>} polls - Polls
+     * @param {Object} context - Values the query refers to
+     * @param {number|null} context.currentUserId - ID that owner=me stands for
+     * @param {Map<number, number>} context.voteTotals - Total votes by poll ID, for sort=votes
+     * @returns {Array<Object>} Matching polls in order
+     */
+    apply(polls, { currentUserId = null, voteTotals = new Map() } = {}) {
+        const search = this.q.toLowerCase();
+        const owner = this.owner === 'me' ? currentUserId : Number(this.owner);
+        const day = poll => (poll.created_at || '').slice(0, 10);
+
+        const matching = polls.filter(poll =>
+            (!search || poll.question.toLowerCase().includes(search)) &&
+            (!this.owner || poll.owner_id === owner) &&
+            (!this.from || day(poll) >= this.from) &&
+            (!this.to || day(poll) <= this.to)
+        );
+
+        const compare = {
+            newest: (a, b) => new Date(b.created_at) - new Date(a.created_at),
+            options: (a, b) => b.options.length - a.options.length,
+            votes: (a, b) => (voteTotals.get(b.id) ?? -1) - (voteTotals.get(a.id) ?? -1)
+        }[this.sort];
+
+        // Array.prototype.sort is stable, so ties keep the server's order
+        return compare ? matching.sort(compare) : matching;
+    }
+
+    /**
+     * Cut the page out of a list
+     * @param {Array} items - All items
+     * @param {number} pageSize - Items per page
+     * @returns {Object} { items, page, pageCount, total }; page is clamped to the last page
+     */
+    paginate(items, pageSize) {
+        const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+        const page = Math.min(this.page, pageCount);
+        return {
+            items: items.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageCount,
+            total: items.length
+        };
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollListQuery };
+}
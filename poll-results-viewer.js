@@ -0,0 +1,311 @@
+/**
+ * Poll Results Viewer for Polly Poll Voting System
+ * Page logic of poll-results-viewer.html
+ */
+
+let currentPollId = null;
+let chartType = 'none';
+let listedPolls = [];
+let stopLiveResults = null;
+let liveTransport = null;
+
+// Load poll results by ID
+async function loadPollResults() {
+    const pollId = document.getElementById('poll-id-input').value;
+    if (!pollId) {
+        alert(i18n.t('viewer.enterPollId'));
+        return;
+    }
+
+    currentPollId = parseInt(pollId);
+    setPollParam(currentPollId);
+    await displayPollResults(currentPollId);
+}
+
+// Keep the shown poll in the address bar (?poll=ID) so the page can be bookmarked or shared
+function setPollParam(pollId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('poll', pollId);
+    history.replaceState(null, '', url);
+}
+
+// Load all polls for browsing
+async function loadAllPolls() {
+    try {
+        const polls = await apiClient.getPolls();
+        displayPollsList(polls);
+        document.getElementById('polls-list').style.display = 'block';
+    } catch (error) {
+        alert(i18n.t('list.loadFailed', { error: error.message }));
+    }
+}
+
+// Display polls list
+function displayPollsList(polls) {
+    listedPolls = polls;
+    const container = document.getElementById('polls-container');
+    container.innerHTML = polls.map(poll => `
+        <div class="poll-card" data-action="selectPoll" data-poll-id="${poll.id}">
+            <h3>${escapeHtml(poll.question)}</h3>
+            <p>${i18n.html('viewer.pollInfo', { id: String(poll.id), created: poll.created_at })}</p>
+            <div class="poll-meta">
+                <span>${i18n.html('viewer.owner', { id: String(poll.owner_id) })}</span>
+                <span class="option-count">${i18n.html('card.options', { count: poll.options.length })}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Select a poll from the list
+function selectPoll(pollId) {
+    currentPollId = pollId;
+    document.getElementById('poll-id-input').value = pollId;
+    document.getElementById('polls-list').style.display = 'none';
+    setPollParam(pollId);
+    displayPollResults(pollId);
+}
+
+// Display poll results
+async function displayPollResults(pollId) {
+    const container = document.getElementById('poll-results-display');
+    const options = {
+        showPercentages: true,
+        showWinner: true,
+        showTotalVotes: true,
+        showCharts: chartType === 'progress',
+        chart: ['none', 'progress'].includes(chartType) ? null : chartType,
+        chartExport: false,
+        compact: false
+    };
+
+    try {
+        await pollResultsManager.displayPollResults(pollId, 'poll-results-display', options);
+        watchLiveResults(pollId, options);
+        
+        // Enable control buttons
+        document.getElementById('refresh-btn').disabled = false;
+        document.getElementById('export-btn').disabled = false;
+        document.getElementById('print-btn').disabled = false;
+        document.getElementById('chart-type').disabled = false;
+        updateChartExportButtons();
+        
+        // Update stats panel
+        updateStatsPanel();
+    } catch (error) {
+        container.innerHTML = `
+            <div class="error-message">
+                <h3>${i18n.html('results.error')}</h3>
+                <p>${escapeHtml(error.message)}</p>
+                <button data-action="retryPollResults" data-poll-id="${pollId}">${i18n.html('common.retry')}</button>
+            </div>
+        `;
+    }
+}
+
+// Keep the displayed results updated as votes come in
+function watchLiveResults(pollId, options) {
+    if (stopLiveResults) {
+        stopLiveResults();
+    }
+
+    const container = document.getElementById('poll-results-display');
+    liveTransport = null;
+    stopLiveResults = pollResultsManager.subscribe(pollId, results => {
+        if (currentPollId === pollId) {
+            pollResultsManager.renderResults(container, results, options);
+            updateChartExportButtons();
+            liveTransport = pollResultsManager.getSubscriptionTransport(pollId);
+            renderLiveStatus();
+            updateStatsPanel();
+        }
+    });
+
+    document.getElementById('live-status').className = 'live-status connected';
+    renderLiveStatus();
+}
+
+// Show how live updates arrive
+function renderLiveStatus() {
+    const status = document.getElementById('live-status');
+    if (stopLiveResults) {
+        status.textContent = liveTransport
+            ? i18n.t('viewer.live', { transport: liveTransport })
+            : i18n.t('viewer.liveConnecting');
+    }
+}
+
+// Refresh current results
+async function refreshResults() {
+    if (currentPollId) {
+        await displayPollResults(currentPollId);
+    }
+}
+
+// Fill the format picker from the registered exporters
+function populateExportFormats() {
+    document.getElementById('export-format').innerHTML = pollResultsManager.getExportFormats()
+        .map(({ format, label }) => `<option value="${format}">${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+// Export results in the chosen format
+async function exportResults() {
+    if (currentPollId) {
+        try {
+            await pollResultsManager.downloadPollResults(currentPollId, document.getElementById('export-format').value);
+        } catch (error) {
+            alert(i18n.t('viewer.exportFailed', { error: error.message }));
+        }
+    }
+}
+
+// Export every poll in the browse list into one file
+async function exportAllPolls() {
+    if (listedPolls.length === 0) {
+        alert(i18n.t('viewer.noPollsToExport'));
+        return;
+    }
+
+    try {
+        const pollIds = listedPolls.map(poll => poll.id);
+        await pollResultsManager.downloadPollResults(pollIds, document.getElementById('export-format').value);
+    } catch (error) {
+        alert(i18n.t('viewer.exportFailed', { error: error.message }));
+    }
+}
+
+// Open the printable report, which the print dialog can also save as PDF
+async function printReport() {
+    if (currentPollId) {
+        try {
+            await pollResultsManager.printPollResults(currentPollId);
+        } catch (error) {
+            alert(i18n.t('viewer.printFailed', { error: error.message }));
+        }
+    }
+}
+
+// Switch the chart drawn above the results
+function setChartType(type) {
+    chartType = type;
+    if (currentPollId) {
+        displayPollResults(currentPollId);
+    }
+}
+
+// Export buttons only apply to SVG charts, which need votes to be drawn
+function updateChartExportButtons() {
+    const hasChart = !!document.querySelector('#poll-results-display .poll-chart svg');
+    document.getElementById('export-svg-btn').disabled = !hasChart;
+    document.getElementById('export-png-btn').disabled = !hasChart;
+}
+
+// Download the current chart as SVG or PNG
+async function exportChart(format) {
+    try {
+        await pollResultsManager.downloadChart('poll-results-display', format);
+    } catch (error) {
+        alert(i18n.t('viewer.chartExportFailed', { error: error.message }));
+    }
+}
+
+// Clear cache
+function clearCache() {
+    pollResultsManager.clearCache();
+    updateStatsPanel();
+    alert(i18n.t('viewer.cacheCleared'));
+}
+
+// Update statistics panel
+function updateStatsPanel() {
+    const stats = pollResultsManager.getCacheStats();
+    const statsGrid = document.getElementById('stats-grid');
+    const statsPanel = document.getElementById('stats-panel');
+    
+    statsGrid.innerHTML = `
+        <div class="stat-item">
+            <div class="stat-value">${i18n.formatNumber(stats.size)}</div>
+            <div class="stat-label">${i18n.html('viewer.stats.cached')}</div>
+        </div>
+        <div class="stat-item">
+            <div class="stat-value">${i18n.formatNumber(stats.maxEntries)}</div>
+            <div class="stat-label">${i18n.html('viewer.stats.limit')}</div>
+        </div>
+        <div class="stat-item">
+            <div class="stat-value">${i18n.formatPercent(stats.hitRate * 100, 0)}</div>
+            <div class="stat-label">${i18n.html('viewer.stats.hitRate', { hits: stats.hits, lookups: stats.lookups })}</div>
+        </div>
+        <div class="stat-item">
+            <div class="stat-value">${i18n.formatPercent(stats.missRate * 100, 0)}</div>
+            <div class="stat-label">${i18n.html('viewer.stats.missRate')}</div>
+        </div>
+        <div class="stat-item">
+            <div class="stat-value">${i18n.formatNumber(stats.timeout / 1000, { style: 'unit', unit: 'second', unitDisplay: 'narrow' })}</div>
+            <div class="stat-label">${i18n.html('viewer.stats.timeout')}</div>
+        </div>
+    `;
+    
+    statsPanel.style.display = 'block';
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Buttons and fields name their handler in data-action
+new ActionDelegator(document.body, {
+    loadPollResults: () => loadPollResults(),
+    loadAllPolls: () => loadAllPolls(),
+    selectPoll: element => selectPoll(Number(element.dataset.pollId)),
+    retryPollResults: element => displayPollResults(Number(element.dataset.pollId)),
+    refreshResults: () => refreshResults(),
+    exportResults: () => exportResults(),
+    exportAllPolls: () => exportAllPolls(),
+    printReport: () => printReport(),
+    setChartType: element => setChartType(element.value),
+    exportChart: element => exportChart(element.dataset.format),
+    clearCache: () => clearCache(),
+    setLanguage: element => i18n.setLocale(element.value),
+    setTheme: element => theme.setTheme(element.value)
+});
+
+// Show the page in the new language, keeping the poll and list on screen
+i18n.onChange(() => {
+    i18n.translatePage();
+    document.getElementById('language-select').value = i18n.locale;
+    if (listedPolls.length > 0) {
+        displayPollsList(listedPolls);
+    }
+    renderLiveStatus();
+    updateStatsPanel();
+    if (currentPollId) {
+        displayPollResults(currentPollId);
+    }
+});
+
+// Handle Enter key in poll ID input
+document.getElementById('poll-id-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        loadPollResults();
+    }
+});
+
+// Initialize the viewer
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('Poll Results Viewer initialized');
+    i18n.renderLanguageSelect(document.getElementById('language-select'));
+    i18n.translatePage();
+    document.getElementById('theme-select').value = theme.theme;
+    populateExportFormats();
+    updateStatsPanel();
+
+    // Open the poll linked with ?poll=ID
+    const linkedPoll = new URLSearchParams(window.location.search).get('poll');
+    if (linkedPoll) {
+        document.getElementById('poll-id-input').value = linkedPoll;
+        loadPollResults();
+    }
+});
@@ -4,107 +4,326 @@
  */
 
 class PollResultsManager {
-    constructor(apiClient) {
+    /**
+     * @param {PollyAPIClient} apiClient - API client
+     * @param {Object} cacheOptions - ResultsCache options (maxEntries, ttl, staleWhileRevalidate, persist)
+     */
+    constructor(apiClient, cacheOptions = {}) {
         this.apiClient = apiClient;
-        this.cache = new Map(); // Cache for poll results
-        this.cacheTimeout = 30000; // 30 seconds cache timeout
+        this.logger = apiClient && apiClient.logger ? apiClient.logger : console; // Shares the client's log output
+        this.cache = new ResultsCache(cacheOptions); // Cache for poll results
+        this.i18n = typeof i18n !== 'undefined' ? i18n : new PollyI18n(); // Messages and number formats
+        this.charts = new PollChartRenderer({ i18n: this.i18n }); // SVG charts for renderResults({ chart })
+        this.exporters = ResultsExporterRegistry.withDefaults(); // Export formats by name
+        this.statistics = new PollStatistics(); // Percentages, ties, margins and confidence intervals
+        this.revalidations = new Map(); // Background refreshes in flight by poll ID
+        this.requests = new Map(); // Foreground fetches in flight by poll ID, shared by concurrent callers
+        this.generations = new Map(); // Bumped on invalidation so in-flight responses are discarded
+        this.subscriptions = new Map(); // Live result subscriptions by poll ID
+        this.pendingVotes = new Map(); // Optimistic votes awaiting the server, by poll ID
+        this.streamPaths = {
+            sse: '/polls/{pollId}/results/stream',
+            websocket: '/polls/{pollId}/results/ws'
+        };
+        // openapi.yaml declares no streaming endpoint, so only poll unless told otherwise
+        this.liveTransport = 'polling';
+        this.pollingInterval = { min: 5000, max: 60000 };
+
+        // The current user's votes and deletions make cached results wrong
+        if (apiClient && typeof apiClient.on === 'function') {
+            apiClient.on('voteCast', ({ pollId }) => this.invalidate(pollId));
+            apiClient.on('pollDeleted', ({ pollId }) => this.invalidate(pollId));
+        }
+    }
+
+    /**
+     * Drop cached results for a poll
+     * @param {number} pollId - Poll ID
+     */
+    invalidate(pollId) {
+        this.generations.set(pollId, (this.generations.get(pollId) || 0) + 1);
+        this.cache.delete(pollId);
+        this.revalidations.delete(pollId);
+        this.requests.delete(pollId);
     }
 
     /**
      * Retrieve poll results with caching and error handling
      * @param {number} pollId - Poll ID
      * @param {boolean} forceRefresh - Force refresh from server
+     * @param {Object} requestOptions - API request options (timeout, retries, signal)
      * @returns {Promise<Object>} Poll results object
      */
-    async getPollResults(pollId, forceRefresh = false) {
+    async getPollResults(pollId, forceRefresh = false, requestOptions = {}) {
         try {
+            // Results persisted before a reload are only in the cache once it has restored them
+            await this.cache.ready;
+
             // Check cache first (unless force refresh)
-            if (!forceRefresh && this.cache.has(pollId)) {
-                const cached = this.cache.get(pollId);
-                if (Date.now() - cached.timestamp < this.cacheTimeout) {
-                    console.log(`Using cached results for poll ${pollId}`);
+            const cached = forceRefresh ? this.cache.peek(pollId) : this.cache.lookup(pollId);
+
+            if (!forceRefresh && cached && cached.state === 'fresh') {
+                this.logger.log(`Using cached results for poll ${pollId}`);
+                return cached.data;
+            }
+
+            if (!forceRefresh && cached && cached.state === 'stale') {
+                this.logger.log(`Using stale results for poll ${pollId} while revalidating`);
+                this.revalidateInBackground(pollId);
+                return cached.data;
+            }
+
+            this.logger.log(`Fetching fresh results for poll ${pollId}`);
+            try {
+                return await this.requestResults(pollId, cached, requestOptions);
+            } catch (error) {
+                // Offline: the last results seen are better than none, however old
+                if (error instanceof NetworkError && cached) {
+                    this.logger.warn(`Server unreachable, using cached results for poll ${pollId}`);
                     return cached.data;
                 }
+                throw error;
             }
+        } catch (error) {
+            if (!(error instanceof RequestCancelledError)) {
+                this.logger.error(`Error retrieving poll results for poll ${pollId}:`, error);
+            }
+            // Rethrow unchanged so callers can tell NotFoundError from NetworkError
+            throw error;
+        }
+    }
 
-            console.log(`Fetching fresh results for poll ${pollId}`);
-            const results = await this.apiClient.getPollResults(pollId);
-            
-            // Cache the results
-            this.cache.set(pollId, {
-                data: results,
-                timestamp: Date.now()
-            });
+    /**
+     * Fetch results, joining a request for the same poll that is already in flight
+     * Opening a poll loads its results for display and seeds its live subscription at the
+     * same time; both get the one response. A request started before an invalidation is
+     * not joined.
+     * @param {number} pollId - Poll ID
+     * @param {Object|null} cached - Cache entry, possibly expired
+     * @param {Object} requestOptions - API request options, used when a new request is made
+     * @returns {Promise<Object>} Poll results
+     */
+    requestResults(pollId, cached, requestOptions = {}) {
+        const generation = this.generations.get(pollId) || 0;
+        const pending = this.requests.get(pollId);
+        if (pending && pending.generation === generation) {
+            return pending.promise;
+        }
 
-            return results;
-        } catch (error) {
-            console.error(`Error retrieving poll results for poll ${pollId}:`, error);
-            throw new Error(`Failed to retrieve poll results: ${error.message}`);
+        const request = {
+            generation,
+            promise: this.fetchResults(pollId, cached, requestOptions).finally(() => {
+                if (this.requests.get(pollId) === request) {
+                    this.requests.delete(pollId);
+                }
+            })
+        };
+        this.requests.set(pollId, request);
+        return request.promise;
+    }
+
+    /**
+     * Fetch results from the server, revalidating a cached copy by ETag when there is one
+     * @param {number} pollId - Poll ID
+     * @param {Object|null} cached - Cache entry, possibly expired
+     * @param {Object} requestOptions - API request options
+     * @returns {Promise<Object>} Poll results
+     */
+    async fetchResults(pollId, cached, requestOptions = {}) {
+        const etag = cached ? cached.etag : null;
+        const generation = this.generations.get(pollId) || 0;
+        const response = await this.apiClient.revalidatePollResults(pollId, etag, requestOptions);
+
+        // Results requested before an invalidation may predate the change
+        const current = generation === (this.generations.get(pollId) || 0);
+
+        if (response.notModified && cached) {
+            if (current) {
+                this.cache.revalidated(pollId);
+            }
+            return cached.data;
         }
+
+        const data = this.withPendingVote(pollId, response.data);
+        if (current) {
+            this.cache.set(pollId, data, { etag: response.etag });
+        }
+        return data;
+    }
+
+    /**
+     * Count a vote in the cached and live results before the server confirms it
+     * While the vote is pending it is also added to results arriving from the server,
+     * so live updates don't briefly undo it.
+     * @param {number} pollId - Poll ID
+     * @param {number} optionId - Option voted for
+     * @param {number|null} previousOptionId - Option the vote moves away from when a vote is changed
+     * @returns {Object} { results, confirm(), rollback() }; results are the enhanced optimistic results
+     *                   (null when none are cached) and rollback() returns the restored ones
+     */
+    applyOptimisticVote(pollId, optionId, previousOptionId = null) {
+        const pending = { optionId, previousOptionId };
+        this.pendingVotes.set(pollId, pending);
+
+        const settle = () => {
+            if (this.pendingVotes.get(pollId) === pending) {
+                this.pendingVotes.delete(pollId);
+            }
+        };
+
+        return {
+            results: this.updateCachedResults(pollId, data => this.shiftVote(data, optionId, previousOptionId)),
+            confirm: settle,
+            rollback: () => {
+                settle();
+                return this.updateCachedResults(pollId, data => this.shiftVote(data, previousOptionId, optionId));
+            }
+        };
+    }
+
+    /**
+     * Replace cached results and push them to live subscribers
+     * @param {number} pollId - Poll ID
+     * @param {Function} update - Receives the cached raw results and returns new ones
+     * @returns {Object|null} Enhanced results, or null when nothing is cached
+     */
+    updateCachedResults(pollId, update) {
+        const cached = this.cache.peek(pollId);
+        if (!cached) {
+            return null;
+        }
+
+        const data = update(cached.data);
+        this.cache.set(pollId, data, { etag: cached.etag });
+
+        const subscription = this.subscriptions.get(pollId);
+        if (subscription && subscription.active) {
+            this.notifySubscribers(pollId, subscription, data);
+        }
+        return this.enhanceResultsWithStats(data);
+    }
+
+    /**
+     * Move one vote between options
+     * @param {Object} results - Raw poll results
+     * @param {number|null} toOptionId - Option gaining a vote
+     * @param {number|null} fromOptionId - Option losing a vote
+     * @returns {Object} New results object
+     */
+    shiftVote(results, toOptionId, fromOptionId) {
+        const options = results.results.map(result => {
+            let count = result.vote_count;
+            if (result.option_id === toOptionId) {
+                count++;
+            }
+            if (result.option_id === fromOptionId) {
+                count = Math.max(0, count - 1);
+            }
+            return { ...result, vote_count: count };
+        });
+
+        return {
+            ...results,
+            total_votes: options.reduce((sum, result) => sum + result.vote_count, 0),
+            results: options
+        };
+    }
+
+    /**
+     * Add a pending optimistic vote to results that came from the server
+     * @param {number} pollId - Poll ID
+     * @param {Object} results - Raw poll results
+     * @returns {Object} Results including the pending vote
+     */
+    withPendingVote(pollId, results) {
+        const pending = this.pendingVotes.get(pollId);
+        return pending ? this.shiftVote(results, pending.optionId, pending.previousOptionId) : results;
+    }
+
+    /**
+     * Refresh a stale entry without making the caller wait
+     * @param {number} pollId - Poll ID
+     */
+    revalidateInBackground(pollId) {
+        if (this.revalidations.has(pollId)) {
+            return;
+        }
+
+        const refresh = this.fetchResults(pollId, this.cache.peek(pollId))
+            .catch(error => this.logger.error(`Background refresh failed for poll ${pollId}:`, error))
+            .finally(() => {
+                if (this.revalidations.get(pollId) === refresh) {
+                    this.revalidations.delete(pollId);
+                }
+            });
+        this.revalidations.set(pollId, refresh);
     }
 
     /**
      * Get poll results with detailed statistics
      * @param {number} pollId - Poll ID
+     * @param {Object} requestOptions - API request options (timeout, retries, signal)
      * @returns {Promise<Object>} Enhanced poll results with statistics
      */
-    async getDetailedPollResults(pollId) {
+    async getDetailedPollResults(pollId, requestOptions = {}) {
         try {
-            const results = await this.getPollResults(pollId);
+            const results = await this.getPollResults(pollId, false, requestOptions);
             const enhancedResults = this.enhanceResultsWithStats(results);
             return enhancedResults;
         } catch (error) {
-            console.error(`Error getting detailed poll results for poll ${pollId}:`, error);
+            if (!(error instanceof RequestCancelledError)) {
+                this.logger.error(`Error getting detailed poll results for poll ${pollId}:`, error);
+            }
             throw error;
         }
     }
 
     /**
      * Enhance poll results with additional statistics
+     * Percentages add up to 100, every option sharing the top count is a winner, and each option gets
+     * a confidence interval; see PollStatistics.analyze for the fields added.
      * @param {Object} results - Basic poll results
      * @returns {Object} Enhanced results with statistics
      */
     enhanceResultsWithStats(results) {
-        const totalVotes = results.results.reduce((sum, result) => sum + result.vote_count, 0);
-        
-        const enhancedResults = {
-            ...results,
-            total_votes: totalVotes,
-            results: results.results.map(result => ({
-                ...result,
-                percentage: totalVotes > 0 ? Math.round((result.vote_count / totalVotes) * 100) : 0,
-                is_winner: result.vote_count === Math.max(...results.results.map(r => r.vote_count)) && result.vote_count > 0
-            }))
-        };
-
-        return enhancedResults;
+        return this.statistics.analyze(results);
     }
 
     /**
      * Display poll results in a specified container
      * @param {number} pollId - Poll ID
-     * @param {string} containerId - HTML element ID to display results
-     * @param {Object} options - Display options
+     * @param {string|HTMLElement} containerId - Container element or its ID; pass the element
+     *        for containers the ID can't find, such as ones in a shadow root
+     * @param {Object} options - Display options (options.signal cancels loading)
      */
     async displayPollResults(pollId, containerId, options = {}) {
-        const container = document.getElementById(containerId);
-        if (!container) {
-            throw new Error(`Container with ID '${containerId}' not found`);
-        }
+        const container = this.getContainer(containerId);
+
+        const { signal, ...displayOptions } = options;
 
         try {
-            // Show loading state
-            container.innerHTML = '<div class="loading">Loading poll results...</div>';
+            // Show loading state, unless this poll is already on screen and can update in place
+            if (!container.pollyRenderState || container.pollyRenderState.pollId !== pollId) {
+                container.innerHTML = `<div class="loading">${this.escapeHtml(this.i18n.t('results.loading'))}</div>`;
+            }
 
-            const results = await this.getDetailedPollResults(pollId);
-            this.renderResults(container, results, options);
+            const results = await this.getDetailedPollResults(pollId, { signal });
+            this.renderResults(container, results, displayOptions);
         } catch (error) {
+            // A cancelled load belongs to a view that is already gone
+            if (error instanceof RequestCancelledError) {
+                return;
+            }
+
+            // Retry with the same options, kept on the container rather than in the markup
+            container.pollyRetry = { pollId, options: displayOptions };
+            this.bindActions(container);
             container.innerHTML = `
                 <div class="error-message">
-                    <h3>Error Loading Results</h3>
-                    <p>${error.message}</p>
-                    <button onclick="pollResultsManager.displayPollResults(${pollId}, '${containerId}', ${JSON.stringify(options)})">
-                        Retry
+                    <h3>${this.escapeHtml(this.i18n.t('results.error'))}</h3>
+                    <p>${this.escapeHtml(error.message)}</p>
+                    <button data-action="retryResults">
+                        ${this.escapeHtml(this.i18n.t('common.retry'))}
                     </button>
                 </div>
             `;
@@ -113,9 +332,18 @@ class PollResultsManager {
 
     /**
      * Render poll results in the container
+     * When the container already shows the same poll with the same options,
+     * the counts are updated and animated in place instead of rebuilt.
      * @param {HTMLElement} container - Container element
      * @param {Object} results - Poll results
      * @param {Object} options - Display options
+     * @param {string|null} options.chart - 'bar', 'horizontal-bar', 'pie' or 'donut' to draw an SVG chart
+     * @param {Array<string>} options.palette - Chart colours, one per option in order
+     * @param {boolean} options.chartExport - Show SVG/PNG download buttons under the chart
+     * @param {boolean} options.showStatistics - Show the margin/significance summary and confidence intervals
+     * @param {number|null} options.votedOptionId - Highlight the option the current user voted for
+     * @param {string|null} options.theme - 'light', 'dark', 'high-contrast' or 'auto' (system) to match the
+     *        page the results are embedded in; the page's own theme when null
      */
     renderResults(container, results, options = {}) {
         const {
@@ -123,43 +351,73 @@ class PollResultsManager {
             showWinner = true,
             showTotalVotes = true,
             showCharts = false,
-            compact = false
+            chart = null,
+            palette = null,
+            chartExport = true,
+            showStatistics = true,
+            votedOptionId = null,
+            compact = false,
+            theme = null
         } = options;
 
         const totalVotes = results.total_votes;
         const hasVotes = totalVotes > 0;
+        const renderState = {
+            pollId: results.poll_id,
+            optionIds: results.results.map(result => result.option_id).join(','),
+            optionsKey: JSON.stringify({
+                showPercentages, showWinner, showTotalVotes, showCharts, chart, palette, chartExport, showStatistics,
+                votedOptionId, compact, theme, locale: this.i18n.locale
+            }),
+            hasVotes,
+            options
+        };
+
+        const previous = container.pollyRenderState;
+        if (previous && ['pollId', 'optionIds', 'optionsKey', 'hasVotes'].every(key => previous[key] === renderState[key])) {
+            this.updateResultsInPlace(container, results, { showPercentages, showWinner, showStatistics, chart, palette });
+            container.pollyRenderState = renderState;
+            return;
+        }
 
         let html = `
-            <div class="poll-results-container ${compact ? 'compact' : ''}">
+            <div class="poll-results-container ${compact ? 'compact' : ''}" ${theme ? `data-theme="${this.escapeHtml(theme)}"` : ''}>
                 <div class="poll-results-header">
                     <h3>${this.escapeHtml(results.question)}</h3>
-                    ${showTotalVotes ? `<p class="total-votes">Total Votes: <strong>${totalVotes}</strong></p>` : ''}
+                    ${showTotalVotes ? `<p class="total-votes">${this.escapeHtml(this.i18n.t('results.totalVotes'))} <strong data-value="${totalVotes}">${this.i18n.formatNumber(totalVotes)}</strong></p>` : ''}
+                    ${showStatistics && hasVotes ? `<p class="results-summary">${this.escapeHtml(this.describeStatistics(results))}</p>` : ''}
                 </div>
+                ${chart && hasVotes ? this.renderChart(container, results, { chart, palette, chartExport }) : ''}
                 <div class="poll-results-list">
         `;
 
         if (!hasVotes) {
             html += `
                 <div class="no-votes">
-                    <p>No votes have been cast yet.</p>
+                    <p>${this.escapeHtml(this.i18n.t('results.noVotes'))}</p>
                 </div>
             `;
         } else {
             results.results.forEach((result, index) => {
                 const percentage = result.percentage;
                 const isWinner = result.is_winner && showWinner;
-                
+                const isVoted = result.option_id === votedOptionId;
+
                 html += `
-                    <div class="result-item ${isWinner ? 'winner' : ''}" data-option-id="${result.option_id}">
+                    <div class="result-item ${isWinner ? 'winner' : ''} ${isVoted ? 'your-vote' : ''}" data-option-id="${result.option_id}">
                         <div class="result-content">
-                            <div class="option-text">${this.escapeHtml(result.text)}</div>
+                            <div class="option-text">
+                                ${this.escapeHtml(result.text)}
+                                ${isVoted ? `<span class="your-vote-badge">${this.escapeHtml(this.i18n.t('results.yourVote'))}</span>` : ''}
+                            </div>
                             <div class="vote-info">
-                                <span class="vote-count">${result.vote_count} vote${result.vote_count !== 1 ? 's' : ''}</span>
-                                ${showPercentages ? `<span class="percentage">${percentage}%</span>` : ''}
+                                <span class="vote-count" data-value="${result.vote_count}">${this.formatVoteCount(result.vote_count)}</span>
+                                ${showPercentages ? `<span class="percentage">${this.i18n.formatPercent(percentage)}</span>` : ''}
+                                ${showStatistics ? `<span class="confidence-interval">${this.formatConfidenceInterval(result)}</span>` : ''}
                             </div>
                         </div>
                         ${showCharts ? this.renderProgressBar(percentage) : ''}
-                        ${isWinner ? '<div class="winner-badge">🏆 Winner</div>' : ''}
+                        ${isWinner ? this.renderWinnerBadge(results) : ''}
                     </div>
                 `;
             });
@@ -168,14 +426,229 @@ class PollResultsManager {
         html += `
                 </div>
                 <div class="poll-results-footer">
-                    <button onclick="pollResultsManager.refreshResults(${results.poll_id}, '${container.id}')" class="refresh-btn">
-                        🔄 Refresh Results
+                    <button data-action="refreshResults" data-poll-id="${results.poll_id}" class="refresh-btn">
+                        ${this.escapeHtml(this.i18n.t('results.refresh'))}
                     </button>
                 </div>
             </div>
         `;
 
         container.innerHTML = html;
+        container.pollyRenderState = renderState;
+        this.bindActions(container);
+    }
+
+    /**
+     * Update rendered counts, percentages and winner badges without rebuilding the markup
+     * @param {HTMLElement} container - Container element
+     * @param {Object} results - Poll results
+     * @param {Object} options - Display options
+     */
+    updateResultsInPlace(container, results, { showPercentages, showWinner, showStatistics, chart, palette }) {
+        const total = container.querySelector('.total-votes strong');
+        if (total) {
+            this.animateNumber(total, results.total_votes, count => this.i18n.formatNumber(count));
+        }
+
+        const summary = container.querySelector('.results-summary');
+        if (showStatistics && summary) {
+            summary.textContent = this.describeStatistics(results);
+        }
+
+        const figure = container.querySelector('.poll-chart-figure');
+        if (chart && figure) {
+            figure.innerHTML = this.renderChartFigure(results, { chart, palette });
+        }
+
+        results.results.forEach(result => {
+            const item = container.querySelector(`.result-item[data-option-id="${result.option_id}"]`);
+            if (!item) {
+                return;
+            }
+
+            const count = item.querySelector('.vote-count');
+            const changed = Number(count.dataset.value) !== result.vote_count;
+            this.animateNumber(count, result.vote_count, value => this.formatVoteCount(value));
+
+            if (showPercentages) {
+                item.querySelector('.percentage').textContent = this.i18n.formatPercent(result.percentage);
+            }
+
+            if (showStatistics) {
+                item.querySelector('.confidence-interval').textContent = this.formatConfidenceInterval(result);
+            }
+
+            const fill = item.querySelector('.progress-fill');
+            if (fill) {
+                fill.style.width = `${result.percentage}%`;
+                fill.parentElement.setAttribute('aria-label', this.i18n.t('results.progress', { percentage: result.percentage }));
+            }
+
+            const isWinner = result.is_winner && showWinner;
+            item.classList.toggle('winner', isWinner);
+            const badge = item.querySelector('.winner-badge');
+            if (badge) {
+                badge.remove();
+            }
+            if (isWinner) {
+                item.insertAdjacentHTML('beforeend', this.renderWinnerBadge(results));
+            }
+
+            if (changed) {
+                // Restart the highlight animation
+                item.classList.remove('count-changed');
+                void item.offsetWidth;
+                item.classList.add('count-changed');
+            }
+        });
+    }
+
+    /**
+     * Badge for winning options; shared first place is shown as a tie
+     * @param {Object} results - Enhanced poll results
+     * @returns {string} HTML for the badge
+     */
+    renderWinnerBadge(results) {
+        return results.statistics.is_tie
+            ? `<div class="winner-badge tie">${this.escapeHtml(this.i18n.t('results.tied'))}</div>`
+            : `<div class="winner-badge">${this.escapeHtml(this.i18n.t('results.winner'))}</div>`;
+    }
+
+    /**
+     * Summarize the margin and its significance in the current language
+     * PollStatistics.describe gives the same summary in English for scripts.
+     * @param {Object} results - Enhanced poll results
+     * @returns {string} Summary, e.g. "Leading by 4 votes (12.5 points), not statistically significant at 95%"
+     */
+    describeStatistics(results) {
+        return ResultsExporterRegistry.localizeOutcome(results, this.i18n);
+    }
+
+    /**
+     * Format an option's confidence interval
+     * @param {Object} result - Enhanced option result
+     * @returns {string} e.g. "95% CI 41.2–63.5%", or '' without votes
+     */
+    formatConfidenceInterval(result) {
+        const interval = result.confidence_interval;
+        if (!interval) {
+            return '';
+        }
+        return this.i18n.t('results.confidenceInterval', {
+            level: this.statistics.confidence * 100,
+            lower: interval.lower,
+            upper: interval.upper
+        });
+    }
+
+    /**
+     * Count a number element up or down to a new value
+     * @param {HTMLElement} element - Element with the current value in data-value
+     * @param {number} to - Target value
+     * @param {Function} format - Formats a value for display
+     * @param {number} duration - Animation length in ms
+     */
+    animateNumber(element, to, format, duration = 600) {
+        const from = Number(element.dataset.value) || 0;
+        element.dataset.value = to;
+
+        if (from === to || typeof requestAnimationFrame === 'undefined') {
+            element.textContent = format(to);
+            return;
+        }
+
+        const start = performance.now();
+        const step = now => {
+            // Stop if a newer update has taken over this element
+            if (Number(element.dataset.value) !== to) {
+                return;
+            }
+            const progress = Math.min((now - start) / duration, 1);
+            element.textContent = format(Math.round(from + (to - from) * progress));
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    /**
+     * Format a vote count label
+     * @param {number} count - Vote count
+     * @returns {string} e.g. "1 vote", "3 votes"
+     */
+    formatVoteCount(count) {
+        return this.i18n.t('results.voteCount', { count });
+    }
+
+    /**
+     * Handle the Retry, Refresh and chart export buttons rendered into a container
+     * @param {HTMLElement} container - Container element, bound once
+     */
+    bindActions(container) {
+        if (container.pollyActions) {
+            return;
+        }
+
+        container.pollyActions = new ActionDelegator(container, {
+            retryResults: () => {
+                const { pollId, options } = container.pollyRetry;
+                this.displayPollResults(pollId, container, options);
+            },
+            refreshResults: element => this.refreshResults(Number(element.dataset.pollId), container),
+            downloadChart: element => this.downloadChart(container, element.dataset.format)
+        });
+    }
+
+    /**
+     * Render the chart block: SVG figure, legend and export buttons
+     * @param {HTMLElement} container - Container element
+     * @param {Object} results - Poll results
+     * @param {Object} options - Chart options ({ chart, palette, chartExport })
+     * @returns {string} HTML for the chart
+     */
+    renderChart(container, results, { chart, palette, chartExport }) {
+        return `
+            <div class="poll-chart" data-chart-type="${chart}">
+                <div class="poll-chart-figure">${this.renderChartFigure(results, { chart, palette })}</div>
+                ${chartExport ? `
+                    <div class="chart-export">
+                        <button class="export-btn" data-action="downloadChart" data-format="svg">⬇ SVG</button>
+                        <button class="export-btn" data-action="downloadChart" data-format="png">⬇ PNG</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the SVG chart, with a legend for pie and donut charts
+     * @param {Object} results - Poll results
+     * @param {Object} options - Chart options ({ chart, palette })
+     * @returns {string} SVG and legend markup
+     */
+    renderChartFigure(results, { chart, palette }) {
+        const chartOptions = { type: chart, ...(palette ? { palette } : {}) };
+        const svg = this.charts.render(results, chartOptions);
+        const legend = chart === 'pie' || chart === 'donut' ? this.charts.renderLegend(results, chartOptions) : '';
+        return svg + legend;
+    }
+
+    /**
+     * Download the chart shown in a results container
+     * @param {string|HTMLElement} containerId - Container element or its ID
+     * @param {string} format - 'svg' or 'png'
+     */
+    async downloadChart(containerId, format = 'svg') {
+        const container = this.getContainer(containerId);
+        const svg = container.querySelector('.poll-chart svg');
+        if (!svg) {
+            throw new Error('No chart rendered in this container');
+        }
+
+        const pollId = container.pollyRenderState.pollId;
+        const blob = format === 'png' ? await this.charts.exportPNG(svg) : this.charts.exportSVG(svg);
+        this.downloadBlob(blob, `poll-${pollId}-chart.${format === 'png' ? 'png' : 'svg'}`);
     }
 
     /**
@@ -185,7 +658,7 @@ class PollResultsManager {
      */
     renderProgressBar(percentage) {
         return `
-            <div class="progress-bar">
+            <div class="progress-bar" role="img" aria-label="${this.escapeHtml(this.i18n.t('results.progress', { percentage }))}">
                 <div class="progress-fill" style="width: ${percentage}%"></div>
             </div>
         `;
@@ -194,13 +667,368 @@ class PollResultsManager {
     /**
      * Refresh poll results for a specific poll
      * @param {number} pollId - Poll ID
-     * @param {string} containerId - Container ID
+     * @param {string|HTMLElement} containerId - Container element or its ID
      */
     async refreshResults(pollId, containerId) {
         // Clear cache for this poll
         this.cache.delete(pollId);
-        // Reload results
-        await this.displayPollResults(pollId, containerId);
+        // Reload results with the options they were rendered with
+        const container = this.getContainer(containerId);
+        const renderState = container.pollyRenderState;
+        await this.displayPollResults(pollId, container, renderState ? renderState.options : {});
+    }
+
+    /**
+     * Find a results container
+     * @param {string|HTMLElement} containerId - Container element or its ID
+     * @returns {HTMLElement} Container element
+     * @throws {Error} When no element has the ID
+     */
+    getContainer(containerId) {
+        if (typeof containerId !== 'string') {
+            return containerId;
+        }
+
+        const container = document.getElementById(containerId);
+        if (!container) {
+            throw new Error(`Container with ID '${containerId}' not found`);
+        }
+        return container;
+    }
+
+    /**
+     * Subscribe to live results for a poll
+     * Uses adaptive polling unless a streaming transport is chosen, through the transport
+     * option or liveTransport; Server-Sent Events and WebSockets fall back to polling when
+     * the server doesn't offer them. Subscribers of the same poll share one connection.
+     * @param {number} pollId - Poll ID
+     * @param {Function} callback - Called with enhanced results whenever they change
+     * @param {Object} options - Subscription options
+     * @param {string} options.transport - 'polling', 'sse', 'websocket' or 'auto' (SSE, then
+     *                                     WebSocket, then polling); defaults to liveTransport
+     * @param {number} options.minInterval - Fastest polling interval in ms
+     * @param {number} options.maxInterval - Slowest polling interval in ms
+     * @param {Function} options.onError - Called with errors from the initial load or polling
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(pollId, callback, options = {}) {
+        let subscription = this.subscriptions.get(pollId);
+
+        if (!subscription) {
+            subscription = {
+                callbacks: new Set(),
+                transport: null,
+                stop: () => {},
+                active: true,
+                signature: null,
+                latest: null,
+                options
+            };
+            this.subscriptions.set(pollId, subscription);
+            this.startSubscription(pollId, subscription);
+        } else if (subscription.latest) {
+            // Late subscribers get the current results right away
+            callback(subscription.latest);
+        }
+
+        subscription.callbacks.add(callback);
+        return () => this.unsubscribe(pollId, callback);
+    }
+
+    /**
+     * Remove a live results callback, closing the connection after the last one
+     * @param {number} pollId - Poll ID
+     * @param {Function} callback - Callback passed to subscribe()
+     */
+    unsubscribe(pollId, callback) {
+        const subscription = this.subscriptions.get(pollId);
+        if (!subscription) {
+            return;
+        }
+
+        subscription.callbacks.delete(callback);
+        if (subscription.callbacks.size === 0) {
+            subscription.active = false;
+            subscription.stop();
+            this.subscriptions.delete(pollId);
+        }
+    }
+
+    /**
+     * Get the transport currently used for a poll's live results
+     * @param {number} pollId - Poll ID
+     * @returns {string|null} 'sse', 'websocket', 'polling' or null when not subscribed
+     */
+    getSubscriptionTransport(pollId) {
+        const subscription = this.subscriptions.get(pollId);
+        return subscription ? subscription.transport : null;
+    }
+
+    /**
+     * Load the current results through the cache, then open the first transport that works
+     * A view loading the same poll at the same time shares its request.
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     */
+    startSubscription(pollId, subscription) {
+        const { transport = this.liveTransport, onError } = subscription.options;
+        const order = transport === 'auto' ? ['sse', 'websocket', 'polling'] : [...new Set([transport, 'polling'])];
+
+        this.refreshSubscription(pollId, subscription, () => this.getPollResults(pollId))
+            .catch(error => {
+                // Cancelled along with the view whose request was shared; polling carries on
+                if (onError && !(error instanceof RequestCancelledError)) {
+                    onError(error);
+                }
+            });
+
+        const open = index => {
+            if (!subscription.active) {
+                return;
+            }
+
+            const name = order[index];
+            const fallback = () => open(index + 1);
+            subscription.transport = name;
+
+            if (name === 'sse') {
+                subscription.stop = this.openEventStream(pollId, subscription, fallback);
+            } else if (name === 'websocket') {
+                subscription.stop = this.openWebSocket(pollId, subscription, fallback);
+            } else {
+                subscription.stop = this.startAdaptivePolling(pollId, subscription);
+            }
+        };
+
+        open(0);
+    }
+
+    /**
+     * Build the URL of a streaming endpoint
+     * @param {string} type - 'sse' or 'websocket'
+     * @param {number} pollId - Poll ID
+     * @returns {string} Endpoint URL
+     */
+    getStreamURL(type, pollId) {
+        const url = `${this.apiClient.baseURL}${this.streamPaths[type].replace('{pollId}', pollId)}`;
+        return type === 'websocket' ? url.replace(/^http/, 'ws') : url;
+    }
+
+    /**
+     * Receive results over Server-Sent Events
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {Function} fallback - Called once if the stream is unavailable
+     * @returns {Function} Stop function
+     */
+    openEventStream(pollId, subscription, fallback) {
+        if (typeof EventSource === 'undefined') {
+            fallback();
+            return () => {};
+        }
+
+        const source = new EventSource(this.getStreamURL('sse', pollId));
+        let opened = false;
+
+        source.onopen = () => {
+            opened = true;
+        };
+        source.onmessage = event => this.handleStreamMessage(pollId, subscription, event.data);
+        source.onerror = () => {
+            // EventSource reconnects by itself once a stream has worked; a stream
+            // that never opened (or was closed for good) is not supported here
+            if (!opened || source.readyState === EventSource.CLOSED) {
+                source.close();
+                fallback();
+            }
+        };
+
+        return () => source.close();
+    }
+
+    /**
+     * Receive results over a WebSocket
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {Function} fallback - Called once if the socket fails or closes
+     * @returns {Function} Stop function
+     */
+    openWebSocket(pollId, subscription, fallback) {
+        if (typeof WebSocket === 'undefined') {
+            fallback();
+            return () => {};
+        }
+
+        const socket = new WebSocket(this.getStreamURL('websocket', pollId));
+        let stopped = false;
+
+        socket.onmessage = event => this.handleStreamMessage(pollId, subscription, event.data);
+        socket.onclose = () => {
+            if (!stopped) {
+                fallback();
+            }
+        };
+
+        return () => {
+            stopped = true;
+            socket.close();
+        };
+    }
+
+    /**
+     * Parse a pushed results message
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {string} data - JSON message body (PollResults)
+     */
+    handleStreamMessage(pollId, subscription, data) {
+        try {
+            this.publishResults(pollId, subscription, JSON.parse(data));
+        } catch (error) {
+            this.logger.error(`Invalid live results message for poll ${pollId}:`, error);
+        }
+    }
+
+    /**
+     * Poll for results, slowing down while nothing changes and pausing in background tabs
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @returns {Function} Stop function
+     */
+    startAdaptivePolling(pollId, subscription) {
+        const {
+            minInterval = this.pollingInterval.min,
+            maxInterval = this.pollingInterval.max,
+            onError
+        } = subscription.options;
+        const hasDocument = typeof document !== 'undefined';
+        let interval = minInterval;
+        let timer = null;
+        let inFlight = false;
+        let stopped = false;
+
+        const schedule = () => {
+            if (!stopped) {
+                timer = setTimeout(poll, interval);
+            }
+        };
+
+        const poll = async () => {
+            timer = null;
+            // Resumed by the visibilitychange handler
+            if (hasDocument && document.hidden) {
+                return;
+            }
+
+            inFlight = true;
+            try {
+                const changed = await this.refreshSubscription(pollId, subscription,
+                    () => this.fetchResults(pollId, this.cache.peek(pollId), { retries: 0 }));
+                interval = changed ? minInterval : Math.min(interval * 1.5, maxInterval);
+            } catch (error) {
+                interval = Math.min(interval * 2, maxInterval);
+                if (onError) {
+                    onError(error);
+                }
+            } finally {
+                inFlight = false;
+            }
+            schedule();
+        };
+
+        const onVisibilityChange = () => {
+            if (!document.hidden && !timer && !inFlight && !stopped) {
+                interval = minInterval;
+                poll();
+            }
+        };
+
+        if (hasDocument) {
+            document.addEventListener('visibilitychange', onVisibilityChange);
+        }
+        schedule();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            if (hasDocument) {
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            }
+        };
+    }
+
+    /**
+     * Load results for a subscription and notify its callbacks if the counts changed
+     * The loader caches what it fetches, ETag included. Like in fetchResults, results
+     * requested before an invalidation are dropped: they may predate the vote or deletion
+     * that caused it.
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {Function} load - Returns a promise of raw poll results
+     * @returns {Promise<boolean>} True if the results differ from the last ones published
+     */
+    async refreshSubscription(pollId, subscription, load) {
+        const generation = this.generations.get(pollId) || 0;
+        const results = await load();
+
+        if (!subscription.active || generation !== (this.generations.get(pollId) || 0)) {
+            return false;
+        }
+        return this.notifySubscribers(pollId, subscription, results);
+    }
+
+    /**
+     * Cache pushed results and notify subscribers if the counts changed
+     * Pushed messages carry no ETag, so the cached one is kept while the counts match it.
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {Object} results - Raw poll results
+     * @returns {boolean} True if the results differ from the last ones published
+     */
+    publishResults(pollId, subscription, results) {
+        if (!subscription.active) {
+            return false;
+        }
+
+        const data = this.withPendingVote(pollId, results);
+        const cached = this.cache.peek(pollId);
+        const unchanged = cached && this.getResultsSignature(cached.data) === this.getResultsSignature(data);
+        this.cache.set(pollId, data, { etag: unchanged ? cached.etag : null });
+        return this.notifySubscribers(pollId, subscription, data);
+    }
+
+    /**
+     * Summarize the vote counts of results for change detection
+     * @param {Object} results - Raw poll results
+     * @returns {string} Signature that changes whenever a count does
+     */
+    getResultsSignature(results) {
+        return JSON.stringify(results.results.map(result => [result.option_id, result.vote_count]));
+    }
+
+    /**
+     * Pass results to a subscription's callbacks if the counts changed
+     * @param {number} pollId - Poll ID
+     * @param {Object} subscription - Subscription state
+     * @param {Object} results - Raw poll results
+     * @returns {boolean} True if the callbacks were called
+     */
+    notifySubscribers(pollId, subscription, results) {
+        const signature = this.getResultsSignature(results);
+        if (signature === subscription.signature) {
+            return false;
+        }
+
+        subscription.signature = signature;
+        subscription.latest = this.enhanceResultsWithStats(results);
+        subscription.callbacks.forEach(callback => {
+            try {
+                callback(subscription.latest);
+            } catch (error) {
+                this.logger.error(`Error in live results callback for poll ${pollId}:`, error);
+            }
+        });
+        return true;
     }
 
     /**
@@ -225,26 +1053,69 @@ class PollResultsManager {
         }
     }
 
+    /**
+     * Register an export format, or replace a built-in one
+     * @param {string} format - Format name
+     * @param {Object} exporter - { extension, mimeType, export(polls, context), label, binary }
+     */
+    registerExporter(format, exporter) {
+        this.exporters.register(format, exporter);
+    }
+
+    /**
+     * Get the available export formats
+     * @returns {Array<Object>} { format, label, extension, mimeType } for each format
+     */
+    getExportFormats() {
+        return this.exporters.formats().map(format => {
+            const { label, extension, mimeType } = this.exporters.get(format);
+            return { format, label, extension, mimeType };
+        });
+    }
+
+    /**
+     * Export results for one or more polls
+     * @param {number|Array<number>} pollIds - Poll ID or IDs
+     * @param {string} format - Registered format name
+     * @returns {Promise<Object>} { content, format, extension, mimeType } where content is
+     *                            a string, or a Uint8Array for binary formats
+     */
+    async exportPollResults(pollIds, format = 'csv') {
+        const exporter = this.exporters.get(format);
+        const ids = Array.isArray(pollIds) ? pollIds : [pollIds];
+
+        const polls = await Promise.all(ids.map(id => this.getDetailedPollResults(id)));
+        const content = await exporter.export(polls, { generatedAt: new Date(), i18n: this.i18n });
+        return { content, format, extension: exporter.extension, mimeType: exporter.mimeType };
+    }
+
     /**
      * Export poll results to CSV format
-     * @param {number} pollId - Poll ID
+     * @param {number|Array<number>} pollId - Poll ID or IDs
      * @returns {Promise<string>} CSV formatted results
      */
     async exportPollResultsToCSV(pollId) {
+        const { content } = await this.exportPollResults(pollId, 'csv');
+        return content;
+    }
+
+    /**
+     * Download results for one or more polls in any registered format
+     * @param {number|Array<number>} pollIds - Poll ID or IDs
+     * @param {string} format - Registered format name
+     * @param {string} filename - Optional filename
+     */
+    async downloadPollResults(pollIds, format = 'csv', filename = null) {
         try {
-            const results = await this.getDetailedPollResults(pollId);
-            
-            let csv = `Poll Question,${results.question}\n`;
-            csv += `Total Votes,${results.total_votes}\n`;
-            csv += `Option Text,Vote Count,Percentage\n`;
-            
-            results.results.forEach(result => {
-                csv += `"${result.text}",${result.vote_count},${result.percentage}%\n`;
-            });
-            
-            return csv;
+            const ids = Array.isArray(pollIds) ? pollIds : [pollIds];
+            const { content, extension, mimeType } = await this.exportPollResults(ids, format);
+            const date = new Date().toISOString().split('T')[0];
+            const name = ids.length === 1 ? `poll-${ids[0]}` : `polls-${ids.length}`;
+
+            this.downloadBlob(new Blob([content], { type: mimeType }), filename || `${name}-results-${date}.${extension}`);
         } catch (error) {
-            throw new Error(`Failed to export results: ${error.message}`);
+            this.logger.error(`Error downloading ${format}:`, error);
+            throw error;
         }
     }
 
@@ -254,41 +1125,72 @@ class PollResultsManager {
      * @param {string} filename - Optional filename
      */
     async downloadPollResultsAsCSV(pollId, filename = null) {
+        await this.downloadPollResults(pollId, 'csv', filename);
+    }
+
+    /**
+     * Open the printable report for one or more polls and show the print dialog,
+     * from which it can also be saved as PDF
+     * @param {number|Array<number>} pollIds - Poll ID or IDs
+     */
+    async printPollResults(pollIds) {
+        // Open the window before awaiting so popup blockers see the user's click
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            throw new Error('The report window was blocked by the browser');
+        }
+
         try {
-            const csv = await this.exportPollResultsToCSV(pollId);
-            const blob = new Blob([csv], { type: 'text/csv' });
-            const url = window.URL.createObjectURL(blob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename || `poll-${pollId}-results-${new Date().toISOString().split('T')[0]}.csv`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            window.URL.revokeObjectURL(url);
+            const { content } = await this.exportPollResults(pollIds, 'html');
+            reportWindow.document.open();
+            reportWindow.document.write(content);
+            reportWindow.document.close();
+            reportWindow.focus();
+            reportWindow.print();
         } catch (error) {
-            console.error('Error downloading CSV:', error);
+            reportWindow.close();
             throw error;
         }
     }
 
+    /**
+     * Save a Blob through a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+    }
+
     /**
      * Clear all cached results
      */
     clearCache() {
         this.cache.clear();
-        console.log('Poll results cache cleared');
+        this.logger.log('Poll results cache cleared');
     }
 
     /**
      * Get cache statistics
-     * @returns {Object} Cache statistics
+     * @returns {Object} Cache statistics, including hits, misses, hitRate and missRate
      */
     getCacheStats() {
         return {
+            ...this.cache.getStats(),
             size: this.cache.size,
-            entries: Array.from(this.cache.keys()),
-            timeout: this.cacheTimeout
+            maxEntries: this.cache.maxEntries,
+            entries: this.cache.keys(),
+            timeout: this.cache.ttl,
+            staleWhileRevalidate: this.cache.staleWhileRevalidate,
+            persistent: this.cache.persist
         };
     }
 
@@ -304,11 +1206,20 @@ class PollResultsManager {
     }
 }
 
-// Create global poll results manager instance
-window.pollResultsManager = new PollResultsManager(window.apiClient);
+// CommonJS export for Node scripts; load api-client.js, i18n.js, locale-en.js, results-cache.js, poll-charts.js,
+// results-exporters.js and poll-statistics.js (plus components.js for rendering) into the global scope first,
+// as the script tags do in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollResultsManager };
+}
 
-// Utility functions for easy access
-window.getPollResults = (pollId) => pollResultsManager.getPollResults(pollId);
-window.getDetailedPollResults = (pollId) => pollResultsManager.getDetailedPollResults(pollId);
-window.displayPollResults = (pollId, containerId, options) => pollResultsManager.displayPollResults(pollId, containerId, options);
-window.exportPollResults = (pollId) => pollResultsManager.downloadPollResultsAsCSV(pollId);
+if (typeof window !== 'undefined') {
+    // Create global poll results manager instance
+    window.pollResultsManager = new PollResultsManager(window.apiClient, { persist: true });
+
+    // Utility functions for easy access
+    window.getPollResults = (pollId) => pollResultsManager.getPollResults(pollId);
+    window.getDetailedPollResults = (pollId) => pollResultsManager.getDetailedPollResults(pollId);
+    window.displayPollResults = (pollId, containerId, options) => pollResultsManager.displayPollResults(pollId, containerId, options);
+    window.exportPollResults = (pollId, format = 'csv') => pollResultsManager.downloadPollResults(pollId, format);
+}
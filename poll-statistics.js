@@ -0,0 +1,198 @@
+/**
+ * Poll Statistics for Polly Poll Voting System
+ * Percentages that add up to 100, tie detection, winning margin, confidence intervals and lead significance
+ */
+
+class PollStatistics {
+    /**
+     * @param {Object} options - Statistics options
+     * @param {number} options.confidence - Confidence level for intervals and the significance test (0-1)
+     * @param {number} options.decimals - Decimal places of the displayed percentages
+     */
+    constructor(options = {}) {
+        this.confidence = options.confidence ?? 0.95;
+        this.decimals = options.decimals ?? 0;
+    }
+
+    /**
+     * Analyse poll results
+     * @param {Object} results - Poll results ({ results: [{ option_id, text, vote_count }] })
+     * @returns {Object} Results with total_votes, per-option percentage, share, rank, is_winner and
+     *                   confidence_interval, plus a statistics summary (winners, is_tie, margin,
+     *                   p_value, significant, confidence_level)
+     */
+    analyze(results) {
+        const counts = results.results.map(result => result.vote_count);
+        const totalVotes = counts.reduce((sum, count) => sum + count, 0);
+        const percentages = this.roundPercentages(counts);
+        const ranked = [...counts].sort((a, b) => b - a);
+        const topVotes = ranked[0] || 0;
+        const runnerUpVotes = ranked[1] || 0;
+
+        const options = results.results.map((result, index) => ({
+            ...result,
+            percentage: percentages[index],
+            share: totalVotes > 0 ? result.vote_count / totalVotes : 0,
+            rank: ranked.indexOf(result.vote_count) + 1,
+            is_winner: topVotes > 0 && result.vote_count === topVotes,
+            confidence_interval: this.wilsonInterval(result.vote_count, totalVotes)
+        }));
+
+        const winners = options.filter(option => option.is_winner).map(option => option.option_id);
+        const isTie = winners.length > 1;
+        const pValue = totalVotes > 0 && counts.length > 1 ? this.leadPValue(topVotes, runnerUpVotes) : null;
+
+        return {
+            ...results,
+            total_votes: totalVotes,
+            results: options,
+            statistics: {
+                winners,
+                is_tie: isTie,
+                margin: totalVotes > 0 && counts.length > 1 ? {
+                    votes: topVotes - runnerUpVotes,
+                    percentage_points: this.round(((topVotes - runnerUpVotes) / totalVotes) * 100, 1)
+                } : null,
+                p_value: pValue,
+                significant: pValue !== null && !isTie && pValue < 1 - this.confidence,
+                confidence_level: this.confidence
+            }
+        };
+    }
+
+    /**
+     * Round percentages with the largest remainder method so they add up to exactly 100
+     * @param {Array<number>} counts - Vote counts
+     * @returns {Array<number>} Percentages with the configured number of decimals
+     */
+    roundPercentages(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            return counts.map(() => 0);
+        }
+
+        const scale = Math.pow(10, this.decimals);
+        const units = 100 * scale;
+        const exact = counts.map(count => (count / total) * units);
+        const floored = exact.map(Math.floor);
+        let remaining = units - floored.reduce((sum, value) => sum + value, 0);
+
+        // Hand out the leftover units by largest remainder; larger counts, then earlier options, win ties
+        exact
+            .map((value, index) => ({ index, remainder: value - floored[index] }))
+            .sort((a, b) => b.remainder - a.remainder || counts[b.index] - counts[a.index] || a.index - b.index)
+            .forEach(({ index }) => {
+                if (remaining > 0) {
+                    floored[index]++;
+                    remaining--;
+                }
+            });
+
+        return floored.map(value => value / scale);
+    }
+
+    /**
+     * Wilson score interval for an option's share of the vote
+     * @param {number} votes - Votes for the option
+     * @param {number} total - Total votes
+     * @returns {Object|null} { lower, upper } in percent (one decimal), or null without votes
+     */
+    wilsonInterval(votes, total) {
+        if (total === 0) {
+            return null;
+        }
+
+        const z = this.zScore();
+        const p = votes / total;
+        const denominator = 1 + (z * z) / total;
+        const centre = (p + (z * z) / (2 * total)) / denominator;
+        const halfWidth = (z / denominator) * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total));
+
+        return {
+            lower: this.round(Math.max(0, centre - halfWidth) * 100, 1),
+            upper: this.round(Math.min(1, centre + halfWidth) * 100, 1)
+        };
+    }
+
+    /**
+     * Two-sided p-value for the leader being ahead of the runner-up by chance
+     * Uses an exact binomial (sign) test on the votes cast for the two leading options:
+     * if both were equally popular, each of those votes would be a coin flip.
+     * @param {number} leaderVotes - Votes for the leading option
+     * @param {number} runnerUpVotes - Votes for the second option
+     * @returns {number} p-value (0-1)
+     */
+    leadPValue(leaderVotes, runnerUpVotes) {
+        const n = leaderVotes + runnerUpVotes;
+        if (n === 0) {
+            return 1;
+        }
+
+        // Sum P(X <= runnerUpVotes) for X ~ Binomial(n, 0.5), in log space to avoid underflow
+        let logTerm = -n * Math.LN2;
+        let tail = 0;
+        for (let k = 0; k <= runnerUpVotes; k++) {
+            tail += Math.exp(logTerm);
+            logTerm += Math.log((n - k) / (k + 1));
+        }
+
+        return Math.min(1, 2 * tail);
+    }
+
+    /**
+     * Two-sided critical value of the standard normal distribution for the confidence level
+     * @returns {number} z, e.g. 1.96 for 95%
+     */
+    zScore() {
+        const known = { 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+        if (known[this.confidence]) {
+            return known[this.confidence];
+        }
+
+        // Abramowitz & Stegun 26.2.23, accurate to about 4.5e-4
+        const p = (1 - this.confidence) / 2;
+        const t = Math.sqrt(-2 * Math.log(p));
+        return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+    }
+
+    /**
+     * Round to a number of decimal places
+     * @param {number} value - Value
+     * @param {number} decimals - Decimal places
+     * @returns {number} Rounded value
+     */
+    round(value, decimals) {
+        const scale = Math.pow(10, decimals);
+        return Math.round(value * scale) / scale;
+    }
+
+    /**
+     * Describe the outcome in a sentence
+     * @param {Object} analysis - Result of analyze()
+     * @returns {string} Summary, e.g. "Leading by 4 votes (12.5 points), not statistically significant at 95%"
+     */
+    describe(analysis) {
+        const { statistics, results, total_votes: totalVotes } = analysis;
+        const level = `${this.round(statistics.confidence_level * 100, 1)}%`;
+
+        if (totalVotes === 0) {
+            return 'No votes yet';
+        }
+        if (statistics.is_tie) {
+            const names = results.filter(result => result.is_winner).map(result => result.text);
+            return `Tie between ${names.join(', ')}`;
+        }
+        if (!statistics.margin) {
+            return 'Only one option';
+        }
+
+        const { votes, percentage_points: points } = statistics.margin;
+        return `Leading by ${votes} vote${votes !== 1 ? 's' : ''} (${points} points), ` +
+            `${statistics.significant ? 'statistically significant' : 'not statistically significant'} at ${level}`;
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollStatistics };
+}
@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+/**
+ * Command-line client for Polly Poll Voting System
+ * Wraps PollyAPIClient and PollResultsManager for use from a terminal
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+
+// Load the client into the global scope, as the script tags do in the browser
+const pollyApi = require('./api-client.js');
+Object.assign(
+    globalThis,
+    pollyApi,
+    require('./i18n.js'),
+    require('./results-cache.js'),
+    require('./poll-charts.js'),
+    require('./results-exporters.js'),
+    require('./poll-statistics.js')
+);
+require('./locale-en.js'); // The terminal output stays English
+const { PollResultsManager } = require('./poll-results.js');
+const { PollyValidator } = require('./validation.js');
+
+const { PollyAPIClient, FileTokenStorage } = pollyApi;
+
+const USAGE = `Usage: polly <command> [arguments] [options]
+
+Commands:
+  register <username>                     Create an account
+  login <username>                        Log in and save the session
+  logout                                  Forget the saved session
+  whoami                                  Show the logged-in user
+  polls list                              List polls (--skip N, --limit N)
+  poll show <pollId>                      Show a poll and its options
+  poll create <question> <option>...      Create a poll (at least two options)
+  vote <pollId> <optionId>                Vote for an option
+  results <pollId>...                     Show results (--format to export one or more polls)
+  delete <pollId>                         Delete one of your polls
+
+Options:
+  --password <password>   Password for register/login (prompted for when omitted,
+                          or read from POLLY_PASSWORD)
+  --base-url <url>        API base URL (default: $POLLY_API_URL or http://127.0.0.1:8000)
+  --session <file>        Session file (default: ~/.polly/session.json)
+  --json                  Print raw JSON
+  --format <format>       Export results as csv, csv-detailed, json, ndjson, markdown,
+                          xlsx or html (--csv is short for --format csv)
+  --output <file>         Write exported results to a file instead of stdout
+  --verbose               Show client logging on stderr
+  -h, --help              Show this help`;
+
+/**
+ * Raised for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+class PollyCLI {
+    /**
+     * @param {Object} options - Parsed global options
+     * @param {Object} io - Output streams
+     * @param {Object} io.stdout - Receives command output (defaults to process.stdout)
+     * @param {Object} io.stderr - Receives prompts, notices and --verbose logging (defaults to process.stderr)
+     */
+    constructor(options, io = {}) {
+        this.options = options;
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+        // Library logging would mix with command output
+        const log = options.verbose ? (...args) => this.stderr.write(`${args.join(' ')}\n`) : () => {};
+        this.client = new PollyAPIClient(options.baseUrl, {
+            storage: new FileTokenStorage(options.session),
+            logger: { log, warn: log, error: log },
+        });
+        this.resultsManager = new PollResultsManager(this.client);
+        this.validator = new PollyValidator();
+    }
+
+    /**
+     * Parse command-line arguments into positionals and options
+     * @param {Array<string>} argv - Arguments after the script name
+     * @returns {Object} { positionals, options }
+     */
+    static parseArgs(argv) {
+        const valueFlags = ['password', 'base-url', 'session', 'skip', 'limit', 'format', 'output'];
+        const positionals = [];
+        const flags = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+
+            if (arg === '--') {
+                positionals.push(...argv.slice(i + 1));
+                break;
+            }
+            if (arg === '-h' || arg === '--help') {
+                flags.help = true;
+            } else if (arg.startsWith('--')) {
+                const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+                if (valueFlags.includes(name)) {
+                    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+                    if (value === undefined) {
+                        throw new UsageError(`--${name} needs a value`);
+                    }
+                    flags[name] = value;
+                } else {
+                    flags[name] = true;
+                }
+            } else {
+                positionals.push(arg);
+            }
+        }
+
+        return {
+            positionals,
+            options: {
+                help: !!flags.help,
+                json: !!flags.json,
+                format: flags.format || (flags.csv ? 'csv' : null),
+                output: flags.output,
+                verbose: !!flags.verbose,
+                password: flags.password,
+                baseUrl: flags['base-url'] || process.env.POLLY_API_URL || 'http://127.0.0.1:8000',
+                session: flags.session || path.join(os.homedir(), '.polly', 'session.json'),
+                skip: flags.skip,
+                limit: flags.limit,
+            },
+        };
+    }
+
+    /**
+     * Run a command
+     * @param {Array<string>} positionals - Command and its arguments
+     */
+    async run(positionals) {
+        const [command, ...args] = positionals;
+
+        switch (command) {
+            case 'register':
+                return this.register(args);
+            case 'login':
+                return this.login(args);
+            case 'logout':
+                return this.logout();
+            case 'whoami':
+                return this.whoami();
+            case 'polls':
+                if (args[0] !== 'list') {
+                    throw new UsageError('Usage: polly polls list');
+                }
+                return this.listPolls();
+            case 'poll':
+                if (args[0] === 'show') {
+                    return this.showPoll(args.slice(1));
+                }
+                if (args[0] === 'create') {
+                    return this.createPoll(args.slice(1));
+                }
+                throw new UsageError('Usage: polly poll show <pollId> | polly poll create <question> <option>...');
+            case 'vote':
+                return this.vote(args);
+            case 'results':
+                return this.results(args);
+            case 'delete':
+                return this.deletePoll(args);
+            default:
+                throw new UsageError(command ? `Unknown command: ${command}` : USAGE);
+        }
+    }
+
+    /**
+     * Register a new user
+     * @param {Array<string>} args - [username]
+     */
+    async register([username]) {
+        if (!username) {
+            throw new UsageError('Usage: polly register <username> [--password <password>]');
+        }
+
+        const password = await this.getPassword();
+        this.validate('UserCreate', { username, password });
+        const user = await this.client.register(username, password);
+        this.output(user, () => `Registered ${user.username} (user ID ${user.id}). Run "polly login ${user.username}" next.`);
+    }
+
+    /**
+     * Log in and save the session
+     * @param {Array<string>} args - [username]
+     */
+    async login([username]) {
+        if (!username) {
+            throw new UsageError('Usage: polly login <username> [--password <password>]');
+        }
+
+        const password = await this.getPassword();
+        const tokenData = await this.client.login(username, password);
+        this.client.setAuth(tokenData.access_token, username);
+
+        const expiry = this.client.getTokenExpiry();
+        this.output({ username, expires_at: expiry ? expiry.toISOString() : null }, () =>
+            `Logged in as ${username}${expiry ? ` (session expires ${expiry.toLocaleString()})` : ''}`);
+    }
+
+    /**
+     * Forget the saved session
+     */
+    logout() {
+        this.client.clearAuth();
+        this.output({ logged_out: true }, () => 'Logged out');
+    }
+
+    /**
+     * Show the logged-in user
+     */
+    whoami() {
+        const authenticated = this.client.isAuthenticated();
+        const info = {
+            username: authenticated ? this.client.getCurrentUser() : null,
+            user_id: authenticated ? this.client.getCurrentUserId() : null,
+        };
+        this.output(info, () => (authenticated ? `Logged in as ${info.username}` : 'Not logged in'));
+    }
+
+    /**
+     * List polls
+     */
+    async listPolls() {
+        const skip = this.parseInteger(this.options.skip ?? '0', '--skip');
+        const limit = this.parseInteger(this.options.limit ?? '10', '--limit');
+        const polls = await this.client.getPolls(skip, limit);
+
+        this.output(polls, () => (polls.length === 0 ? 'No polls found' : this.formatTable(
+            ['ID', 'Question', 'Options', 'Owner', 'Created'],
+            polls.map(poll => [
+                poll.id,
+                poll.question,
+                poll.options.length,
+                this.client.isPollOwner(poll) ? 'you' : poll.owner_id,
+                new Date(poll.created_at).toLocaleDateString(),
+            ])
+        )));
+    }
+
+    /**
+     * Show a poll and its options
+     * @param {Array<string>} args - [pollId]
+     */
+    async showPoll([pollId]) {
+        const poll = await this.client.getPoll(this.parseInteger(pollId, 'pollId'));
+
+        this.output(poll, () => [
+            `#${poll.id}: ${poll.question}`,
+            `Created ${new Date(poll.created_at).toLocaleString()} by user ${poll.owner_id}`,
+            '',
+            this.formatTable(['Option ID', 'Text'], poll.options.map(option => [option.id, option.text])),
+        ].join('\n'));
+    }
+
+    /**
+     * Create a poll
+     * @param {Array<string>} args - [question, ...options]
+     */
+    async createPoll([question, ...options]) {
+        if (!question || options.length < 2) {
+            throw new UsageError('Usage: polly poll create <question> <option> <option> [...]');
+        }
+
+        this.validate('PollCreate', { question: question.trim(), options: options.map(option => option.trim()) });
+        this.requireLogin();
+        const poll = await this.client.createPoll(question, options);
+        this.output(poll, () => `Created poll #${poll.id}: ${poll.question}`);
+    }
+
+    /**
+     * Check a request body with the same rules as the web forms before sending it
+     * @param {string} schema - Schema name, e.g. 'UserCreate'
+     * @param {Object} body - Request body
+     * @throws {UsageError} Listing each invalid field
+     */
+    validate(schema, body) {
+        const errors = this.validator.validate(schema, body);
+        if (errors.length > 0) {
+            throw new UsageError(errors.map(error => `${error.field}: ${error.message}`).join('\n'));
+        }
+    }
+
+    /**
+     * Vote for an option
+     * @param {Array<string>} args - [pollId, optionId]
+     */
+    async vote([pollId, optionId]) {
+        if (!pollId || !optionId) {
+            throw new UsageError('Usage: polly vote <pollId> <optionId>');
+        }
+
+        this.requireLogin();
+        const vote = await this.client.castVote(this.parseInteger(pollId, 'pollId'), this.parseInteger(optionId, 'optionId'));
+        this.output(vote, () => `Vote recorded for option ${vote.option_id}`);
+    }
+
+    /**
+     * Show poll results, or export them with --format
+     * @param {Array<string>} args - [pollId, ...more poll IDs when exporting]
+     */
+    async results(pollIds) {
+        const ids = (pollIds.length > 0 ? pollIds : [undefined]).map(pollId => this.parseInteger(pollId, 'pollId'));
+
+        if (this.options.format) {
+            return this.exportResults(ids);
+        }
+        if (ids.length > 1) {
+            throw new UsageError('Pass --format to export several polls at once');
+        }
+
+        const id = ids[0];
+        const results = await this.resultsManager.getDetailedPollResults(id);
+        const statistics = this.resultsManager.statistics;
+        this.output(results, () => [
+            `#${results.poll_id}: ${results.question}`,
+            `Total votes: ${results.total_votes}`,
+            statistics.describe(results),
+            '',
+            this.formatTable(
+                ['Option ID', 'Text', 'Votes', '%', `${statistics.round(statistics.confidence * 100, 1)}% CI`, ''],
+                results.results.map(result => [
+                    result.option_id,
+                    result.text,
+                    result.vote_count,
+                    `${result.percentage}%`,
+                    result.confidence_interval ? `${result.confidence_interval.lower}-${result.confidence_interval.upper}%` : '',
+                    result.is_winner ? (results.statistics.is_tie ? 'tied' : 'winner') : '',
+                ])
+            ),
+        ].join('\n'));
+    }
+
+    /**
+     * Export results in a registered format to stdout or --output
+     * @param {Array<number>} ids - Poll IDs
+     */
+    async exportResults(ids) {
+        const { format, output } = this.options;
+        if (!this.resultsManager.exporters.has(format)) {
+            throw new UsageError(`Unknown format '${format}'. Use one of: ${this.resultsManager.exporters.formats().join(', ')}`);
+        }
+        if (this.resultsManager.exporters.get(format).binary && !output && this.stdout.isTTY) {
+            throw new UsageError(`The ${format} format is binary; use --output <file> or redirect stdout`);
+        }
+
+        // CSV keeps using PollResultsManager's documented CSV export
+        const content = format === 'csv'
+            ? await this.resultsManager.exportPollResultsToCSV(ids)
+            : (await this.resultsManager.exportPollResults(ids, format)).content;
+        if (output) {
+            fs.writeFileSync(output, content);
+            this.stderr.write(`Wrote ${output}\n`);
+        } else {
+            this.stdout.write(content);
+        }
+    }
+
+    /**
+     * Delete a poll
+     * @param {Array<string>} args - [pollId]
+     */
+    async deletePoll([pollId]) {
+        const id = this.parseInteger(pollId, 'pollId');
+        this.requireLogin();
+        await this.client.deletePoll(id);
+        this.output({ deleted: id }, () => `Deleted poll #${id}`);
+    }
+
+    /**
+     * Fail early when no session is saved
+     */
+    requireLogin() {
+        if (!this.client.isAuthenticated()) {
+            throw new AuthError('Not logged in (or the session expired). Run "polly login <username>" first.');
+        }
+    }
+
+    /**
+     * Get the password from --password, POLLY_PASSWORD or an interactive prompt
+     * @returns {Promise<string>} Password
+     */
+    async getPassword() {
+        const password = this.options.password ?? process.env.POLLY_PASSWORD;
+        if (password) {
+            return password;
+        }
+        if (!process.stdin.isTTY) {
+            throw new UsageError('No password given: pass --password or set POLLY_PASSWORD');
+        }
+        return this.promptHidden('Password: ');
+    }
+
+    /**
+     * Prompt for input without echoing it
+     * readline echoes what is typed to its output, so it gets a stream that discards
+     * everything and the prompt is written to stderr directly.
+     * @param {string} question - Prompt text
+     * @returns {Promise<string>} Entered text
+     */
+    promptHidden(question) {
+        return new Promise(resolve => {
+            const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+            const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+            this.stderr.write(question);
+            rl.question('', answer => {
+                rl.close();
+                this.stderr.write('\n');
+                resolve(answer);
+            });
+        });
+    }
+
+    /**
+     * Parse a positive integer argument
+     * @param {string} value - Raw value
+     * @param {string} name - Argument name for the error message
+     * @returns {number} Parsed integer
+     */
+    parseInteger(value, name) {
+        if (!/^\d+$/.test(String(value ?? ''))) {
+            throw new UsageError(`${name} must be a whole number`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * Print data as JSON or as formatted text
+     * @param {*} data - Data for --json output
+     * @param {Function} format - Returns the human-readable text
+     */
+    output(data, format) {
+        this.stdout.write(`${this.options.json ? JSON.stringify(data, null, 2) : format()}\n`);
+    }
+
+    /**
+     * Format rows as an aligned text table
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Table rows
+     * @returns {string} Table text
+     */
+    formatTable(headers, rows) {
+        const cells = [headers, ...rows].map(row => row.map(cell => String(cell)));
+        const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+        const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+        return [
+            line(cells[0]),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...cells.slice(1).map(line),
+        ].join('\n');
+    }
+
+    /**
+     * Turn an error into a message for the terminal
+     * @param {Error} error - Error from the client
+     * @returns {string} Message text
+     */
+    static describeError(error) {
+        if (error instanceof TimeoutError) {
+            return `The server did not answer in time (${error.request ? error.request.url : 'request'})`;
+        }
+        if (error instanceof NetworkError) {
+            return `Can't reach the Polly server: ${error.message}`;
+        }
+        if (error instanceof ValidationError && error.fieldErrors.length > 0) {
+            return error.fieldErrors.map(fieldError => `${fieldError.field || 'request'}: ${fieldError.message}`).join('\n');
+        }
+        return error.message;
+    }
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - Output streams { stdout, stderr }, for embedding or tests
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let parsed;
+    try {
+        parsed = PollyCLI.parseArgs(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    if (parsed.options.help || parsed.positionals.length === 0) {
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    try {
+        await new PollyCLI(parsed.options, io).run(parsed.positionals);
+        return 0;
+    } catch (error) {
+        io.stderr.write(`Error: ${PollyCLI.describeError(error)}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { PollyCLI, main };
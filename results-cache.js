@@ -0,0 +1,308 @@
+/**
+ * Results Cache for Polly Poll Voting System
+ * Bounded LRU cache with stale-while-revalidate, ETags and optional IndexedDB persistence
+ */
+
+class ResultsCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+     * @param {number} options.ttl - Time in ms an entry is served without revalidation
+     * @param {number} options.staleWhileRevalidate - Extra time in ms a stale entry may be served
+     *                                                while it is refreshed in the background
+     * @param {boolean} options.persist - Mirror entries to IndexedDB so they survive reloads
+     * @param {string} options.dbName - IndexedDB database name
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 50;
+        this.ttl = options.ttl ?? 30000;
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? 60000;
+        this.persist = !!options.persist && typeof indexedDB !== 'undefined';
+        this.dbName = options.dbName || 'polly-results-cache';
+        this.storeName = 'results';
+        this.entries = new Map(); // Insertion order doubles as LRU order
+        this.stats = { hits: 0, misses: 0, staleHits: 0, revalidations: 0, evictions: 0 };
+        this.db = null;
+        // Deletions made while restore() runs, so it doesn't bring those entries back
+        this.deletedWhileRestoring = new Set();
+        this.clearedWhileRestoring = false;
+        this.restoring = this.persist;
+        this.ready = this.persist ? this.restore() : Promise.resolve();
+    }
+
+    /**
+     * Look up an entry and record a hit or miss
+     * @param {*} key - Cache key
+     * @returns {Object|null} { data, etag, timestamp, state } where state is 'fresh', 'stale'
+     *                        or 'expired' (kept for its ETag), or null when absent
+     */
+    lookup(key) {
+        const entry = this.peek(key);
+
+        if (entry && entry.state !== 'expired') {
+            this.stats.hits++;
+            if (entry.state === 'stale') {
+                this.stats.staleHits++;
+            }
+            this.touch(key);
+        } else {
+            this.stats.misses++;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Read an entry without affecting statistics or LRU order
+     * @param {*} key - Cache key
+     * @returns {Object|null} Entry with its current state, or null
+     */
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        const age = Date.now() - entry.timestamp;
+        let state = 'expired';
+        if (age < this.ttl) {
+            state = 'fresh';
+        } else if (age < this.ttl + this.staleWhileRevalidate) {
+            state = 'stale';
+        }
+
+        return { ...entry, state };
+    }
+
+    /**
+     * Store an entry, evicting the least recently used ones beyond maxEntries
+     * @param {*} key - Cache key
+     * @param {*} data - Cached value
+     * @param {Object} meta - Entry metadata
+     * @param {string|null} meta.etag - ETag sent by the server
+     */
+    set(key, data, { etag = null } = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, { data, etag, timestamp: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+            this.stats.evictions++;
+            this.removePersisted(oldest);
+        }
+
+        this.savePersisted(key);
+    }
+
+    /**
+     * Mark an entry as just confirmed by the server (e.g. after a 304)
+     * @param {*} key - Cache key
+     */
+    revalidated(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.timestamp = Date.now();
+            this.stats.revalidations++;
+            this.touch(key);
+            this.savePersisted(key);
+        }
+    }
+
+    /**
+     * Move an entry to the most recently used position
+     * @param {*} key - Cache key
+     */
+    touch(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+    }
+
+    /**
+     * Check if an entry exists, whatever its age
+     * @param {*} key - Cache key
+     * @returns {boolean} True if present
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Remove an entry
+     * @param {*} key - Cache key
+     * @returns {boolean} True if an entry was removed
+     */
+    delete(key) {
+        if (this.restoring) {
+            this.deletedWhileRestoring.add(key);
+        }
+        this.removePersisted(key);
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Remove all entries and reset statistics
+     */
+    clear() {
+        if (this.restoring) {
+            this.clearedWhileRestoring = true;
+        }
+        this.entries.clear();
+        this.stats = { hits: 0, misses: 0, staleHits: 0, revalidations: 0, evictions: 0 };
+        this.withStore('readwrite', store => store.clear());
+    }
+
+    /**
+     * Get the cached keys, least recently used first
+     * @returns {Array} Keys
+     */
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Number of cached entries
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get hit/miss statistics
+     * @returns {Object} Counters plus hitRate and missRate (0-1)
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            lookups,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            missRate: lookups > 0 ? this.stats.misses / lookups : 0
+        };
+    }
+
+    /**
+     * Open the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Load persisted entries into memory
+     * Entries past ttl + staleWhileRevalidate are dropped, and of the rest only the newest
+     * maxEntries are kept, counting those set while the database was opening; the others are
+     * removed from IndexedDB too. Entries deleted or cleared in the meantime stay gone.
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        try {
+            this.db = await this.openDatabase();
+            const persisted = await new Promise((resolve, reject) => {
+                const entries = [];
+                const request = this.db.transaction(this.storeName).objectStore(this.storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        entries.push([cursor.key, cursor.value]);
+                        cursor.continue();
+                    } else {
+                        resolve(entries);
+                    }
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            const maxAge = this.ttl + this.staleWhileRevalidate;
+            const restored = [];
+            persisted.forEach(([key, entry]) => {
+                if (this.entries.has(key)) {
+                    return; // Set since the page loaded, so newer than the persisted copy
+                }
+                if (this.clearedWhileRestoring || this.deletedWhileRestoring.has(key)) {
+                    return; // Invalidated since the page loaded; IndexedDB drops it once ready
+                }
+                if (!entry || typeof entry.timestamp !== 'number' || Date.now() - entry.timestamp >= maxAge) {
+                    this.removePersisted(key);
+                    return;
+                }
+                restored.push([key, entry]);
+            });
+
+            // Restored entries are older than anything set since the page loaded
+            restored.sort((a, b) => a[1].timestamp - b[1].timestamp);
+            this.entries = new Map([...restored, ...this.entries]);
+
+            while (this.entries.size > this.maxEntries) {
+                const oldest = this.entries.keys().next().value;
+                this.entries.delete(oldest);
+                this.removePersisted(oldest);
+            }
+        } catch (error) {
+            console.error('Could not restore poll results cache:', error);
+            this.persist = false;
+        } finally {
+            this.restoring = false;
+            this.deletedWhileRestoring.clear();
+            this.clearedWhileRestoring = false;
+        }
+    }
+
+    /**
+     * Run an operation against the object store when persistence is on
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the object store
+     */
+    withStore(mode, operation) {
+        if (!this.persist) {
+            return;
+        }
+
+        this.ready.then(() => {
+            if (!this.db) {
+                return;
+            }
+            try {
+                operation(this.db.transaction(this.storeName, mode).objectStore(this.storeName));
+            } catch (error) {
+                console.error('Poll results cache persistence failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Write an entry to IndexedDB
+     * @param {*} key - Cache key
+     */
+    savePersisted(key) {
+        this.withStore('readwrite', store => {
+            const entry = this.entries.get(key);
+            if (entry) {
+                store.put(entry, key);
+            }
+        });
+    }
+
+    /**
+     * Remove an entry from IndexedDB
+     * @param {*} key - Cache key
+     */
+    removePersisted(key) {
+        this.withStore('readwrite', store => store.delete(key));
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultsCache };
+}
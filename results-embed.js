@@ -0,0 +1,23 @@
+/**
+ * Poll Results Embed Page for Polly Poll Voting System
+ * Configures the <polly-results> widget of results-embed.html from its query string and
+ * reports the page height to the embedding page, which sizes the iframe to match
+ */
+
+// Query parameters of the embed URL -> widget attributes
+const embedParams = new URLSearchParams(window.location.search);
+const embeddedResults = document.getElementById('embedded-results');
+[['poll', 'poll-id'], ['chart', 'chart'], ['refresh', 'refresh'], ['theme', 'theme'], ['api', 'base-url']].forEach(([param, attribute]) => {
+    if (embedParams.has(param)) {
+        embeddedResults.setAttribute(attribute, embedParams.get(param));
+    }
+});
+
+if (window.parent !== window && typeof ResizeObserver !== 'undefined') {
+    new ResizeObserver(() => {
+        window.parent.postMessage({
+            type: 'polly-results-resize',
+            height: document.documentElement.scrollHeight
+        }, '*');
+    }).observe(document.body);
+}
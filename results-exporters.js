@@ -0,0 +1,577 @@
+/**
+ * Results Exporters for Polly Poll Voting System
+ * Pluggable registry of export formats: CSV (summary and detailed), JSON, NDJSON, Markdown, XLSX
+ * and an HTML report
+ */
+
+class ResultsExporterRegistry {
+    constructor() {
+        this.exporters = new Map(); // Exporter definitions by format name
+    }
+
+    /**
+     * Create a registry with the built-in formats registered
+     * @returns {ResultsExporterRegistry} Registry
+     */
+    static withDefaults() {
+        const registry = new ResultsExporterRegistry();
+
+        registry.register('csv', {
+            label: 'CSV',
+            extension: 'csv',
+            mimeType: 'text/csv;charset=utf-8',
+            export: polls => ResultsExporterRegistry.toCSV(polls)
+        });
+        registry.register('csv-detailed', {
+            label: 'CSV (detailed)',
+            extension: 'csv',
+            mimeType: 'text/csv;charset=utf-8',
+            export: polls => ResultsExporterRegistry.toDetailedCSV(polls)
+        });
+        registry.register('json', {
+            label: 'JSON',
+            extension: 'json',
+            mimeType: 'application/json',
+            export: (polls, { generatedAt }) => JSON.stringify({
+                generated_at: generatedAt.toISOString(),
+                polls
+            }, null, 2) + '\n'
+        });
+        registry.register('ndjson', {
+            label: 'NDJSON',
+            extension: 'ndjson',
+            mimeType: 'application/x-ndjson',
+            export: polls => polls.map(poll => JSON.stringify(poll)).join('\n') + '\n'
+        });
+        registry.register('markdown', {
+            label: 'Markdown',
+            extension: 'md',
+            mimeType: 'text/markdown;charset=utf-8',
+            export: (polls, { i18n }) => ResultsExporterRegistry.toMarkdown(polls, i18n)
+        });
+        registry.register('xlsx', {
+            label: 'Excel (XLSX)',
+            extension: 'xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            binary: true,
+            export: polls => XlsxWriter.build(polls.map(poll => ({
+                name: `Poll ${poll.poll_id}`,
+                rows: [
+                    ['Question', poll.question],
+                    ['Total votes', poll.total_votes],
+                    ['Outcome', ResultsExporterRegistry.describeOutcome(poll)],
+                    [],
+                    ...ResultsExporterRegistry.tableRows(poll)
+                ]
+            })))
+        });
+        registry.register('html', {
+            label: 'Printable report (HTML/PDF)',
+            extension: 'html',
+            mimeType: 'text/html;charset=utf-8',
+            export: (polls, { generatedAt, i18n }) => ResultsExporterRegistry.toHTMLReport(polls, generatedAt, i18n)
+        });
+
+        return registry;
+    }
+
+    /**
+     * Register an export format, replacing any exporter with the same name
+     * @param {string} format - Format name, e.g. 'csv'
+     * @param {Object} exporter - Exporter definition
+     * @param {string} exporter.extension - File extension without the dot
+     * @param {string} exporter.mimeType - MIME type of the output
+     * @param {Function} exporter.export - (polls, context) => string | Uint8Array | Promise of either;
+     *                                     polls is an array of enhanced results, context has generatedAt
+     *                                     and i18n (the manager's PollyI18n)
+     * @param {string} exporter.label - Name shown in format pickers (defaults to the format name)
+     * @param {boolean} exporter.binary - True if the output is not text
+     */
+    register(format, exporter) {
+        if (!format || typeof exporter.export !== 'function' || !exporter.extension || !exporter.mimeType) {
+            throw new Error('An exporter needs a format name, extension, mimeType and export function');
+        }
+        this.exporters.set(format, { label: format, binary: false, ...exporter, format });
+    }
+
+    /**
+     * Remove an export format
+     * @param {string} format - Format name
+     * @returns {boolean} True if it was registered
+     */
+    unregister(format) {
+        return this.exporters.delete(format);
+    }
+
+    /**
+     * Look up an export format
+     * @param {string} format - Format name
+     * @returns {Object} Exporter definition
+     */
+    get(format) {
+        const exporter = this.exporters.get(format);
+        if (!exporter) {
+            throw new Error(`Unknown export format '${format}'. Available: ${this.formats().join(', ')}`);
+        }
+        return exporter;
+    }
+
+    /**
+     * Check if a format is registered
+     * @param {string} format - Format name
+     * @returns {boolean} True if registered
+     */
+    has(format) {
+        return this.exporters.has(format);
+    }
+
+    /**
+     * List registered format names
+     * @returns {Array<string>} Format names in registration order
+     */
+    formats() {
+        return Array.from(this.exporters.keys());
+    }
+
+    /**
+     * Rows of the per-option results table, header first
+     * @param {Object} poll - Enhanced poll results
+     * @returns {Array<Array>} Table rows
+     */
+    static tableRows(poll) {
+        return [
+            ['Option ID', 'Option', 'Votes', 'Percentage', 'CI Lower', 'CI Upper', 'Winner'],
+            ...poll.results.map(result => [
+                result.option_id,
+                result.text,
+                result.vote_count,
+                result.percentage,
+                result.confidence_interval ? result.confidence_interval.lower : '',
+                result.confidence_interval ? result.confidence_interval.upper : '',
+                result.is_winner ? 'yes' : 'no'
+            ])
+        ];
+    }
+
+    /**
+     * One-line outcome in English: tie, or the lead with its significance
+     * Reports use localizeOutcome instead.
+     * @param {Object} poll - Enhanced poll results
+     * @returns {string} Outcome description
+     */
+    static describeOutcome(poll) {
+        const { statistics } = poll;
+        if (!statistics || !statistics.margin) {
+            return poll.total_votes > 0 ? 'Only one option' : 'No votes yet';
+        }
+        if (statistics.is_tie) {
+            return 'Tie for first place';
+        }
+
+        const level = `${Math.round(statistics.confidence_level * 1000) / 10}%`;
+        return `Lead of ${statistics.margin.votes} vote${statistics.margin.votes !== 1 ? 's' : ''} ` +
+            `(${statistics.margin.percentage_points} points), ${statistics.significant ? '' : 'not '}significant at ${level}`;
+    }
+
+    /**
+     * One-line outcome in the current language; PollResultsManager.describeStatistics uses it too
+     * @param {Object} poll - Enhanced poll results
+     * @param {PollyI18n} i18n - Messages and number formats
+     * @returns {string} Outcome description
+     */
+    static localizeOutcome(poll, i18n) {
+        const { statistics } = poll;
+
+        if (poll.total_votes === 0) {
+            return i18n.t('results.summary.noVotes');
+        }
+        if (statistics && statistics.is_tie) {
+            const names = poll.results.filter(result => result.is_winner).map(result => result.text);
+            return i18n.t('results.summary.tie', { options: i18n.formatList(names) });
+        }
+        if (!statistics || !statistics.margin) {
+            return i18n.t('results.summary.oneOption');
+        }
+
+        return i18n.t('results.summary.leading', {
+            votes: statistics.margin.votes,
+            points: statistics.margin.percentage_points,
+            significant: statistics.significant ? 'yes' : 'no',
+            level: statistics.confidence_level * 100
+        });
+    }
+
+    /**
+     * Poll number, vote count and outcome under a poll's heading
+     * @param {Object} poll - Enhanced poll results
+     * @param {PollyI18n} i18n - Messages and number formats
+     * @returns {string} e.g. "Poll #3 · 12 votes · Tie between A and B"
+     */
+    static describePoll(poll, i18n) {
+        return i18n.t('export.pollMeta', {
+            id: String(poll.poll_id),
+            count: poll.total_votes,
+            outcome: ResultsExporterRegistry.localizeOutcome(poll, i18n)
+        });
+    }
+
+    /**
+     * CSV summary per poll: question and total, then a row per option
+     * Several polls are separated by a blank line.
+     * @param {Array<Object>} polls - Enhanced poll results
+     * @returns {string} CSV text with CRLF line endings
+     */
+    static toCSV(polls) {
+        const rows = [];
+
+        polls.forEach((poll, index) => {
+            if (index > 0) {
+                rows.push([]);
+            }
+            rows.push(['Poll Question', poll.question]);
+            rows.push(['Total Votes', poll.total_votes]);
+            rows.push(['Option Text', 'Vote Count', 'Percentage']);
+            poll.results.forEach(result => {
+                rows.push([result.text, result.vote_count, `${result.percentage}%`]);
+            });
+        });
+
+        return ResultsExporterRegistry.joinCSV(rows);
+    }
+
+    /**
+     * RFC 4180 CSV with one row per option and its statistics, so several polls share one table
+     * @param {Array<Object>} polls - Enhanced poll results
+     * @returns {string} CSV text with CRLF line endings
+     */
+    static toDetailedCSV(polls) {
+        const rows = [[
+            'Poll ID', 'Question', 'Total Votes', 'Option ID', 'Option', 'Votes', 'Percentage',
+            'CI Lower', 'CI Upper', 'Winner', 'Tie', 'Margin (votes)', 'Margin (points)', 'Lead p-value', 'Lead Significant'
+        ]];
+
+        polls.forEach(poll => {
+            const statistics = poll.statistics || {};
+            const margin = statistics.margin || {};
+
+            poll.results.forEach(result => {
+                const interval = result.confidence_interval || {};
+                rows.push([
+                    poll.poll_id,
+                    poll.question,
+                    poll.total_votes,
+                    result.option_id,
+                    result.text,
+                    result.vote_count,
+                    result.percentage,
+                    interval.lower,
+                    interval.upper,
+                    result.is_winner ? 'yes' : 'no',
+                    statistics.is_tie ? 'yes' : 'no',
+                    margin.votes,
+                    margin.percentage_points,
+                    statistics.p_value === null || statistics.p_value === undefined ? '' : Number(statistics.p_value.toPrecision(4)),
+                    statistics.significant ? 'yes' : 'no'
+                ]);
+            });
+        });
+
+        return ResultsExporterRegistry.joinCSV(rows);
+    }
+
+    /**
+     * Join rows of fields into CSV text
+     * @param {Array<Array<*>>} rows - Rows of field values
+     * @returns {string} CSV text with CRLF line endings
+     */
+    static joinCSV(rows) {
+        return rows.map(row => row.map(value => ResultsExporterRegistry.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it contains a comma, quote or line break
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    static escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Markdown with a heading and table per poll
+     * @param {Array<Object>} polls - Enhanced poll results
+     * @param {PollyI18n} i18n - Messages and number formats
+     * @returns {string} Markdown text
+     */
+    static toMarkdown(polls, i18n) {
+        const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+        return polls.map(poll => {
+            const [header, ...rows] = ResultsExporterRegistry.tableRows(poll);
+            return [
+                `## ${cell(poll.question)}`,
+                '',
+                cell(ResultsExporterRegistry.describePoll(poll, i18n)),
+                '',
+                `| ${header.join(' | ')} |`,
+                '| ---: | --- | ---: | ---: | ---: | ---: | :---: |',
+                ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+            ].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Standalone HTML report laid out for printing (or saving as PDF from the print dialog)
+     * @param {Array<Object>} polls - Enhanced poll results
+     * @param {Date} generatedAt - Report time
+     * @param {PollyI18n} i18n - Messages and number formats; the report is in its language
+     * @returns {string} HTML document
+     */
+    static toHTMLReport(polls, generatedAt, i18n) {
+        const escape = ResultsExporterRegistry.escapeHtml;
+
+        const sections = polls.map(poll => `
+    <section>
+        <h2>${escape(poll.question)}</h2>
+        <p class="meta">${escape(ResultsExporterRegistry.describePoll(poll, i18n))}</p>
+        <table>
+            <thead><tr><th>${escape(i18n.t('export.option'))}</th><th>${escape(i18n.t('export.votes'))}</th><th>${escape(i18n.t('export.share'))}</th><th>${escape(i18n.t('export.interval'))}</th></tr></thead>
+            <tbody>
+${poll.results.map(result => `                <tr${result.is_winner ? ' class="winner"' : ''}>
+                    <td>${escape(result.text)}${result.is_winner ? ' 🏆' : ''}</td>
+                    <td class="number">${i18n.formatNumber(result.vote_count)}</td>
+                    <td><span class="bar" style="width: ${result.percentage}%"></span> ${i18n.formatPercent(result.percentage)}</td>
+                    <td>${result.confidence_interval ? `${i18n.formatNumber(result.confidence_interval.lower)}–${i18n.formatPercent(result.confidence_interval.upper)}` : '–'}</td>
+                </tr>`).join('\n')}
+            </tbody>
+        </table>
+    </section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.locale}" dir="${i18n.dir}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(i18n.t('export.reportTitle'))}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2d3748; margin: 2cm; }
+        h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+        h2 { font-size: 1.2rem; margin-bottom: 0.2rem; }
+        .meta { color: #718096; margin-top: 0; }
+        section { margin-top: 1.5rem; page-break-inside: avoid; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: start; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+        td.number { text-align: end; width: 5rem; }
+        tr.winner td { font-weight: 600; }
+        .bar { display: inline-block; height: 0.6rem; max-width: 60%; background: #667eea; vertical-align: middle;
+               -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        @page { margin: 1.5cm; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escape(i18n.t('export.reportTitle'))}</h1>
+    <p class="meta">${escape(i18n.t('export.generated', { date: i18n.formatDate(generatedAt, { dateStyle: 'medium', timeStyle: 'short' }) }))}</p>
+${sections}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Escape text for HTML without needing a DOM
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+/**
+ * Minimal XLSX writer: inline-string worksheets packed in an uncompressed (stored) zip
+ */
+class XlsxWriter {
+    /**
+     * Build a workbook
+     * @param {Array<Object>} sheets - Sheets as { name, rows }, rows being arrays of strings/numbers
+     * @returns {Uint8Array} XLSX file
+     */
+    static build(sheets) {
+        const names = XlsxWriter.sheetNames(sheets.map(sheet => sheet.name));
+
+        const files = [
+            ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`],
+            ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+            ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((name, index) => `<sheet name="${XlsxWriter.escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets></workbook>`],
+            ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')}</Relationships>`],
+            ...sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, XlsxWriter.worksheet(sheet.rows)])
+        ];
+
+        const encoder = new TextEncoder();
+        return XlsxWriter.zip(files.map(([name, content]) => ({ name, data: encoder.encode(content) })));
+    }
+
+    /**
+     * Worksheet XML; numbers become numeric cells, everything else inline strings
+     * @param {Array<Array>} rows - Cell values
+     * @returns {string} Worksheet XML
+     */
+    static worksheet(rows) {
+        const xmlRows = rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${XlsxWriter.columnName(columnIndex)}${rowIndex + 1}`;
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXml(value ?? '')}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${xmlRows}</sheetData></worksheet>`;
+    }
+
+    /**
+     * Make sheet names valid and unique (max 31 characters, no []:*?/\)
+     * @param {Array<string>} names - Requested names
+     * @returns {Array<string>} Usable names
+     */
+    static sheetNames(names) {
+        const used = new Set();
+        return names.map((name, index) => {
+            const base = (String(name).replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet ${index + 1}`).slice(0, 31);
+            let candidate = base;
+            for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+                candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+            }
+            used.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+
+    /**
+     * Spreadsheet column letters for a zero-based index (0 → A, 26 → AA)
+     * @param {number} index - Column index
+     * @returns {string} Column name
+     */
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Pack files into a zip archive without compression
+     * @param {Array<Object>} files - Files as { name, data: Uint8Array }
+     * @returns {Uint8Array} Zip archive
+     */
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = XlsxWriter.crc32(file.data);
+            const size = file.data.length;
+
+            // Local file header: version 2.0, no flags, method 0 (stored), DOS time/date zeroed
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        return archive;
+    }
+
+    /**
+     * CRC-32 (IEEE 802.3) checksum as used by zip
+     * @param {Uint8Array} data - Bytes
+     * @returns {number} Unsigned checksum
+     */
+    static crc32(data) {
+        if (!XlsxWriter.crcTable) {
+            XlsxWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                XlsxWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = XlsxWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Escape text for XML
+     * @param {*} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters other than tab and line breaks are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultsExporterRegistry, XlsxWriter };
+}
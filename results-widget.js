@@ -0,0 +1,340 @@
+/**
+ * Poll Results Widget for Polly Poll Voting System
+ * <polly-results> custom element for showing live poll results on other pages, such as
+ * dashboards and wikis. One script tag is enough: the widget loads the rest of the results
+ * code from its own directory, without adding its globals to the page, and keeps its styles
+ * in a shadow root.
+ */
+
+class PollyResultsElement extends HTMLElement {
+    /**
+     * Attributes that update the widget when changed
+     * @returns {Array<string>} Attribute names
+     */
+    static get observedAttributes() {
+        return ['poll-id', 'chart', 'refresh', 'base-url', 'mode', 'theme'];
+    }
+
+    /**
+     * Scripts the widget needs, in load order
+     * @returns {Array<string>} File names
+     */
+    static get DEPENDENCIES() {
+        return [
+            'api-client.js',
+            'i18n.js',
+            'locale-en.js',
+            'locale-de.js',
+            'locale-ar.js',
+            'components.js',
+            'results-cache.js',
+            'poll-charts.js',
+            'results-exporters.js',
+            'poll-statistics.js',
+            'poll-results.js'
+        ];
+    }
+
+    /**
+     * Values of the theme attribute; the same as PollyTheme.THEMES in theme.js, which the widget
+     * doesn't load because it themes the whole page
+     * @returns {Array<string>} Theme names
+     */
+    static get THEMES() {
+        return ['auto', 'light', 'dark', 'high-contrast'];
+    }
+
+    /**
+     * Styles of the widget itself; the results styles come from styles.css
+     * @returns {string} CSS
+     */
+    static get STYLES() {
+        return `
+            :host {
+                display: block;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                line-height: 1.6;
+                color: var(--polly-text, #333);
+            }
+            :host([hidden]) {
+                display: none;
+            }
+            .poll-results-container {
+                margin: 0;
+            }
+            iframe {
+                display: block;
+                width: 100%;
+                border: 0;
+            }
+        `;
+    }
+
+    /**
+     * Load the results code the widget uses
+     * A page that has it already, such as Polly itself, shares its classes. Otherwise the scripts
+     * run together in a function scope, with window and module hidden so that they skip their
+     * global setup: the page gets no apiClient, pollResultsManager, i18n or error classes. Assets
+     * served without CORS and pages whose Content Security Policy forbids eval get script tags.
+     * @returns {Promise<Object>} { PollyAPIClient, PollResultsManager, PollChartRenderer, i18n }
+     */
+    static async loadDependencies() {
+        if (typeof PollResultsManager !== 'undefined') {
+            return { PollyAPIClient, PollResultsManager, PollChartRenderer, i18n };
+        }
+
+        const files = PollyResultsElement.DEPENDENCIES.map(file => PollyResultsElement.assetBase + file);
+        let load;
+        try {
+            const sources = await Promise.all(files.map(file => PollyResultsElement.fetchScript(file)));
+            load = new Function('window', 'module', `${sources.join('\n;\n')}
+                const i18n = new PollyI18n({ storage: null, locale: document.documentElement.lang || null });
+                return { PollyAPIClient, PollResultsManager, PollChartRenderer, i18n };`);
+        } catch (error) {
+            console.warn('Loading the poll results widget scripts into the page:', error.message);
+            for (const file of files) {
+                await PollyResultsElement.loadScript(file);
+            }
+            return { PollyAPIClient, PollResultsManager, PollChartRenderer, i18n };
+        }
+        return load(undefined, undefined);
+    }
+
+    /**
+     * Download a script's source
+     * @param {string} src - Script URL
+     * @returns {Promise<string>} Source code
+     */
+    static async fetchScript(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`Could not load ${src}: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Load a script
+     * @param {string} src - Script URL
+     * @returns {Promise<void>} Resolves once the script has run
+     */
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Get the results manager for an API
+     * Widgets of the same API share one manager, and so its cache and live connections.
+     * @param {string|null} baseURL - API base URL; null uses the API client's default
+     * @returns {PollResultsManager} Results manager
+     */
+    static getManager(baseURL) {
+        const { PollyAPIClient, PollResultsManager } = PollyResultsElement.lib;
+
+        if (!PollyResultsElement.managers.has(baseURL)) {
+            // Results are public, so the widget never reads or stores the page's login
+            const client = new PollyAPIClient(baseURL || undefined, { storage: 'memory' });
+            PollyResultsElement.managers.set(baseURL, new PollResultsManager(client));
+        }
+        return PollyResultsElement.managers.get(baseURL);
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.request = null; // AbortController of the results request in flight
+        this.stopRefresh = null;
+        this.handleMessage = null;
+        this.renderQueued = false;
+    }
+
+    connectedCallback() {
+        this.scheduleRender();
+    }
+
+    disconnectedCallback() {
+        this.stop();
+    }
+
+    attributeChangedCallback() {
+        if (this.isConnected) {
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Poll whose results are shown
+     * @returns {number|null} Poll ID from the poll-id attribute
+     */
+    get pollId() {
+        const pollId = parseInt(this.getAttribute('poll-id'), 10);
+        return pollId > 0 ? pollId : null;
+    }
+
+    /**
+     * Chart drawn above the results
+     * @returns {string|null} One of PollChartRenderer.TYPES, or null for none
+     */
+    get chart() {
+        const chart = this.getAttribute('chart');
+        return PollyResultsElement.lib.PollChartRenderer.TYPES.includes(chart) ? chart : null;
+    }
+
+    /**
+     * Theme of the results
+     * @returns {string|null} One of THEMES, or null for the default light theme
+     */
+    get theme() {
+        const theme = this.getAttribute('theme');
+        return PollyResultsElement.THEMES.includes(theme) ? theme : null;
+    }
+
+    /**
+     * Time between refreshes
+     * @returns {number} Interval in ms from the refresh attribute (in seconds); 0 when off
+     */
+    get refreshInterval() {
+        const seconds = parseFloat(this.getAttribute('refresh'));
+        return seconds > 0 ? Math.max(seconds, 1) * 1000 : 0;
+    }
+
+    /**
+     * API the results come from
+     * @returns {string|null} The base-url attribute, else the script tag's data-base-url
+     */
+    get baseURL() {
+        return this.getAttribute('base-url') || PollyResultsElement.defaultBaseURL;
+    }
+
+    /**
+     * Render the widget once after a batch of attribute changes
+     */
+    scheduleRender() {
+        if (this.renderQueued) {
+            return;
+        }
+
+        this.renderQueued = true;
+        Promise.resolve().then(() => {
+            this.renderQueued = false;
+            if (this.isConnected) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Show the poll's results in the shadow root, or in an iframe with mode="iframe"
+     */
+    render() {
+        this.stop();
+
+        const { i18n } = PollyResultsElement.lib;
+        const pollId = this.pollId;
+        if (!pollId) {
+            this.shadowRoot.innerHTML = `
+                <style>${PollyResultsElement.STYLES}</style>
+                <p lang="${i18n.locale}" dir="${i18n.dir}">${i18n.html('widget.noPollId')}</p>
+            `;
+            return;
+        }
+
+        if (this.getAttribute('mode') === 'iframe') {
+            this.renderFrame(pollId);
+            return;
+        }
+
+        this.shadowRoot.innerHTML = `
+            <link rel="stylesheet" href="${PollyResultsElement.assetBase}styles.css">
+            <style>${PollyResultsElement.STYLES}</style>
+            <div class="polly-results" lang="${i18n.locale}" dir="${i18n.dir}"></div>
+        `;
+
+        const container = this.shadowRoot.querySelector('.polly-results');
+        const manager = PollyResultsElement.getManager(this.baseURL);
+        const options = { chart: this.chart, chartExport: false, theme: this.theme };
+
+        this.request = new AbortController();
+        manager.displayPollResults(pollId, container, { ...options, signal: this.request.signal });
+
+        const interval = this.refreshInterval;
+        if (interval) {
+            this.stopRefresh = manager.subscribe(pollId, results => {
+                manager.renderResults(container, results, options);
+            }, { transport: 'polling', minInterval: interval, maxInterval: interval });
+        }
+    }
+
+    /**
+     * Show the results through the embed page, sized to its content
+     * @param {number} pollId - Poll ID
+     */
+    renderFrame(pollId) {
+        const { i18n } = PollyResultsElement.lib;
+        const params = new URLSearchParams({ poll: pollId });
+        if (this.chart) {
+            params.set('chart', this.chart);
+        }
+        if (this.refreshInterval) {
+            params.set('refresh', this.refreshInterval / 1000);
+        }
+        if (this.theme) {
+            params.set('theme', this.theme);
+        }
+        if (this.baseURL) {
+            params.set('api', this.baseURL);
+        }
+
+        this.shadowRoot.innerHTML = `
+            <style>${PollyResultsElement.STYLES}</style>
+            <iframe title="${i18n.html('widget.frameTitle')}" src="${PollyResultsElement.assetBase}results-embed.html?${params}"></iframe>
+        `;
+
+        const frame = this.shadowRoot.querySelector('iframe');
+        this.handleMessage = event => {
+            if (event.source === frame.contentWindow && event.data && event.data.type === 'polly-results-resize') {
+                frame.style.height = `${event.data.height}px`;
+            }
+        };
+        window.addEventListener('message', this.handleMessage);
+    }
+
+    /**
+     * Cancel loading and stop refreshing
+     */
+    stop() {
+        if (this.request) {
+            this.request.abort();
+            this.request = null;
+        }
+        if (this.stopRefresh) {
+            this.stopRefresh();
+            this.stopRefresh = null;
+        }
+        if (this.handleMessage) {
+            window.removeEventListener('message', this.handleMessage);
+            this.handleMessage = null;
+        }
+    }
+}
+
+if (typeof window !== 'undefined' && window.customElements && !customElements.get('polly-results')) {
+    // Dependencies, styles and the embed page are found next to this script
+    const script = document.currentScript;
+    PollyResultsElement.assetBase = new URL('.', script ? script.src : window.location.href).href;
+    PollyResultsElement.defaultBaseURL = (script && script.dataset.baseUrl) || null;
+    PollyResultsElement.managers = new Map(); // Results managers by API base URL
+
+    PollyResultsElement.loadDependencies()
+        .then(lib => {
+            PollyResultsElement.lib = lib; // Classes and messages the widget renders with
+            customElements.define('polly-results', PollyResultsElement);
+        })
+        .catch(error => console.error('Could not start the poll results widget:', error));
+}
@@ -0,0 +1,147 @@
+/**
+ * Hash Router for Polly Poll Voting System
+ * Maps paths such as #/polls/1 to view handlers, so views can be bookmarked and shared
+ * and the browser's back and forward buttons move between them
+ */
+
+class HashRouter {
+    /**
+     * @param {Object} options - Router options
+     * @param {string} options.fallback - Path shown for unknown routes
+     */
+    constructor(options = {}) {
+        this.routes = [];
+        this.fallback = options.fallback || '/';
+        this.current = null; // { pattern, path, params, query } of the last resolved route
+        this.handleHashChange = () => this.resolve();
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path pattern; ':name' segments capture parameters, e.g. '/polls/:id'
+     * @param {Function} handler - Called with (params, query, path); may return a promise
+     * @returns {HashRouter} The router, for chaining
+     */
+    on(pattern, handler) {
+        const names = [];
+        const source = pattern.split('/').map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('/');
+
+        this.routes.push({ pattern, handler, names, regex: new RegExp(`^${source}/?$`) });
+        return this;
+    }
+
+    /**
+     * Set the path shown for unknown routes
+     * @param {string} path - Fallback path, e.g. '/polls'
+     * @returns {HashRouter} The router, for chaining
+     */
+    otherwise(path) {
+        this.fallback = path;
+        return this;
+    }
+
+    /**
+     * Start following the location hash and show the current route
+     * @returns {Promise<*>} Result of the route handler
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        return this.resolve();
+    }
+
+    /**
+     * Stop following the location hash
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Go to a path, adding a history entry unless replace is set
+     * @param {string} path - Path with optional query, e.g. '/polls/1' or '/polls?page=2'
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current history entry
+     * @returns {Promise<*>} Result of the route handler
+     */
+    navigate(path, { replace = false } = {}) {
+        const url = this.href(path);
+        if (replace) {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+        return this.resolve();
+    }
+
+    /**
+     * Build the link for a path
+     * @param {string} path - Path, e.g. '/polls/1'
+     * @returns {string} Hash URL, e.g. '#/polls/1'
+     */
+    href(path) {
+        return `#${path}`;
+    }
+
+    /**
+     * Split a path into its route path and query parameters
+     * @param {string} path - Path with optional query
+     * @returns {Object} { path, query } where query maps parameter names to values
+     */
+    parse(path) {
+        const [route, search = ''] = path.split('?');
+        return {
+            path: route || '/',
+            query: Object.fromEntries(new URLSearchParams(search))
+        };
+    }
+
+    /**
+     * Find the route for a path
+     * @param {string} path - Route path without query
+     * @returns {Object|null} { route, params }, or null when no route matches
+     */
+    match(path) {
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+                route.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run the handler of the route in the location hash
+     * Unknown routes are replaced by the fallback path.
+     * @returns {Promise<*>} Result of the route handler
+     */
+    async resolve() {
+        const { path, query } = this.parse(window.location.hash.replace(/^#/, ''));
+        const match = this.match(path);
+
+        if (!match) {
+            if (path === this.fallback) {
+                return undefined;
+            }
+            return this.navigate(this.fallback, { replace: true });
+        }
+
+        this.current = { pattern: match.route.pattern, path, params: match.params, query };
+        return match.route.handler(match.params, query, path);
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HashRouter };
+}
@@ -0,0 +1,68 @@
+/**
+ * Themes for Polly Poll Voting System
+ * Applies the light, dark or high-contrast theme chosen by the user, or follows the system
+ * settings. The colours themselves are CSS custom properties in styles.css.
+ */
+
+class PollyTheme {
+    /**
+     * Themes that can be chosen; 'auto' follows prefers-color-scheme and prefers-contrast
+     * @returns {Array<string>} Theme names
+     */
+    static get THEMES() {
+        return ['auto', 'light', 'dark', 'high-contrast'];
+    }
+
+    /**
+     * @param {Object} options - Theme options
+     * @param {Object} options.storage - Storage for the user's choice (localStorage when available)
+     * @param {HTMLElement} options.root - Element that carries the data-theme attribute (the <html> element)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.root = options.root || (typeof document !== 'undefined' ? document.documentElement : null);
+    }
+
+    /**
+     * Chosen theme
+     * @returns {string} One of THEMES; 'auto' when nothing valid was saved
+     */
+    get theme() {
+        const saved = this.storage ? this.storage.getItem('polly_theme') : null;
+        return PollyTheme.THEMES.includes(saved) ? saved : 'auto';
+    }
+
+    /**
+     * Switch theme, remember the choice and apply it
+     * @param {string} theme - One of THEMES
+     */
+    setTheme(theme) {
+        if (!PollyTheme.THEMES.includes(theme)) {
+            throw new Error(`Unknown theme '${theme}'. Use one of: ${PollyTheme.THEMES.join(', ')}`);
+        }
+        if (this.storage) {
+            this.storage.setItem('polly_theme', theme);
+        }
+        this.apply();
+    }
+
+    /**
+     * Set the root element's data-theme attribute, which selects the colours in styles.css
+     */
+    apply() {
+        if (this.root) {
+            this.root.setAttribute('data-theme', this.theme);
+        }
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollyTheme };
+}
+
+if (typeof window !== 'undefined') {
+    // Loaded in <head>, so the theme is applied before the page is first painted
+    window.theme = new PollyTheme();
+    window.theme.apply();
+}
@@ -0,0 +1,313 @@
+/**
+ * Input Validation for Polly Poll Voting System
+ * Checks request bodies against the schemas in openapi.yaml before they are sent, together with
+ * the client's username, password and poll rules. Errors have the shape of a server
+ * ValidationError's fieldErrors, so forms show both kinds the same way.
+ */
+
+class PollyValidator {
+    // BEGIN GENERATED schemas: generated from openapi.yaml by generate-sdk.js, do not edit
+    /**
+     * Request body schemas from openapi.yaml, named after their component
+     * LoginForm is the form-encoded body of POST /login, which the spec declares inline.
+     * @returns {Object} JSON schemas by name
+     */
+    static get SCHEMAS() {
+        return {
+            UserCreate: {
+                type: 'object',
+                properties: {
+                    username: { type: 'string' },
+                    password: { type: 'string' }
+                },
+                required: ['username', 'password']
+            },
+            LoginForm: {
+                type: 'object',
+                properties: {
+                    username: { type: 'string' },
+                    password: { type: 'string' }
+                },
+                required: ['username', 'password']
+            },
+            PollCreate: {
+                type: 'object',
+                properties: {
+                    question: { type: 'string' },
+                    options: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['question', 'options']
+            },
+            VoteCreate: {
+                type: 'object',
+                properties: {
+                    option_id: { type: 'integer' }
+                },
+                required: ['option_id']
+            }
+        };
+    }
+    // END GENERATED schemas
+
+    /**
+     * Rules the client adds to the schemas' properties. The server doesn't enforce them; they
+     * use the same keywords, plus minStrength for passwords (see passwordStrength).
+     * The username and password rules are for registration only: LoginForm has none, so
+     * accounts the server accepted without them can still log in.
+     * @returns {Object} Property rules by schema name
+     */
+    static get RULES() {
+        return {
+            UserCreate: {
+                username: { minLength: 3, maxLength: 30, pattern: '^[A-Za-z0-9_.-]+$' },
+                password: { minLength: 8, maxLength: 128, minStrength: 2 }
+            },
+            LoginForm: {},
+            PollCreate: {
+                question: { maxLength: 500 },
+                options: { minItems: 2, uniqueItems: true, items: { maxLength: 200 } }
+            }
+        };
+    }
+
+    /**
+     * Common passwords; a password that starts with one of them scores 0
+     * @returns {Array<string>} Lower-case passwords
+     */
+    static get COMMON_PASSWORDS() {
+        return ['password', 'passw0rd', '123456', '12345678', '123456789', 'qwerty', 'qwertz', 'azerty',
+            'abc123', 'letmein', 'welcome', 'iloveyou', 'admin', 'monkey', 'dragon', 'polly'];
+    }
+
+    /**
+     * Get a schema with the client rules merged into its properties
+     * @param {string} name - Schema name, e.g. 'UserCreate'
+     * @returns {Object} JSON schema
+     */
+    getSchema(name) {
+        const schema = PollyValidator.SCHEMAS[name];
+        if (!schema) {
+            throw new Error(`Unknown schema '${name}'. Use one of: ${Object.keys(PollyValidator.SCHEMAS).join(', ')}`);
+        }
+
+        const rules = PollyValidator.RULES[name] || {};
+        const properties = {};
+        Object.entries(schema.properties).forEach(([field, property]) => {
+            const { items, ...rule } = rules[field] || {};
+            properties[field] = { ...property, ...rule };
+            if (items) {
+                properties[field].items = { ...property.items, ...items };
+            }
+        });
+        return { ...schema, properties };
+    }
+
+    /**
+     * Validate a request body
+     * Required strings that are empty count as missing, like the forms have always treated them.
+     * @param {string} name - Schema name
+     * @param {Object} value - Request body
+     * @returns {Array<Object>} Field errors { field, loc, message, type, ctx }; empty when valid
+     */
+    validate(name, value) {
+        const schema = this.getSchema(name);
+        const errors = [];
+
+        schema.required.forEach(field => {
+            if (value[field] === undefined || value[field] === null || value[field] === '') {
+                errors.push(this.createError([field], 'missing'));
+            }
+        });
+
+        Object.entries(schema.properties).forEach(([field, property]) => {
+            const fieldValue = value[field];
+            if (fieldValue !== undefined && fieldValue !== null && fieldValue !== '') {
+                errors.push(...this.validateValue(property, fieldValue, [field], value));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate one value against its property schema
+     * @param {Object} property - Property schema
+     * @param {*} value - Value
+     * @param {Array} path - Field path, e.g. ['options', 2]
+     * @param {Object} body - Whole request body, for rules that compare fields
+     * @returns {Array<Object>} Field errors
+     */
+    validateValue(property, value, path, body) {
+        if (property.type === 'string') {
+            if (typeof value !== 'string') {
+                return [this.createError(path, 'string_type')];
+            }
+            return this.validateString(property, value, path, body);
+        }
+
+        if (property.type === 'integer') {
+            return Number.isInteger(value) ? [] : [this.createError(path, 'int_type')];
+        }
+
+        if (property.type === 'array') {
+            if (!Array.isArray(value)) {
+                return [this.createError(path, 'list_type')];
+            }
+            return this.validateArray(property, value, path, body);
+        }
+
+        return [];
+    }
+
+    /**
+     * Check a string's length, format and, for passwords, strength
+     * @param {Object} property - Property schema
+     * @param {string} value - Value
+     * @param {Array} path - Field path
+     * @param {Object} body - Whole request body
+     * @returns {Array<Object>} Field errors
+     */
+    validateString(property, value, path, body) {
+        const length = Array.from(value).length;
+
+        if (property.minLength !== undefined && length < property.minLength) {
+            return [this.createError(path, 'string_too_short', { min_length: property.minLength })];
+        }
+        if (property.maxLength !== undefined && length > property.maxLength) {
+            return [this.createError(path, 'string_too_long', { max_length: property.maxLength })];
+        }
+        if (property.pattern !== undefined && !new RegExp(property.pattern).test(value)) {
+            return [this.createError(path, 'string_pattern_mismatch', { pattern: property.pattern })];
+        }
+        if (property.minStrength !== undefined) {
+            const strength = this.passwordStrength(value, { username: body.username });
+            if (strength.score < property.minStrength) {
+                return [this.createError(path, 'weak_password', { suggestions: strength.suggestions })];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Check an array's length, its items and, with uniqueItems, repeated strings (ignoring case)
+     * @param {Object} property - Property schema
+     * @param {Array} value - Value
+     * @param {Array} path - Field path
+     * @param {Object} body - Whole request body
+     * @returns {Array<Object>} Field errors
+     */
+    validateArray(property, value, path, body) {
+        const errors = [];
+        const seen = new Set();
+
+        value.forEach((item, index) => {
+            const itemPath = [...path, index];
+            if (item === undefined || item === null || item === '') {
+                errors.push(this.createError(itemPath, 'missing'));
+                return;
+            }
+
+            const itemErrors = this.validateValue(property.items, item, itemPath, body);
+            errors.push(...itemErrors);
+
+            if (property.uniqueItems && itemErrors.length === 0) {
+                const key = typeof item === 'string' ? item.toLowerCase() : JSON.stringify(item);
+                if (seen.has(key)) {
+                    errors.push(this.createError(itemPath, 'duplicate_item', { value: item }));
+                }
+                seen.add(key);
+            }
+        });
+
+        const count = value.filter(item => item !== undefined && item !== null && item !== '').length;
+        if (property.minItems !== undefined && count < property.minItems) {
+            errors.push(this.createError(path, 'too_short', { min_length: property.minItems }));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Rate a password from 0 (very weak) to 4 (strong)
+     * Length counts most, then the mix of lower case, upper case, digits and symbols. Common
+     * passwords score 0 and ones containing the username at most 1.
+     * @param {string} password - Password
+     * @param {Object} options - Context
+     * @param {string} options.username - Username the password must not contain
+     * @returns {Object} { score, level, suggestions }; level is 'veryWeak', 'weak', 'fair', 'good'
+     *          or 'strong', suggestions are 'length', 'variety', 'username' or 'common'
+     */
+    passwordStrength(password, { username = '' } = {}) {
+        const lower = password.toLowerCase();
+        const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+        const suggestions = [];
+        let score = 0;
+
+        if (password.length >= 8) {
+            score++;
+        }
+        if (password.length >= 12) {
+            score++;
+        } else {
+            suggestions.push('length');
+        }
+        if (classes >= 3) {
+            score++;
+        } else {
+            suggestions.push('variety');
+        }
+        if (classes === 4 || password.length >= 16) {
+            score++;
+        }
+
+        if (username.length >= 3 && lower.includes(username.toLowerCase())) {
+            score = Math.min(score, 1);
+            suggestions.unshift('username');
+        }
+        if (new Set(lower).size <= 2 || PollyValidator.COMMON_PASSWORDS.some(common => lower.startsWith(common))) {
+            score = 0;
+            suggestions.unshift('common');
+        }
+
+        return {
+            score,
+            level: ['veryWeak', 'weak', 'fair', 'good', 'strong'][score],
+            suggestions
+        };
+    }
+
+    /**
+     * Build a field error like the entries of ValidationError.fieldErrors
+     * @param {Array} path - Field path
+     * @param {string} type - Error type, named like Pydantic's ('missing', 'string_too_short', ...)
+     * @param {Object} ctx - Details for the message, e.g. { min_length: 3 }
+     * @returns {Object} Field error with an English message
+     */
+    createError(path, type, ctx = {}) {
+        const messages = {
+            missing: 'Field required',
+            string_type: 'Input should be a valid string',
+            int_type: 'Input should be a valid integer',
+            list_type: 'Input should be a valid list',
+            string_too_short: `String should have at least ${ctx.min_length} characters`,
+            string_too_long: `String should have at most ${ctx.max_length} characters`,
+            string_pattern_mismatch: `String should match pattern '${ctx.pattern}'`,
+            too_short: `List should have at least ${ctx.min_length} items`,
+            duplicate_item: `Duplicate item '${ctx.value}'`,
+            weak_password: 'Password is too weak'
+        };
+
+        return {
+            field: path.join('.'),
+            loc: ['body', ...path],
+            message: messages[type],
+            type,
+            ctx
+        };
+    }
+}
+
+// CommonJS export for Node scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollyValidator };
+}